@@ -0,0 +1,135 @@
+// Admin CLI for backups, game transfer and roles. It opens rogold.db itself, so it refuses
+// to run while the server is up; use the /api/admin routes then.
+//
+//   node admin.js backup [label]                     back up rogold.db and its thumbnails
+//   node admin.js backups                            list backups
+//   node admin.js restore <backupId>                 restore a backup (current state is backed up first)
+//   node admin.js export-game <gameId> [file]        write a game as JSON (thumbnail embedded)
+//   node admin.js import-game <file> [ownerNickname] publish a game from JSON
+//   node admin.js import-games [dir]                 import every game file in games/ (or dir)
+//   node admin.js roles                              list accounts with roles
+//   node admin.js grant <nickname> <role>            grant owner, admin, moderator or creator
+//   node admin.js revoke <nickname> <role>           revoke a role
+const fs = require('fs');
+const { getRunningServerPid, getAccountByNickname, getRoleHolders, grantRole, revokeRole } = require('./database');
+const { ROLES, isValidRole } = require('./roles');
+const { exportGame, importGame } = require('./games');
+const { BACKUPS_DIR, createBackup, listBackups, restoreBackup } = require('./backup');
+const { importGamesDirectory, formatImportSummary } = require('./importer');
+
+const commands = {
+    async backup(label = '') {
+        const manifest = await createBackup(label);
+        console.log(`Created backup ${manifest.id} in ${BACKUPS_DIR}`);
+        console.log(`  ${manifest.counts.games} games, ${manifest.counts.players} players, ${manifest.thumbnails.length} thumbnails`);
+        if (manifest.missingThumbnails.length > 0) {
+            console.log(`  Missing thumbnails: ${manifest.missingThumbnails.join(', ')}`);
+        }
+    },
+
+    async backups() {
+        const backups = listBackups();
+        if (backups.length === 0) {
+            console.log('No backups.');
+        }
+        backups.forEach(backup => {
+            console.log(`${backup.id}  schema v${backup.schemaVersion}  ${backup.counts.games} games  ${backup.counts.players} players`);
+        });
+    },
+
+    async restore(backupId) {
+        if (!backupId) throw new Error('Usage: node admin.js restore <backupId>');
+        const result = await restoreBackup(backupId);
+        if (!result.success) {
+            throw new Error(result.error === 'corrupt' ? `Backup ${backupId} is corrupt` : `Backup ${backupId} not found`);
+        }
+        console.log(`Restored backup ${backupId}. The previous state was saved as ${result.safetyBackup}.`);
+    },
+
+    async 'export-game'(gameId, file) {
+        if (!gameId) throw new Error('Usage: node admin.js export-game <gameId> [file]');
+        const exported = await exportGame(gameId);
+        if (!exported) throw new Error(`Game ${gameId} not found`);
+        const target = file || `${gameId}.json`;
+        fs.writeFileSync(target, JSON.stringify(exported, null, 2));
+        console.log(`Exported "${exported.title}" to ${target}`);
+    },
+
+    async 'import-game'(file, ownerNickname) {
+        if (!file) throw new Error('Usage: node admin.js import-game <file> [ownerNickname]');
+        let owner = null;
+        if (ownerNickname) {
+            owner = await getAccountByNickname(ownerNickname);
+            if (!owner) throw new Error(`Player ${ownerNickname} not found`);
+        }
+        const result = await importGame(JSON.parse(fs.readFileSync(file, 'utf8')), owner ? owner.id : null);
+        if (!result.success) throw new Error(`Invalid game in ${file}: ${result.error}`);
+        console.log(`${result.created ? 'Created' : 'Updated'} game ${result.gameId} (version ${result.version})`);
+    },
+
+    async 'import-games'(dir) {
+        const results = await importGamesDirectory(dir);
+        console.log(formatImportSummary(results));
+        if (results.some(result => result.status === 'invalid')) {
+            process.exitCode = 1;
+        }
+    },
+
+    async roles() {
+        const holders = await getRoleHolders();
+        if (holders.length === 0) {
+            console.log('No accounts have roles.');
+        }
+        holders.forEach(holder => {
+            const grantedBy = holder.grantedBy ? ` by ${holder.grantedBy}` : '';
+            console.log(`${holder.nickname.padEnd(20)} ${holder.role.padEnd(10)} granted ${holder.grantedAt}${grantedBy}`);
+        });
+    },
+
+    async grant(nickname, role) {
+        const player = await findRoleTarget('grant', nickname, role);
+        const result = await grantRole(player.id, role);
+        if (!result.success) throw new Error(`${player.nickname} already has the ${role} role`);
+        console.log(`Granted ${role} to ${player.nickname}`);
+    },
+
+    async revoke(nickname, role) {
+        const player = await findRoleTarget('revoke', nickname, role);
+        const result = await revokeRole(player.id, role);
+        if (!result.success) {
+            throw new Error(result.error === 'last_owner'
+                ? `${player.nickname} is the last owner`
+                : `${player.nickname} does not have the ${role} role`);
+        }
+        console.log(`Revoked ${role} from ${player.nickname}`);
+    }
+};
+
+async function findRoleTarget(command, nickname, role) {
+    if (!nickname || !role) throw new Error(`Usage: node admin.js ${command} <nickname> <role>`);
+    if (!isValidRole(role)) throw new Error(`Unknown role ${role}. Roles: ${ROLES.join(', ')}`);
+    const player = await getAccountByNickname(nickname);
+    if (!player) throw new Error(`Player ${nickname} not found`);
+    return player;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        console.log(`Usage: node admin.js <${Object.keys(commands).join(' | ')}> [args]`);
+        process.exitCode = 1;
+        return;
+    }
+    // Checked before rogold.db finishes loading: exiting now leaves the file untouched
+    const serverPid = getRunningServerPid();
+    if (serverPid) {
+        console.error(`The server is running (pid ${serverPid}); stop it first or use the /api/admin routes.`);
+        process.exit(1);
+    }
+    await commands[command](...args);
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,156 @@
+const { recordAnticheatEvent } = require('./database');
+
+// Movement checks for playerMove. Every move is compared with the last accepted
+// position: walking can't outrun the walk speed (times /speed), flying can't climb
+// faster than the fly speed, rising on foot can't beat a jump, and falling can't beat
+// gravity. Rejected moves send the player back with positionCorrection; players who
+// keep doing it are logged for moderators.
+//
+// The limits mirror game.js. Walking is 45 units/s, diagonals 45 * sqrt(2); a jump is
+// JUMP_IMPULSE 300 on a body of mass 5, and linearDamping 0.6 caps how fast a body falls.
+const MOVEMENT = {
+    walkSpeed: 45 * Math.SQRT2,
+    flySpeed: 30,
+    jumpSpeed: 60,
+    gravity: 196.2,
+    fallSpeed: 196.2 / -Math.log(1 - 0.6)
+};
+// Without level geometry the server can't tell whether a player stands on something,
+// so it assumes they might and lets them start rising at jump speed at any moment:
+// stairs and ramps of any height pass. What no jump can do is rise faster than that,
+// or more than one jump's height at once.
+const JUMP_HEIGHT = (MOVEMENT.jumpSpeed ** 2) / (2 * MOVEMENT.gravity);
+// Movement a lag spike may deliver at once, in seconds of full speed
+const BURST_SECONDS = 0.5;
+// Physics jitter and pushes from other parts
+const DISTANCE_SLACK = 2;
+// Moves arriving closer together than this (a lag burst) don't say how fast the player moves
+const MIN_SAMPLE_SECONDS = 0.02;
+// Moves sent before the client got a correction or teleport are dropped, not counted
+const CORRECTION_GRACE_MS = 500;
+// REPORT.violations within REPORT.windowMs are logged, at most once per REPORT.cooldownMs
+const REPORT = { violations: 5, windowMs: 60 * 1000, cooldownMs: 5 * 60 * 1000 };
+
+const movement = new Map(); // playerId -> last accepted position, vertical speed and credits
+
+function freshState(position, now) {
+    return {
+        x: position.x,
+        y: position.y,
+        z: position.z,
+        at: now,
+        vy: 0,
+        walkCredit: MOVEMENT.walkSpeed * BURST_SECONDS,
+        climbCredit: MOVEMENT.flySpeed * BURST_SECONDS,
+        riseCredit: JUMP_HEIGHT,
+        fallCredit: MOVEMENT.gravity * BURST_SECONDS ** 2 / 2,
+        graceUntil: 0,
+        violations: [],
+        reportedAt: 0
+    };
+}
+
+// Which rule the move breaks, or null
+function findViolation(state, p, next, dt) {
+    const walked = Math.hypot(next.x - state.x, next.z - state.z);
+    if (walked > state.walkCredit + DISTANCE_SLACK) {
+        return { kind: 'speed', details: `${walked.toFixed(1)} unidades em ${dt.toFixed(2)}s` };
+    }
+    const rise = next.y - state.y;
+    if (p.flying) {
+        if (rise > state.climbCredit + DISTANCE_SLACK) {
+            return { kind: 'fly_speed', details: `subiu ${rise.toFixed(1)} unidades em ${dt.toFixed(2)}s` };
+        }
+    } else if (rise > state.riseCredit + DISTANCE_SLACK) {
+        return { kind: 'jump', details: `subiu ${rise.toFixed(1)} unidades em ${dt.toFixed(2)}s` };
+    }
+    if (-rise > state.fallCredit + DISTANCE_SLACK) {
+        return { kind: 'fall', details: `desceu ${(-rise).toFixed(1)} unidades em ${dt.toFixed(2)}s` };
+    }
+    return null;
+}
+
+function recordViolation(socket, p, state, violation, now) {
+    state.violations = state.violations.filter(time => now - time < REPORT.windowMs);
+    state.violations.push(now);
+    if (state.violations.length < REPORT.violations || now - state.reportedAt < REPORT.cooldownMs) return;
+
+    state.reportedAt = now;
+    const details = `${state.violations.length} correções em ${REPORT.windowMs / 1000}s; última: ${violation.details}`;
+    console.log(`[anticheat] ${p.nickname} (${violation.kind}) in ${p.room}: ${details}`);
+    recordAnticheatEvent({
+        playerId: socket.account ? socket.account.id : null,
+        nickname: p.nickname,
+        room: p.room,
+        kind: violation.kind,
+        details
+    }).catch(err => console.error('Error recording anti-cheat event:', err));
+}
+
+// Checks a move of `p` (the socket's players entry) to `next`. Returns true when it
+// may be applied; otherwise the client has been sent back to its last accepted position.
+function checkMove(socket, p, next, now = Date.now()) {
+    if (!movement.has(p.id)) movement.set(p.id, freshState(p, now));
+    const state = movement.get(p.id);
+
+    // Credits grow with time, up to a burst's worth
+    const dt = Math.max(0, (now - state.at) / 1000);
+    const walkSpeed = MOVEMENT.walkSpeed * (p.speedMultiplier || 1);
+    state.walkCredit = Math.min(walkSpeed * BURST_SECONDS, state.walkCredit + walkSpeed * dt);
+    state.climbCredit = Math.min(MOVEMENT.flySpeed * BURST_SECONDS, state.climbCredit + MOVEMENT.flySpeed * dt);
+    state.riseCredit = Math.min(JUMP_HEIGHT, state.riseCredit + MOVEMENT.jumpSpeed * dt);
+    // Falling: at most free fall from the last measured vertical speed (fly speed while flying)
+    const fallFrom = Math.max(0, -state.vy, p.flying ? MOVEMENT.flySpeed : 0);
+    const fallTo = Math.min(MOVEMENT.fallSpeed, fallFrom + MOVEMENT.gravity * dt);
+    state.fallCredit = Math.min(fallTo * BURST_SECONDS, state.fallCredit + ((fallFrom + fallTo) / 2) * dt);
+    state.at = now;
+
+    const violation = findViolation(state, p, next, dt);
+    if (violation) {
+        if (now < state.graceUntil) return false;
+        state.graceUntil = now + CORRECTION_GRACE_MS;
+        socket.emit('positionCorrection', { x: state.x, y: state.y, z: state.z });
+        recordViolation(socket, p, state, violation, now);
+        return false;
+    }
+
+    const rise = next.y - state.y;
+    state.walkCredit = Math.max(0, state.walkCredit - Math.hypot(next.x - state.x, next.z - state.z));
+    state.climbCredit = Math.max(0, state.climbCredit - Math.max(0, rise));
+    state.riseCredit = Math.max(0, state.riseCredit - Math.max(0, rise));
+    // Fall credit only carries over while still falling; standing doesn't save any up
+    state.fallCredit = rise < 0 ? Math.max(0, state.fallCredit + rise) : 0;
+    // A falling body only slows down by landing, which ends the descent; while it goes
+    // on, a slow sample (moves held back by lag) doesn't lower the measured fall speed
+    if (dt >= MIN_SAMPLE_SECONDS) {
+        state.vy = rise < 0 ? Math.min(rise / dt, state.vy) : rise / dt;
+    }
+    state.x = next.x;
+    state.y = next.y;
+    state.z = next.z;
+    return true;
+}
+
+// The server moved the player (teleport, respawn); moves still on their way are dropped
+function resetMovement(playerId, position, now = Date.now()) {
+    const state = freshState(position, now);
+    state.graceUntil = now + CORRECTION_GRACE_MS;
+    const previous = movement.get(playerId);
+    if (previous) {
+        state.violations = previous.violations;
+        state.reportedAt = previous.reportedAt;
+    }
+    movement.set(playerId, state);
+}
+
+// Called when a player leaves
+function clearMovement(playerId) {
+    movement.delete(playerId);
+}
+
+module.exports = {
+    MOVEMENT,
+    checkMove,
+    resetMovement,
+    clearMovement
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { getSession } = require('./database');
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Failed logins allowed per address and username, and per address over all usernames,
+// within LOGIN_LIMITS.windowMs; further attempts are refused until the oldest expires
+const LOGIN_LIMITS = { perAccount: 5, perAddress: 20, windowMs: 15 * 60 * 1000 };
+// Behind a reverse proxy set ROGOLD_TRUST_PROXY=1 so X-Forwarded-For names the client
+const TRUST_PROXY = process.env.ROGOLD_TRUST_PROXY === '1';
+
+const loginFailures = new Map(); // key -> timestamps of recent failures
+
+// Hash a password with a per-user random salt (scrypt)
+function hashPassword(password, salt = crypto.randomBytes(SALT_BYTES).toString('hex')) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(String(password), salt, KEY_LENGTH, (err, derivedKey) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ hash: derivedKey.toString('hex'), salt });
+            }
+        });
+    });
+}
+
+async function verifyPassword(password, hash, salt) {
+    if (!hash || !salt) return false;
+    const { hash: candidate } = await hashPassword(password, salt);
+    const a = Buffer.from(candidate, 'hex');
+    const b = Buffer.from(hash, 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function generateSessionToken() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function generatePlayerId() {
+    return 'player_' + crypto.randomBytes(8).toString('hex');
+}
+
+// Guests keep the id the server gave them across reconnects (game.js stores it), so
+// per-guest state such as chat mutes follows the guest rather than its address
+function generateGuestId() {
+    return 'guest_' + crypto.randomBytes(16).toString('hex');
+}
+
+// The guest id sent in a socket handshake, or a new one if it is missing or malformed
+function resolveGuestId(guestId) {
+    return typeof guestId === 'string' && /^guest_[a-f0-9]{32}$/.test(guestId) ? guestId : generateGuestId();
+}
+
+// Returns an error message for an invalid username/password, or null if valid
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return 'O nome de usuário deve ter de 3 a 20 caracteres (letras, números ou _).';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.`;
+    }
+    return null;
+}
+
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+([a-f0-9]{64})$/i);
+    return match ? match[1] : null;
+}
+
+// Address of the client behind an express request or a socket.io handshake
+function getClientAddress(source) {
+    if (TRUST_PROXY) {
+        const forwarded = String((source.headers && source.headers['x-forwarded-for']) || '').split(',')[0].trim();
+        if (forwarded) return forwarded;
+    }
+    return source.address || (source.socket && source.socket.remoteAddress) || 'unknown';
+}
+
+function loginKeys(address, username) {
+    return [
+        [`address:${address}`, LOGIN_LIMITS.perAddress],
+        [`account:${address}:${String(username).toLowerCase()}`, LOGIN_LIMITS.perAccount]
+    ];
+}
+
+function recentFailures(key, now) {
+    const times = (loginFailures.get(key) || []).filter(time => now - time < LOGIN_LIMITS.windowMs);
+    if (times.length > 0) {
+        loginFailures.set(key, times);
+    } else {
+        loginFailures.delete(key);
+    }
+    return times;
+}
+
+// Milliseconds until `address` may try `username` again, 0 if it may now
+function getLoginRetryDelay(address, username, now = Date.now()) {
+    return Math.max(0, ...loginKeys(address, username).map(([key, limit]) => {
+        const times = recentFailures(key, now);
+        return times.length >= limit ? times[times.length - limit] + LOGIN_LIMITS.windowMs - now : 0;
+    }));
+}
+
+function recordLoginFailure(address, username, now = Date.now()) {
+    loginKeys(address, username).forEach(([key]) => {
+        loginFailures.set(key, [...recentFailures(key, now), now]);
+    });
+}
+
+// A successful login forgets that account's failures (not the address-wide count)
+function clearLoginFailures(address, username) {
+    loginFailures.delete(loginKeys(address, username)[1][0]);
+}
+
+// Resolves the session for a token, or null if missing/expired
+async function authenticateToken(token) {
+    if (typeof token !== 'string' || !/^[a-f0-9]{64}$/i.test(token)) return null;
+    return getSession(token);
+}
+
+// Express middleware: attaches req.session or responds 401
+async function requireAuth(req, res, next) {
+    try {
+        const session = await authenticateToken(getRequestToken(req));
+        if (!session) {
+            return res.status(401).json({ error: 'Sessão inválida ou expirada. Faça login novamente.' });
+        }
+        req.session = session;
+        next();
+    } catch (error) {
+        console.error('Error checking session:', error);
+        res.status(500).json({ error: 'Failed to check session' });
+    }
+}
+
+module.exports = {
+    SESSION_TTL_MS,
+    hashPassword,
+    verifyPassword,
+    generateSessionToken,
+    generatePlayerId,
+    resolveGuestId,
+    validateCredentials,
+    getRequestToken,
+    getClientAddress,
+    getLoginRetryDelay,
+    recordLoginFailure,
+    clearLoginFailures,
+    authenticateToken,
+    requireAuth
+};
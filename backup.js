@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const initSqlJs = require('sql.js');
+const { exportDatabase, replaceDatabase } = require('./database');
+const { THUMBNAILS_DIR } = require('./games');
+
+// Backups live in <BACKUPS_DIR>/<id>/: a copy of rogold.db, the thumbnails the games in
+// it reference and a manifest.json describing both. The directory is outside the app
+// root, which the server serves as static files; ROGOLD_BACKUPS_DIR overrides it.
+const BACKUPS_DIR = path.resolve(process.env.ROGOLD_BACKUPS_DIR || path.join(__dirname, '..', 'rogold-backups'));
+const BACKUP_ID_PATTERN = /^[\w-]+$/;
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Reads facts about a database snapshot without touching the live database
+async function inspectSnapshot(buffer) {
+    const SQL = await initSqlJs();
+    const db = new SQL.Database(buffer);
+    try {
+        const values = sql => {
+            const result = db.exec(sql);
+            return result.length > 0 ? result[0].values : [];
+        };
+        const thumbnails = values(`
+            SELECT thumbnail FROM games WHERE thumbnail LIKE '/thumbnails/%'
+            UNION SELECT thumbnail FROM game_versions WHERE thumbnail LIKE '/thumbnails/%'
+        `).map(([thumbnail]) => path.basename(thumbnail));
+        const [[schemaVersion]] = values(`SELECT MAX(version) FROM schema_version`);
+        const [[games]] = values(`SELECT COUNT(*) FROM games`);
+        const [[players]] = values(`SELECT COUNT(*) FROM players`);
+        return { thumbnails, schemaVersion: schemaVersion || 0, games, players };
+    } finally {
+        db.close();
+    }
+}
+
+// Copies the database and its thumbnails into a new backup directory
+async function createBackup(label = '') {
+    // Exported in one synchronous step, so the copy is consistent even while the server writes
+    const snapshot = await exportDatabase();
+    const createdAt = new Date();
+    const slug = String(label).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    const id = createdAt.toISOString().replace(/[:.]/g, '-') + (slug ? `_${slug}` : '');
+    const backupDir = path.join(BACKUPS_DIR, id);
+    const info = await inspectSnapshot(snapshot);
+
+    fs.mkdirSync(path.join(backupDir, 'thumbnails'), { recursive: true });
+    fs.writeFileSync(path.join(backupDir, 'rogold.db'), snapshot);
+
+    const thumbnails = [];
+    const missingThumbnails = [];
+    info.thumbnails.forEach(filename => {
+        try {
+            fs.copyFileSync(path.join(THUMBNAILS_DIR, filename), path.join(backupDir, 'thumbnails', filename));
+            thumbnails.push(filename);
+        } catch (err) {
+            missingThumbnails.push(filename);
+        }
+    });
+
+    const manifest = {
+        id,
+        label: String(label),
+        createdAt: createdAt.toISOString(),
+        schemaVersion: info.schemaVersion,
+        database: { file: 'rogold.db', size: snapshot.length, sha256: sha256(snapshot) },
+        counts: { games: info.games, players: info.players },
+        thumbnails,
+        missingThumbnails
+    };
+    fs.writeFileSync(path.join(backupDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    return manifest;
+}
+
+// Manifests of every backup, newest first
+function listBackups() {
+    if (!fs.existsSync(BACKUPS_DIR)) return [];
+    return fs.readdirSync(BACKUPS_DIR)
+        .filter(id => BACKUP_ID_PATTERN.test(id))
+        .map(id => {
+            try {
+                return JSON.parse(fs.readFileSync(path.join(BACKUPS_DIR, id, 'manifest.json'), 'utf8'));
+            } catch (err) {
+                return null; // Incomplete backup
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Restores a backup over the live database and thumbnails. The current state is backed
+// up first (label "pre-restore") so a restore can itself be undone.
+async function restoreBackup(id) {
+    if (typeof id !== 'string' || !BACKUP_ID_PATTERN.test(id)) {
+        return { success: false, error: 'not_found' };
+    }
+    const backupDir = path.join(BACKUPS_DIR, id);
+    let manifest;
+    let snapshot;
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(backupDir, 'manifest.json'), 'utf8'));
+        snapshot = fs.readFileSync(path.join(backupDir, path.basename(manifest.database.file)));
+    } catch (err) {
+        return { success: false, error: 'not_found' };
+    }
+    if (sha256(snapshot) !== manifest.database.sha256) {
+        return { success: false, error: 'corrupt' };
+    }
+
+    const safetyBackup = await createBackup('pre-restore');
+
+    fs.mkdirSync(THUMBNAILS_DIR, { recursive: true });
+    manifest.thumbnails.map(filename => path.basename(filename)).forEach(filename => {
+        fs.copyFileSync(path.join(backupDir, 'thumbnails', filename), path.join(THUMBNAILS_DIR, filename));
+    });
+    await replaceDatabase(snapshot);
+
+    return { success: true, restored: manifest, safetyBackup: safetyBackup.id };
+}
+
+module.exports = {
+    BACKUPS_DIR,
+    createBackup,
+    listBackups,
+    restoreBackup
+};
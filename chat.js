@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+
+// Room chat: message limits, mutes (from /mute or from flooding), the word filter
+// configured in chat-filter.json and the recent messages late joiners are sent.
+//
+// Every chat event carries a channel: all (the room), whisper (/w, sender and
+// recipient only), team (/t, players with the same players[id].team) or system
+// (joins, leaves, kills and moderation, sent by the server). Only all and system
+// messages are kept in the room history.
+const CHAT_CHANNELS = ['all', 'whisper', 'team', 'system'];
+const CHAT_MAX_LENGTH = 200;
+const CHAT_HISTORY_SIZE = 50;
+const CHAT_FILTER_FILE = path.join(__dirname, 'chat-filter.json');
+
+// Flooding: more than RATE_LIMIT.messages in RATE_LIMIT.windowMs mutes the socket,
+// longer each time it happens again before STRIKE_RESET_MS passes
+const RATE_LIMIT = { messages: 5, windowMs: 5000 };
+const FLOOD_MUTES_MS = [10 * 1000, 30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
+const STRIKE_RESET_MS = 10 * 60 * 1000;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Mutes are kept in memory until they expire, keyed by account (or by guest id for guests)
+const mutes = new Map();
+const histories = new Map(); // room -> last CHAT_HISTORY_SIZE messages
+let blockedWords = new Set();
+let blockedPrefixes = [];
+let maskCharacter = '*';
+
+// "por 10 minutos" / "permanentemente"
+function describeDuration(ms) {
+    if (ms === null || ms === Infinity) return 'permanentemente';
+    const units = [
+        [DURATION_UNITS.d, 'dia', 'dias'],
+        [DURATION_UNITS.h, 'hora', 'horas'],
+        [DURATION_UNITS.m, 'minuto', 'minutos'],
+        [DURATION_UNITS.s, 'segundo', 'segundos']
+    ];
+    const [size, one, many] = units.find(([unitSize]) => ms >= unitSize) || units[units.length - 1];
+    const count = Math.max(1, Math.round(ms / size));
+    return `por ${count} ${count === 1 ? one : many}`;
+}
+
+// MUTES
+// Guests get a new nickname on every connection, so their mutes follow the guest id the
+// server issued them, which the client sends back when it reconnects
+function muteKey(socket) {
+    return socket.account ? `account:${socket.account.id}` : `guest:${socket.guestId}`;
+}
+
+// Mutes for `ms` milliseconds, null mutes until the server restarts
+function muteSocket(socket, ms) {
+    mutes.set(muteKey(socket), ms === null ? Infinity : Date.now() + ms);
+}
+
+function unmuteSocket(socket) {
+    return mutes.delete(muteKey(socket));
+}
+
+// Milliseconds the socket's player stays muted (Infinity if permanent), 0 if they may chat
+function getMuteRemaining(socket) {
+    const key = muteKey(socket);
+    const until = mutes.get(key);
+    if (!until) return 0;
+    if (until <= Date.now()) {
+        mutes.delete(key);
+        return 0;
+    }
+    return until - Date.now();
+}
+
+// Counts a message against the socket's own rate limit. Returns the notice for the
+// player when this message tipped it over (and mutes it), otherwise null.
+function checkRateLimit(socket) {
+    const now = Date.now();
+    socket.chatSentAt = (socket.chatSentAt || []).filter(time => now - time < RATE_LIMIT.windowMs);
+    socket.chatSentAt.push(now);
+    if (socket.chatSentAt.length <= RATE_LIMIT.messages) return null;
+
+    if (!socket.chatLastStrikeAt || now - socket.chatLastStrikeAt > STRIKE_RESET_MS) {
+        socket.chatStrikes = 0;
+    }
+    const duration = FLOOD_MUTES_MS[Math.min(socket.chatStrikes, FLOOD_MUTES_MS.length - 1)];
+    socket.chatStrikes++;
+    socket.chatLastStrikeAt = now;
+    socket.chatSentAt = [];
+    muteSocket(socket, duration);
+    return `Você está enviando mensagens rápido demais e foi silenciado ${describeDuration(duration)}.`;
+}
+
+// WORD FILTER
+// chat-filter.json: { "mask": "*", "words": ["palavra", "prefixo*"] }. Words match whole
+// words ignoring case and accents; a trailing * matches every word starting with it.
+function normalizeWord(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function loadChatFilter(file = CHAT_FILTER_FILE) {
+    let config = {};
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`Invalid chat filter ${path.basename(file)}, keeping the previous one:`, err.message);
+            return false;
+        }
+    }
+    const words = Array.isArray(config.words) ? config.words.filter(word => typeof word === 'string' && word.trim()) : [];
+    const normalized = words.map(word => normalizeWord(word.trim()));
+    blockedWords = new Set(normalized.filter(word => !word.endsWith('*')));
+    blockedPrefixes = normalized.filter(word => word.endsWith('*')).map(word => word.slice(0, -1)).filter(Boolean);
+    maskCharacter = typeof config.mask === 'string' && config.mask.length === 1 ? config.mask : '*';
+    return true;
+}
+
+function isBlockedWord(word) {
+    const normalized = normalizeWord(word);
+    return blockedWords.has(normalized) || blockedPrefixes.some(prefix => normalized.startsWith(prefix));
+}
+
+// Replaces every blocked word with mask characters of the same length
+function filterChatMessage(message) {
+    return message.replace(/[\p{L}\p{N}]+/gu, word => (isBlockedWord(word) ? maskCharacter.repeat(word.length) : word));
+}
+
+// Reloads the filter when chat-filter.json changes; returns the watcher
+function watchChatFilter(file = CHAT_FILTER_FILE) {
+    const watcher = fs.watchFile(file, { interval: 5000 }, () => {
+        if (loadChatFilter(file)) {
+            console.log(`Reloaded ${path.basename(file)}`);
+        }
+    });
+    watcher.unref();
+    return watcher;
+}
+
+// CHANNELS
+// Sends a message to the room and keeps it for players who join later
+function broadcastChat(io, room, { playerId, nickname, message, channel = 'all' }) {
+    const entry = { playerId, nickname, message, channel, sentAt: Date.now() };
+    const history = histories.get(room) || [];
+    history.push(entry);
+    if (history.length > CHAT_HISTORY_SIZE) history.shift();
+    histories.set(room, history);
+    io.to(room).emit('chat', { playerId, nickname, message, channel });
+}
+
+function sendSystemMessage(io, room, message) {
+    broadcastChat(io, room, { playerId: null, nickname: 'Sistema', message, channel: 'system' });
+}
+
+// Both sides see the whisper; `to` names the recipient so the sender's copy reads "para ..."
+function sendWhisper(io, socket, target, message) {
+    const whisper = { playerId: socket.id, nickname: socket.nickname, message, channel: 'whisper', to: target.nickname };
+    io.to(target.id).emit('chat', whisper);
+    socket.emit('chat', whisper);
+}
+
+// To everyone in the room on the sender's team, sender included
+function sendTeamChat(io, socket, players, message) {
+    const sender = players[socket.id];
+    const teammates = Object.values(players).filter(p => p.room === sender.room && p.team === sender.team);
+    teammates.forEach(p => {
+        io.to(p.id).emit('chat', { playerId: socket.id, nickname: socket.nickname, message, channel: 'team', team: sender.team });
+    });
+}
+
+function getChatHistory(room) {
+    return histories.get(room) || [];
+}
+
+// Called when the last player leaves a room
+function clearChatHistory(room) {
+    histories.delete(room);
+}
+
+loadChatFilter();
+
+module.exports = {
+    CHAT_CHANNELS,
+    CHAT_MAX_LENGTH,
+    CHAT_HISTORY_SIZE,
+    describeDuration,
+    muteSocket,
+    unmuteSocket,
+    getMuteRemaining,
+    checkRateLimit,
+    loadChatFilter,
+    filterChatMessage,
+    watchChatFilter,
+    broadcastChat,
+    sendSystemMessage,
+    sendWhisper,
+    sendTeamChat,
+    getChatHistory,
+    clearChatHistory
+};
@@ -0,0 +1,443 @@
+const { createBan, getActiveBan, liftBans, getAccountByNickname, getAnticheatEvents } = require('./database');
+const { moderationRank, outranks } = require('./roles');
+const { getClientAddress } = require('./auth');
+const {
+    describeDuration,
+    muteSocket,
+    unmuteSocket,
+    getMuteRemaining,
+    filterChatMessage,
+    sendSystemMessage,
+    sendWhisper,
+    sendTeamChat
+} = require('./chat');
+const { killPlayer } = require('./combat');
+const { resetMovement } = require('./anticheat');
+
+// Chat commands ("/kick Fulano spam"). Messages starting with "/" never reach the room:
+// the server parses them, checks the sender's permissions and answers the sender with
+// a commandResult event. A command is registered with registerCommand:
+//
+//   name, aliases   how it is typed
+//   args            [{ name, type, optional }], type is player (someone in the sender's room),
+//                   duration (30s, 10m, 2h, 7d or perm), number, word, or text (rest of the line)
+//   permission      from roles.js; omitted for commands anyone may use
+//   description     shown by /help
+//   run(ctx, args)  returns { success, message }
+//
+// ctx is { io, socket, players, can(permission) } where can resolves to a boolean.
+const commands = new Map();
+const commandAliases = new Map();
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const PERMANENT_DURATIONS = ['perm', 'permanente'];
+const DEFAULT_MUTE_MS = 5 * 60 * 1000;
+const SPEED_LIMITS = { min: 0.25, max: 5 };
+const DANIEL_COOLDOWN_MS = 20000;
+const ANTICHEAT_LIST_SIZE = 5;
+
+function registerCommand(command) {
+    commands.set(command.name, { args: [], aliases: [], ...command });
+    (command.aliases || []).forEach(alias => commandAliases.set(alias, command.name));
+}
+
+function findCommand(name) {
+    const key = String(name).toLowerCase();
+    return commands.get(key) || commands.get(commandAliases.get(key)) || null;
+}
+
+function commandUsage(command) {
+    const args = command.args.map(arg => (arg.optional ? `[${arg.name}]` : `<${arg.name}>`));
+    return ['/' + command.name, ...args].join(' ');
+}
+
+function ok(message) {
+    return { success: true, message };
+}
+
+function fail(message) {
+    return { success: false, message };
+}
+
+// "10m" -> 600000, "perm" -> null (permanent), anything else -> undefined
+function parseDuration(text) {
+    const value = String(text).toLowerCase();
+    if (PERMANENT_DURATIONS.includes(value)) return null;
+    const match = value.match(/^(\d+)([smhd])$/);
+    if (!match || Number(match[1]) === 0) return undefined;
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// Someone in the sender's room by exact name, or by a prefix only one player matches
+function findRoomPlayer(ctx, name) {
+    const wanted = String(name).toLowerCase();
+    const roomPlayers = Object.values(ctx.players).filter(p => p.room === ctx.socket.roomName);
+    const exact = roomPlayers.find(p => p.nickname.toLowerCase() === wanted);
+    if (exact) return exact;
+    const matches = roomPlayers.filter(p => p.nickname.toLowerCase().startsWith(wanted));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+function parseArgs(command, tokens, ctx) {
+    const args = {};
+    for (let i = 0; i < command.args.length; i++) {
+        const arg = command.args[i];
+        if (tokens.length === 0) {
+            if (arg.optional) break;
+            return { error: `Falta o argumento ${arg.name}.` };
+        }
+        if (arg.type === 'text') {
+            args[arg.name] = tokens.splice(0).join(' ');
+            break;
+        }
+        const token = tokens.shift();
+        if (arg.type === 'player') {
+            const target = findRoomPlayer(ctx, token);
+            if (!target) return { error: `Jogador ${token} não encontrado nesta sala.` };
+            args[arg.name] = target;
+        } else if (arg.type === 'duration') {
+            const duration = parseDuration(token);
+            if (duration === undefined) return { error: `Duração inválida: ${token} (use 30s, 10m, 2h, 7d ou perm).` };
+            args[arg.name] = duration;
+        } else if (arg.type === 'number') {
+            const number = Number(token);
+            if (!Number.isFinite(number)) return { error: `${token} não é um número.` };
+            args[arg.name] = number;
+        } else {
+            args[arg.name] = token;
+        }
+    }
+    if (tokens.length > 0) {
+        return { error: 'Argumentos demais.' };
+    }
+    return { args };
+}
+
+// Runs a "/..." chat message for ctx.socket and sends the result back to it
+async function executeChatCommand(message, ctx) {
+    const [name, ...tokens] = message.slice(1).trim().split(/\s+/);
+    const command = findCommand(name);
+    let result;
+    if (!command) {
+        result = fail(`Comando desconhecido: /${name}. Digite /help para ver os comandos.`);
+    } else if (command.permission && !(await ctx.can(command.permission))) {
+        result = fail(`Você não tem permissão para usar /${command.name}.`);
+    } else {
+        const parsed = parseArgs(command, tokens, ctx);
+        result = parsed.error
+            ? fail(`${parsed.error} Uso: ${commandUsage(command)}`)
+            : await command.run(ctx, parsed.args);
+    }
+    ctx.socket.emit('commandResult', { command: command ? command.name : name, ...result });
+    return result;
+}
+
+// TARGET CHECKS
+function targetSocket(ctx, target) {
+    return ctx.io.sockets.sockets.get(target.id) || null;
+}
+
+// Error message when the sender may not moderate `target`, or null
+function moderationError(ctx, target, socket) {
+    if (target.id === ctx.socket.id) return 'Você não pode usar este comando em si mesmo.';
+    if (!socket) return `${target.nickname} não está mais conectado.`;
+    const actorRoles = ctx.socket.account ? ctx.socket.account.roles : [];
+    const targetRoles = socket.account ? socket.account.roles : [];
+    if (!outranks(actorRoles, targetRoles)) return `Você não pode moderar ${target.nickname}.`;
+    return null;
+}
+
+function announce(ctx, message) {
+    sendSystemMessage(ctx.io, ctx.socket.roomName, message);
+}
+
+// Commands run while muted, but the ones that talk must not
+function muteError(ctx) {
+    const muted = getMuteRemaining(ctx.socket);
+    return muted > 0 ? `Você está silenciado ${describeDuration(muted)}.` : null;
+}
+
+function logModeration(ctx, action) {
+    console.log(`[moderation] ${ctx.socket.nickname} ${action}`);
+}
+
+function teleport(ctx, target, destination) {
+    // Beside the destination player rather than inside them
+    const position = { x: destination.x + 2, y: destination.y, z: destination.z };
+    Object.assign(target, position);
+    resetMovement(target.id, position);
+    ctx.io.to(target.id).emit('teleport', position);
+}
+
+// BUILT-IN COMMANDS
+registerCommand({
+    name: 'help',
+    aliases: ['ajuda', '?'],
+    args: [{ name: 'comando', type: 'word', optional: true }],
+    description: 'Lista os comandos ou explica um deles.',
+    async run(ctx, { comando }) {
+        if (comando) {
+            const command = findCommand(comando.replace(/^\//, ''));
+            if (!command) return fail(`Comando desconhecido: /${comando}.`);
+            return ok(`${commandUsage(command)} - ${command.description}`);
+        }
+        const available = [];
+        for (const command of commands.values()) {
+            if (!command.permission || await ctx.can(command.permission)) {
+                available.push(commandUsage(command));
+            }
+        }
+        return ok(`Comandos: ${available.join(', ')}`);
+    }
+});
+
+registerCommand({
+    name: 'w',
+    aliases: ['whisper', 'msg', 'sussurrar'],
+    args: [{ name: 'jogador', type: 'player' }, { name: 'mensagem', type: 'text' }],
+    description: 'Envia uma mensagem que só o jogador vê.',
+    async run(ctx, { jogador, mensagem }) {
+        const error = muteError(ctx);
+        if (error) return fail(error);
+        if (jogador.id === ctx.socket.id) return fail('Você não pode sussurrar para si mesmo.');
+        sendWhisper(ctx.io, ctx.socket, jogador, filterChatMessage(mensagem));
+        return ok('');
+    }
+});
+
+registerCommand({
+    name: 't',
+    aliases: ['team', 'time'],
+    args: [{ name: 'mensagem', type: 'text' }],
+    description: 'Envia uma mensagem só para o seu time.',
+    async run(ctx, { mensagem }) {
+        const error = muteError(ctx);
+        if (error) return fail(error);
+        const me = ctx.players[ctx.socket.id];
+        if (!me || !me.team) return fail('Você não está em um time.');
+        sendTeamChat(ctx.io, ctx.socket, ctx.players, filterChatMessage(mensagem));
+        return ok('');
+    }
+});
+
+registerCommand({
+    name: 'kick',
+    args: [{ name: 'jogador', type: 'player' }, { name: 'motivo', type: 'text', optional: true }],
+    permission: 'moderate',
+    description: 'Expulsa um jogador da sala.',
+    async run(ctx, { jogador, motivo }) {
+        const socket = targetSocket(ctx, jogador);
+        const error = moderationError(ctx, jogador, socket);
+        if (error) return fail(error);
+        socket.emit('kicked', { reason: motivo || null });
+        socket.disconnect(true);
+        announce(ctx, `${jogador.nickname} foi expulso.${motivo ? ` Motivo: ${motivo}` : ''}`);
+        logModeration(ctx, `kicked ${jogador.nickname} from ${ctx.socket.roomName}${motivo ? `: ${motivo}` : ''}`);
+        return ok(`${jogador.nickname} foi expulso.`);
+    }
+});
+
+registerCommand({
+    name: 'ban',
+    args: [
+        { name: 'jogador', type: 'player' },
+        { name: 'duração', type: 'duration' },
+        { name: 'motivo', type: 'text', optional: true }
+    ],
+    permission: 'moderate',
+    description: 'Bane uma conta do jogo por um tempo (30s, 10m, 2h, 7d) ou para sempre (perm).',
+    async run(ctx, { jogador, 'duração': duration, motivo }) {
+        const socket = targetSocket(ctx, jogador);
+        const error = moderationError(ctx, jogador, socket);
+        if (error) return fail(error);
+        if (!socket.account) {
+            return fail(`${jogador.nickname} é convidado e não tem conta para banir. Use /kick.`);
+        }
+        const expiresAt = duration === null ? null : Date.now() + duration;
+        const address = getClientAddress(socket.handshake);
+        await createBan(socket.account.id, ctx.socket.account.id, motivo, expiresAt, address,
+            moderationRank(ctx.socket.account.roles));
+
+        // Out of every room the account is playing in, along with guests from its address
+        for (const other of ctx.io.sockets.sockets.values()) {
+            const sameAccount = other.account && other.account.id === socket.account.id;
+            const guestAtAddress = !other.account && getClientAddress(other.handshake) === address;
+            if ((sameAccount || guestAtAddress) && ctx.players[other.id]) {
+                other.emit('banned', { reason: motivo || null, expiresAt });
+                other.disconnect(true);
+            }
+        }
+        announce(ctx, `${jogador.nickname} foi banido ${describeDuration(duration)}.${motivo ? ` Motivo: ${motivo}` : ''}`);
+        logModeration(ctx, `banned ${jogador.nickname} ${describeDuration(duration)}${motivo ? `: ${motivo}` : ''}`);
+        return ok(`${jogador.nickname} foi banido ${describeDuration(duration)}.`);
+    }
+});
+
+registerCommand({
+    name: 'unban',
+    args: [{ name: 'conta', type: 'word' }],
+    permission: 'moderate',
+    description: 'Retira o banimento de uma conta.',
+    async run(ctx, { conta }) {
+        const account = await getAccountByNickname(conta);
+        const ban = account ? await getActiveBan(account.id) : null;
+        if (!ban) {
+            return fail(`${conta} não está banido.`);
+        }
+        // Only someone of at least the rank that placed the ban may lift it
+        if (moderationRank(ctx.socket.account.roles) < ban.issuerRank) {
+            return fail(`Você não pode retirar o banimento de ${account.nickname}.`);
+        }
+        await liftBans(account.id);
+        logModeration(ctx, `unbanned ${account.nickname}`);
+        return ok(`O banimento de ${account.nickname} foi retirado.`);
+    }
+});
+
+registerCommand({
+    name: 'mute',
+    args: [{ name: 'jogador', type: 'player' }, { name: 'duração', type: 'duration', optional: true }],
+    permission: 'moderate',
+    description: 'Impede um jogador de falar no chat (5 minutos se a duração for omitida).',
+    async run(ctx, { jogador, 'duração': duration = DEFAULT_MUTE_MS }) {
+        const socket = targetSocket(ctx, jogador);
+        const error = moderationError(ctx, jogador, socket);
+        if (error) return fail(error);
+        muteSocket(socket, duration);
+        socket.emit('chatNotice', { message: `Você foi silenciado ${describeDuration(duration)}.` });
+        logModeration(ctx, `muted ${jogador.nickname} ${describeDuration(duration)}`);
+        return ok(`${jogador.nickname} foi silenciado ${describeDuration(duration)}.`);
+    }
+});
+
+registerCommand({
+    name: 'unmute',
+    args: [{ name: 'jogador', type: 'player' }],
+    permission: 'moderate',
+    description: 'Permite que um jogador silenciado volte a falar.',
+    async run(ctx, { jogador }) {
+        const socket = targetSocket(ctx, jogador);
+        if (!socket || !unmuteSocket(socket)) {
+            return fail(`${jogador.nickname} não está silenciado.`);
+        }
+        socket.emit('chatNotice', { message: 'Você pode falar no chat novamente.' });
+        return ok(`${jogador.nickname} pode falar novamente.`);
+    }
+});
+
+registerCommand({
+    name: 'anticheat',
+    aliases: ['ac'],
+    args: [{ name: 'jogador', type: 'word', optional: true }],
+    permission: 'moderate',
+    description: 'Mostra os últimos jogadores pegos repetidamente pelo anti-cheat de movimento.',
+    async run(ctx, { jogador }) {
+        const events = await getAnticheatEvents(jogador || null, ANTICHEAT_LIST_SIZE);
+        if (events.length === 0) {
+            return ok(jogador ? `Nenhum registro de anti-cheat para ${jogador}.` : 'Nenhum registro de anti-cheat.');
+        }
+        const lines = events.map(event => `${event.nickname} [${event.kind}] ${event.createdAt} em ${event.room}: ${event.details}`);
+        return ok(`Anti-cheat: ${lines.join(' | ')}`);
+    }
+});
+
+registerCommand({
+    name: 'tp',
+    aliases: ['teleport'],
+    args: [{ name: 'jogador', type: 'player' }],
+    permission: 'moderate',
+    description: 'Teleporta você até um jogador.',
+    async run(ctx, { jogador }) {
+        const me = ctx.players[ctx.socket.id];
+        if (!me) return fail('Você ainda não entrou na sala.');
+        if (jogador.id === me.id) return fail('Você não pode usar este comando em si mesmo.');
+        teleport(ctx, me, jogador);
+        return ok(`Teleportado até ${jogador.nickname}.`);
+    }
+});
+
+registerCommand({
+    name: 'bring',
+    args: [{ name: 'jogador', type: 'player' }],
+    permission: 'moderate',
+    description: 'Traz um jogador até você.',
+    async run(ctx, { jogador }) {
+        const me = ctx.players[ctx.socket.id];
+        if (!me) return fail('Você ainda não entrou na sala.');
+        if (jogador.id === me.id) return fail('Você não pode usar este comando em si mesmo.');
+        teleport(ctx, jogador, me);
+        ctx.io.to(jogador.id).emit('chatNotice', { message: `${ctx.socket.nickname} teleportou você.` });
+        return ok(`${jogador.nickname} foi trazido até você.`);
+    }
+});
+
+registerCommand({
+    name: 'fly',
+    args: [{ name: 'jogador', type: 'player', optional: true }],
+    permission: 'room_effects',
+    description: 'Liga ou desliga o modo voo (Espaço sobe, Shift desce).',
+    async run(ctx, { jogador }) {
+        const target = jogador || ctx.players[ctx.socket.id];
+        if (!target) return fail('Você ainda não entrou na sala.');
+        target.flying = !target.flying;
+        ctx.io.to(target.id).emit('setFly', { enabled: target.flying });
+        const state = target.flying ? 'ligado' : 'desligado';
+        return ok(target.id === ctx.socket.id ? `Voo ${state}.` : `Voo ${state} para ${target.nickname}.`);
+    }
+});
+
+registerCommand({
+    name: 'speed',
+    args: [{ name: 'multiplicador', type: 'number' }, { name: 'jogador', type: 'player', optional: true }],
+    permission: 'room_effects',
+    description: `Muda a velocidade de caminhada (${SPEED_LIMITS.min} a ${SPEED_LIMITS.max}, 1 é o normal).`,
+    async run(ctx, { multiplicador, jogador }) {
+        const target = jogador || ctx.players[ctx.socket.id];
+        if (!target) return fail('Você ainda não entrou na sala.');
+        if (multiplicador < SPEED_LIMITS.min || multiplicador > SPEED_LIMITS.max) {
+            return fail(`A velocidade deve ficar entre ${SPEED_LIMITS.min} e ${SPEED_LIMITS.max}.`);
+        }
+        target.speedMultiplier = multiplicador;
+        ctx.io.to(target.id).emit('setSpeed', { multiplier: multiplicador });
+        return ok(target.id === ctx.socket.id
+            ? `Velocidade ${multiplicador}x.`
+            : `Velocidade de ${target.nickname}: ${multiplicador}x.`);
+    }
+});
+
+// Room effects; "/e dance" is handled by the game client itself
+registerCommand({
+    name: 'e',
+    args: [{ name: 'efeito', type: 'word' }, { name: 'jogador', type: 'player', optional: true }],
+    permission: 'room_effects',
+    description: 'Efeitos na sala: /e daniel, /e explode <jogador>.',
+    async run(ctx, { efeito, jogador }) {
+        if (efeito === 'daniel') {
+            const now = Date.now();
+            if (ctx.socket.lastDaniel && now - ctx.socket.lastDaniel < DANIEL_COOLDOWN_MS) {
+                return fail('Aguarde antes de usar /e daniel novamente.');
+            }
+            ctx.socket.lastDaniel = now;
+            ctx.io.to(ctx.socket.roomName).emit('danielEvent');
+            return ok('');
+        }
+        if (efeito === 'explode') {
+            if (!jogador) return fail('Uso: /e explode <jogador>');
+            // It kills, so only players the sender outranks (or the sender)
+            if (jogador.id !== ctx.socket.id) {
+                const error = moderationError(ctx, jogador, targetSocket(ctx, jogador));
+                if (error) return fail(error);
+            }
+            ctx.io.to(ctx.socket.roomName).emit('adminExplode', { target: jogador.nickname });
+            killPlayer(ctx.io, ctx.players, jogador.id, ctx.socket.id);
+            return ok('');
+        }
+        return fail(`Efeito desconhecido: ${efeito}.`);
+    }
+});
+
+module.exports = {
+    registerCommand,
+    executeChatCommand,
+    parseDuration
+};
@@ -0,0 +1,63 @@
+const { sendSystemMessage } = require('./chat');
+const { resetMovement } = require('./anticheat');
+
+// Player health lives on the server. Damage comes from the rockets simulated in
+// projectiles.js and from moderation commands; deaths and respawns are decided
+// here. healthUpdate, playerDied and playerRespawned are only ever sent from here.
+const MAX_HEALTH = 100;
+const RESPAWN_DELAY_MS = 3000;
+const SPAWN_POSITION = { x: 0, y: 3, z: 0 };
+
+const respawnTimers = new Map(); // playerId -> timeout
+
+function applyDamage(io, players, victimId, amount, killerId = null) {
+    const victim = players[victimId];
+    if (!victim || victim.dead) return;
+    victim.health = Math.max(0, victim.health - amount);
+    if (victim.health <= 0) {
+        killPlayer(io, players, victimId, killerId);
+    } else {
+        io.to(victim.room).emit('healthUpdate', { playerId: victimId, health: victim.health });
+    }
+}
+
+// `killerId` is null for deaths nobody caused (the respawn button)
+function killPlayer(io, players, victimId, killerId = null) {
+    const victim = players[victimId];
+    if (!victim || victim.dead) return;
+    victim.health = 0;
+    victim.dead = true;
+    io.to(victim.room).emit('healthUpdate', { playerId: victimId, health: 0 });
+    io.to(victim.room).emit('playerDied', { killer: killerId, victim: victimId });
+
+    // Kill feed for the system chat channel
+    const killer = killerId && killerId !== victimId ? players[killerId] : null;
+    sendSystemMessage(io, victim.room, killer ? `${killer.nickname} eliminou ${victim.nickname}.` : `${victim.nickname} morreu.`);
+
+    clearTimeout(respawnTimers.get(victimId));
+    respawnTimers.set(victimId, setTimeout(() => respawnPlayer(io, players, victimId), RESPAWN_DELAY_MS));
+}
+
+function respawnPlayer(io, players, playerId) {
+    respawnTimers.delete(playerId);
+    const p = players[playerId];
+    if (!p) return;
+    p.dead = false;
+    p.health = MAX_HEALTH;
+    Object.assign(p, SPAWN_POSITION);
+    resetMovement(playerId, SPAWN_POSITION);
+    io.to(p.room).emit('playerRespawned', { playerId, position: { ...SPAWN_POSITION }, health: p.health });
+}
+
+// Called when a player leaves
+function clearPlayerCombat(playerId) {
+    clearTimeout(respawnTimers.get(playerId));
+    respawnTimers.delete(playerId);
+}
+
+module.exports = {
+    MAX_HEALTH,
+    applyDamage,
+    killPlayer,
+    clearPlayerCombat
+};
@@ -1,87 +1,289 @@
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
+const { getMigrationStatus, runMigrations } = require('./migrator');
 
-// Initialize sql.js asynchronously
-const dbPath = path.join(__dirname, 'rogold.db');
-let dbPromise = initSqlJs().then(SQL => {
+// Initialize sql.js asynchronously. ROGOLD_DB_PATH points elsewhere (the tests use a
+// throwaway file).
+const dbPath = process.env.ROGOLD_DB_PATH ? path.resolve(process.env.ROGOLD_DB_PATH) : path.join(__dirname, 'rogold.db');
+const tmpPath = `${dbPath}.tmp`;
+const journalPath = `${dbPath}.journal`;
+const pidPath = `${dbPath}.pid`;
+
+// Writes are applied in memory, appended to the journal right away and written to
+// rogold.db in batches: SAVE_DEBOUNCE_MS after the last write, or at most
+// SAVE_MAX_DELAY_MS after the first unsaved one.
+const SAVE_DEBOUNCE_MS = 1000;
+const SAVE_MAX_DELAY_MS = 5000;
+
+let SQL = null;
+let loadedDb = null;
+let journalSeq = 0;
+let saveTimer = null;
+let firstUnsavedAt = null;
+
+let dbPromise = initSqlJs().then(sqlModule => {
+  SQL = sqlModule;
   let db;
+  // A leftover temp file is a snapshot that never finished writing
+  fs.rmSync(tmpPath, { force: true });
   try {
     const filebuffer = fs.readFileSync(dbPath);
     db = new SQL.Database(filebuffer);
   } catch (err) {
     db = new SQL.Database(); // Create new database if file doesn't exist
   }
+  ensureJournalState(db);
+  loadedDb = db;
   return db;
 });
 
-// Function to save database to file
-async function saveDatabase() {
-  const db = await dbPromise;
-  const data = db.export();
-  const buffer = Buffer.from(data);
-  fs.writeFileSync(dbPath, buffer);
-}
-
-// Create tables
-dbPromise.then(db => {
+// Sequence number of the last journal entry contained in the snapshot
+function ensureJournalState(db) {
   db.run(`
-      CREATE TABLE IF NOT EXISTS games (
-          id TEXT PRIMARY KEY,
-          title TEXT NOT NULL,
-          data TEXT NOT NULL,
-          thumbnail TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      CREATE TABLE IF NOT EXISTS journal_state (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          last_seq INTEGER NOT NULL
       )
   `);
+}
 
-  db.run(`
-      CREATE TABLE IF NOT EXISTS maps (
-          name TEXT PRIMARY KEY,
-          data TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-  `);
+// Writes the whole database to disk: export to a temp file, fsync, then rename over
+// rogold.db so a crash mid-write never leaves a half-written file. The journal is
+// emptied afterwards since the snapshot now contains every entry in it.
+function flushDatabase() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  firstUnsavedAt = null;
+  if (!loadedDb) return;
 
-  db.run(`
-      CREATE TABLE IF NOT EXISTS players (
-          id TEXT PRIMARY KEY,
-          nickname TEXT UNIQUE NOT NULL,
-          data TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-  `);
+  loadedDb.run(`INSERT OR REPLACE INTO journal_state (id, last_seq) VALUES (1, ?)`, [journalSeq]);
+  const buffer = Buffer.from(loadedDb.export());
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, buffer);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, dbPath);
+  fs.writeFileSync(journalPath, '');
+}
+
+// Schedules a batched save (see SAVE_DEBOUNCE_MS); call flushDatabase() to save now
+async function saveDatabase() {
+  const now = Date.now();
+  if (firstUnsavedAt === null) firstUnsavedAt = now;
+  clearTimeout(saveTimer);
+  const delay = Math.max(0, Math.min(SAVE_DEBOUNCE_MS, firstUnsavedAt + SAVE_MAX_DELAY_MS - now));
+  saveTimer = setTimeout(() => {
+    try {
+      flushDatabase();
+    } catch (err) {
+      console.error('Error saving database:', err);
+    }
+  }, delay);
+  // Pending saves must not keep short-lived scripts alive, the exit handler flushes them
+  saveTimer.unref();
+}
+
+// The server records its pid next to rogold.db while it runs. Offline tools (admin.js)
+// check it first: they would load the same file and the server's next save would
+// overwrite whatever they wrote.
+function markServerRunning() {
+  fs.writeFileSync(pidPath, String(process.pid));
+  process.on('exit', () => {
+    try {
+      if (fs.readFileSync(pidPath, 'utf8') === String(process.pid)) fs.rmSync(pidPath, { force: true });
+    } catch (err) {
+      // Already gone
+    }
+  });
+}
+
+// Pid of the server using rogold.db, or null when none is running
+function getRunningServerPid() {
+  let pid;
+  try {
+    pid = parseInt(fs.readFileSync(pidPath, 'utf8'), 10);
+  } catch (err) {
+    return null;
+  }
+  if (!pid || pid === process.pid) return null;
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (err) {
+    return err.code === 'EPERM' ? pid : null; // EPERM: alive, owned by another user
+  }
+}
 
-  // Save database after creating tables
-  saveDatabase();
+// Last chance for writes still waiting on the debounce
+process.on('exit', () => {
+  if (saveTimer) {
+    flushDatabase();
+  }
 });
 
-// Game functions
-async function saveGame(gameId, gameData) {
+// Every statement that changed something is appended to the journal before the
+// caller continues, so it survives a crash that happens before the next save.
+function appendJournal(sql, params) {
+  journalSeq += 1;
+  try {
+    fs.appendFileSync(journalPath, JSON.stringify({ seq: journalSeq, sql, params }) + '\n');
+  } catch (err) {
+    console.error('Error writing database journal:', err);
+  }
+}
+
+// Re-applies journal entries newer than the snapshot; returns how many were applied
+function replayJournal(db) {
+  const state = db.exec(`SELECT last_seq FROM journal_state WHERE id = 1`);
+  const snapshotSeq = state.length > 0 ? state[0].values[0][0] : 0;
+  journalSeq = snapshotSeq;
+
+  let lines;
+  try {
+    lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  } catch (err) {
+    return 0; // No journal yet
+  }
+
+  let replayed = 0;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let entry;
     try {
-        const db = await dbPromise;
-        const { title, thumbnail, ...data } = gameData;
-        const sql = `
-            INSERT OR REPLACE INTO games (id, title, data, thumbnail, updated_at)
-            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
-        `;
-        const stmt = db.prepare(sql);
-        stmt.run([gameId, title, JSON.stringify(data), thumbnail]);
-        stmt.free();
-        await saveDatabase();
-        return { success: true };
+      entry = JSON.parse(line);
     } catch (err) {
-        throw err;
+      // Only the last line can be partial, from a crash in the middle of an append
+      console.warn('Ignoring incomplete database journal entry');
+      break;
+    }
+    journalSeq = Math.max(journalSeq, entry.seq);
+    if (entry.seq <= snapshotSeq) continue;
+    try {
+      db.run(entry.sql, entry.params);
+      replayed++;
+    } catch (err) {
+      console.error(`Error replaying database journal entry ${entry.seq}:`, err.message);
+    }
+  }
+  return replayed;
+}
+
+// The unique nickname indexes (exact and case-insensitive) refused the write
+function isNicknameTaken(err) {
+  return /UNIQUE constraint failed: players\.nickname/.test(err && err.message);
+}
+
+// Small query helpers shared by the account/session functions below
+async function queryOne(sql, params = []) {
+  const db = await dbPromise;
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  const result = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return result;
+}
+
+async function queryAll(sql, params = []) {
+  const db = await dbPromise;
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  const results = [];
+  while (stmt.step()) {
+    results.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return results;
+}
+
+// All writes go through here so they reach the journal
+async function runStatement(sql, params = []) {
+  const db = await dbPromise;
+  const stmt = db.prepare(sql);
+  stmt.run(params);
+  stmt.free();
+  const changes = db.getRowsModified();
+  if (changes > 0) {
+    appendJournal(sql, params);
+  }
+  return changes;
+}
+
+// Startup: recover journaled writes, then bring the schema up to date.
+// Journal entries were written against the schema of the previous run, so they are
+// replayed before any new migration. Set ROGOLD_AUTO_MIGRATE=0 to apply migrations
+// by hand with `npm run migrate` instead.
+dbPromise.then(db => {
+  const replayed = replayJournal(db);
+  if (replayed > 0) {
+    console.log(`Recovered ${replayed} database writes from the journal`);
+  }
+
+  if (process.env.ROGOLD_AUTO_MIGRATE === '0') {
+    const status = getMigrationStatus(db);
+    if (status.version < status.latest) {
+      console.warn(`Database schema is at version ${status.version}, latest is ${status.latest}. Run "npm run migrate".`);
     }
+  } else {
+    runMigrations(db).forEach(migration => {
+      console.log(`Applied migration ${migration.file}`);
+    });
+  }
+
+  // Save database after recovery and migrations
+  flushDatabase();
+});
+
+// Schema version and the applied/pending migration steps
+async function getSchemaStatus() {
+  const db = await dbPromise;
+  return getMigrationStatus(db);
+}
+
+// Point-in-time copy of the whole database file, taken in a single synchronous step
+async function exportDatabase() {
+  const db = await dbPromise;
+  return Buffer.from(db.export());
+}
+
+// Swaps the live database for a saved copy (restoring a backup). The copy is migrated
+// to the current schema and saved immediately, pending journal entries are dropped.
+async function replaceDatabase(buffer) {
+  const current = await dbPromise;
+  const db = new SQL.Database(buffer);
+  try {
+    ensureJournalState(db);
+    runMigrations(db);
+  } catch (err) {
+    db.close();
+    throw err;
+  }
+  loadedDb = db;
+  dbPromise = Promise.resolve(db);
+  current.close();
+  flushDatabase();
+}
+
+// Applies pending migrations up to `target` and saves right away
+async function migrateDatabase(target) {
+  const db = await dbPromise;
+  const applied = runMigrations(db, target);
+  flushDatabase();
+  return applied;
 }
 
+// Game functions
 async function getGame(gameId) {
     try {
         const db = await dbPromise;
-        const sql = `SELECT * FROM games WHERE id = ?`;
+        const sql = `
+            SELECT g.*, p.nickname AS creator FROM games g
+            LEFT JOIN players p ON p.id = g.owner_id
+            WHERE g.id = ?
+        `;
         const stmt = db.prepare(sql);
         const result = stmt.getAsObject([gameId]);
         stmt.free();
@@ -92,6 +294,11 @@ async function getGame(gameId) {
                 title: result.title,
                 thumbnail: result.thumbnail,
                 ...data,
+                description: result.description || '',
+                tags: await getGameTags(result.id),
+                stats: await getGameStats(result.id),
+                ownerId: result.owner_id,
+                creator: result.creator,
                 createdAt: result.created_at,
                 updatedAt: result.updated_at
             };
@@ -125,13 +332,161 @@ async function getAllGames() {
     }
 }
 
+// Filtered game list for discovery; sorting and pagination happen in server.js
+// because "currently active" depends on live player counts.
+async function searchGames({ search = '', genre = null } = {}) {
+    try {
+        const conditions = [];
+        const params = [];
+        if (search) {
+            const pattern = `%${String(search).replace(/[\\%_]/g, '\\$&')}%`;
+            conditions.push(`(g.title LIKE ? ESCAPE '\\' OR g.description LIKE ? ESCAPE '\\')`);
+            params.push(pattern, pattern);
+        }
+        if (genre) {
+            conditions.push(`EXISTS (SELECT 1 FROM game_tags t WHERE t.game_id = g.id AND t.tag = ?)`);
+            params.push(genre);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = await queryAll(`
+            SELECT g.id, g.title, g.description, g.thumbnail, g.created_at, p.nickname AS creator,
+                (SELECT GROUP_CONCAT(tag) FROM game_tags t WHERE t.game_id = g.id) AS tags,
+                COALESCE(s.visits, 0) AS visits,
+                COALESCE(s.unique_players, 0) AS unique_players,
+                COALESCE(s.playtime_seconds, 0) AS playtime_seconds,
+                COALESCE(s.peak_concurrent, 0) AS peak_concurrent,
+                (SELECT AVG(rating) FROM game_ratings r WHERE r.game_id = g.id) AS rating_average,
+                (SELECT COUNT(*) FROM game_ratings r WHERE r.game_id = g.id) AS rating_count
+            FROM games g
+            LEFT JOIN players p ON p.id = g.owner_id
+            LEFT JOIN game_stats s ON s.game_id = g.id
+            ${where}
+        `, params);
+        return rows.map(row => ({
+            id: row.id,
+            title: row.title,
+            description: row.description || '',
+            thumbnail: row.thumbnail,
+            creator: row.creator,
+            tags: row.tags ? row.tags.split(',') : [],
+            stats: formatGameStats(row),
+            rating: {
+                average: row.rating_average ? Math.round(row.rating_average * 10) / 10 : 0,
+                count: row.rating_count
+            },
+            timestamp: row.created_at
+        }));
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getGameTags(gameId) {
+    try {
+        const rows = await queryAll(`SELECT tag FROM game_tags WHERE game_id = ? ORDER BY tag`, [gameId]);
+        return rows.map(row => row.tag);
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function setGameTags(gameId, tags) {
+    try {
+        await runStatement(`DELETE FROM game_tags WHERE game_id = ?`, [gameId]);
+        for (const tag of tags) {
+            await runStatement(`INSERT OR IGNORE INTO game_tags (game_id, tag) VALUES (?, ?)`, [gameId, tag]);
+        }
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// One rating (1-5) per account per game; rating again replaces the old one
+async function rateGame(gameId, playerId, rating) {
+    try {
+        await runStatement(`
+            INSERT INTO game_ratings (game_id, player_id, rating) VALUES (?, ?, ?)
+            ON CONFLICT(game_id, player_id) DO UPDATE SET rating = excluded.rating, created_at = CURRENT_TIMESTAMP
+        `, [gameId, playerId, rating]);
+        await saveDatabase();
+        const result = await queryOne(`
+            SELECT AVG(rating) AS average, COUNT(*) AS count FROM game_ratings WHERE game_id = ?
+        `, [gameId]);
+        return { success: true, average: Math.round(result.average * 10) / 10, count: result.count };
+    } catch (err) {
+        throw err;
+    }
+}
+
+function formatGameStats(row) {
+    return {
+        visits: row ? row.visits : 0,
+        uniquePlayers: row ? row.unique_players : 0,
+        playtimeSeconds: row ? row.playtime_seconds : 0,
+        peakConcurrent: row ? row.peak_concurrent : 0
+    };
+}
+
+async function getGameStats(gameId) {
+    try {
+        const row = await queryOne(`SELECT * FROM game_stats WHERE game_id = ?`, [gameId]);
+        return formatGameStats(row);
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Counted once per join of a published game's room. visitorId identifies the
+// account (or guest) for unique players, concurrent is the room size after joining.
+async function recordGameVisit(gameId, visitorId, concurrent) {
+    try {
+        const game = await queryOne(`SELECT id FROM games WHERE id = ?`, [gameId]);
+        if (!game) {
+            return { success: false };
+        }
+        const firstVisit = await runStatement(`
+            INSERT OR IGNORE INTO game_visitors (game_id, visitor_id) VALUES (?, ?)
+        `, [gameId, visitorId]);
+        await runStatement(`
+            INSERT INTO game_stats (game_id, visits, unique_players, peak_concurrent) VALUES (?, 1, ?, ?)
+            ON CONFLICT(game_id) DO UPDATE SET
+                visits = visits + 1,
+                unique_players = unique_players + excluded.unique_players,
+                peak_concurrent = MAX(peak_concurrent, excluded.peak_concurrent)
+        `, [gameId, firstVisit > 0 ? 1 : 0, concurrent]);
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Adds the time a player spent in a game's room to its total playtime
+async function recordGamePlaytime(gameId, seconds) {
+    try {
+        const changed = await runStatement(`
+            UPDATE game_stats SET playtime_seconds = playtime_seconds + ? WHERE game_id = ?
+        `, [Math.max(0, Math.round(seconds)), gameId]);
+        if (changed > 0) {
+            await saveDatabase();
+        }
+        return { success: changed > 0 };
+    } catch (err) {
+        throw err;
+    }
+}
+
 async function deleteGame(gameId) {
     try {
-        const db = await dbPromise;
         const sql = `DELETE FROM games WHERE id = ?`;
-        const stmt = db.prepare(sql);
-        stmt.run([gameId]);
-        stmt.free();
+        await runStatement(sql, [gameId]);
+        await runStatement(`DELETE FROM game_versions WHERE game_id = ?`, [gameId]);
+        await runStatement(`DELETE FROM game_tags WHERE game_id = ?`, [gameId]);
+        await runStatement(`DELETE FROM game_ratings WHERE game_id = ?`, [gameId]);
+        await runStatement(`DELETE FROM game_stats WHERE game_id = ?`, [gameId]);
+        await runStatement(`DELETE FROM game_visitors WHERE game_id = ?`, [gameId]);
         await saveDatabase();
         return { success: true };
     } catch (err) {
@@ -139,26 +494,185 @@ async function deleteGame(gameId) {
     }
 }
 
-// Synchronous versions for backward compatibility
-async function saveGameSync(gameId, gameData) {
+// Game version functions
+async function getLatestGameVersion(gameId) {
     try {
-        const db = await dbPromise;
-        const { title, thumbnail, ...data } = gameData;
-        const sql = `
-            INSERT OR REPLACE INTO games (id, title, data, thumbnail, updated_at)
-            VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
-        `;
-        const stmt = db.prepare(sql);
-        stmt.run([gameId, title || '', JSON.stringify(data), thumbnail || '']);
-        stmt.free();
+        const result = await queryOne(`SELECT MAX(version) AS version FROM game_versions WHERE game_id = ?`, [gameId]);
+        return result && result.version ? result.version : 0;
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Stores gameData as the next version of gameId and makes it the live game
+async function publishGameVersion(gameId, gameData, publishedBy, changelog = null) {
+    try {
+        const { title, thumbnail, changelog: _changelog, description, tags, ...data } = gameData;
+        const version = (await getLatestGameVersion(gameId)) + 1;
+        const serialized = JSON.stringify(data);
+        await runStatement(`
+            INSERT INTO game_versions (game_id, version, title, data, thumbnail, published_by, changelog)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [gameId, version, title, serialized, thumbnail, publishedBy, changelog]);
+        // The first publisher becomes the owner; later versions keep it
+        // A missing description keeps the current one
+        await runStatement(`
+            INSERT INTO games (id, title, data, thumbnail, owner_id, description) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                title = excluded.title, data = excluded.data,
+                thumbnail = excluded.thumbnail, updated_at = CURRENT_TIMESTAMP,
+                description = COALESCE(excluded.description, games.description)
+        `, [gameId, title, serialized, thumbnail, publishedBy, typeof description === 'string' ? description : null]);
+        if (Array.isArray(tags)) {
+            await setGameTags(gameId, tags);
+        }
+        await saveDatabase();
+        return { success: true, version };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getGameVersions(gameId) {
+    try {
+        const rows = await queryAll(`
+            SELECT v.version, v.title, v.thumbnail, v.changelog, v.created_at, p.nickname AS published_by
+            FROM game_versions v LEFT JOIN players p ON p.id = v.published_by
+            WHERE v.game_id = ? ORDER BY v.version DESC
+        `, [gameId]);
+        return rows.map(row => ({
+            version: row.version,
+            title: row.title,
+            thumbnail: row.thumbnail,
+            changelog: row.changelog,
+            publishedBy: row.published_by,
+            createdAt: row.created_at
+        }));
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getGameVersion(gameId, version) {
+    try {
+        const row = await queryOne(`SELECT * FROM game_versions WHERE game_id = ? AND version = ?`, [gameId, version]);
+        if (!row) return null;
+        return {
+            version: row.version,
+            title: row.title,
+            thumbnail: row.thumbnail,
+            data: JSON.parse(row.data),
+            publishedBy: row.published_by,
+            changelog: row.changelog,
+            createdAt: row.created_at
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Rolling back republishes an old version as a new one, so history is never rewritten
+async function rollbackGame(gameId, version, publishedBy) {
+    try {
+        const target = await getGameVersion(gameId, version);
+        if (!target) {
+            return { success: false, error: 'version_not_found' };
+        }
+        return publishGameVersion(
+            gameId,
+            { title: target.title, thumbnail: target.thumbnail, ...target.data },
+            publishedBy,
+            `Rollback to version ${version}`
+        );
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getGameOwner(gameId) {
+    try {
+        const row = await queryOne(`SELECT owner_id FROM games WHERE id = ?`, [gameId]);
+        return row ? row.owner_id : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getGamesOwnedBy(playerId) {
+    try {
+        const rows = await queryAll(`
+            SELECT g.id, g.title, g.description, g.thumbnail, g.updated_at,
+                (SELECT MAX(version) FROM game_versions WHERE game_id = g.id) AS version
+            FROM games g
+            WHERE g.owner_id = ? ORDER BY g.updated_at DESC
+        `, [playerId]);
+        const games = [];
+        for (const row of rows) {
+            games.push({
+                id: row.id,
+                title: row.title,
+                description: row.description || '',
+                tags: await getGameTags(row.id),
+                thumbnail: row.thumbnail,
+                version: row.version,
+                updatedAt: row.updated_at
+            });
+        }
+        return games;
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Game file imports (games/ folder)
+async function getGameImport(file) {
+    try {
+        const row = await queryOne(`SELECT * FROM game_imports WHERE file = ?`, [file]);
+        return row ? { file: row.file, hash: row.hash, gameId: row.game_id, importedAt: row.imported_at } : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getGameImportByGameId(gameId) {
+    try {
+        const row = await queryOne(`SELECT * FROM game_imports WHERE game_id = ?`, [gameId]);
+        return row ? { file: row.file, hash: row.hash, gameId: row.game_id, importedAt: row.imported_at } : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function recordGameImport(file, hash, gameId) {
+    try {
+        await runStatement(`
+            INSERT INTO game_imports (file, hash, game_id) VALUES (?, ?, ?)
+            ON CONFLICT(file) DO UPDATE SET hash = excluded.hash, game_id = excluded.game_id, imported_at = CURRENT_TIMESTAMP
+        `, [file, hash, gameId]);
         await saveDatabase();
         return { success: true };
-    } catch (error) {
-        console.error('Error saving game:', error);
-        return { success: false, error: error.message };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Moves a game's creation date back to `createdAt` (SQLite "YYYY-MM-DD HH:MM:SS", UTC),
+// never forward. Returns whether it changed.
+async function backdateGameCreation(gameId, createdAt) {
+    try {
+        const changed = await runStatement(`
+            UPDATE games SET created_at = ? WHERE id = ? AND (created_at IS NULL OR created_at > ?)
+        `, [createdAt, gameId, createdAt]);
+        if (changed > 0) {
+            await saveDatabase();
+        }
+        return changed > 0;
+    } catch (err) {
+        throw err;
     }
 }
 
+// Synchronous versions for backward compatibility
 async function getGameSync(gameId) {
     try {
         const db = await dbPromise;
@@ -209,11 +723,8 @@ async function getAllGamesSync() {
 
 async function deleteGameSync(gameId) {
     try {
-        const db = await dbPromise;
         const sql = `DELETE FROM games WHERE id = ?`;
-        const stmt = db.prepare(sql);
-        stmt.run([gameId]);
-        stmt.free();
+        await runStatement(sql, [gameId]);
         await saveDatabase();
         return { success: true };
     } catch (error) {
@@ -225,14 +736,11 @@ async function deleteGameSync(gameId) {
 // Map functions
 async function saveMap(mapName, mapData) {
     try {
-        const db = await dbPromise;
         const sql = `
             INSERT OR REPLACE INTO maps (name, data, updated_at)
             VALUES (?, ?, CURRENT_TIMESTAMP)
         `;
-        const stmt = db.prepare(sql);
-        stmt.run([mapName, JSON.stringify(mapData)]);
-        stmt.free();
+        await runStatement(sql, [mapName, JSON.stringify(mapData)]);
         await saveDatabase();
         return { success: true };
     } catch (err) {
@@ -276,11 +784,8 @@ async function getAllMaps() {
 
 async function deleteMap(mapName) {
     try {
-        const db = await dbPromise;
         const sql = `DELETE FROM maps WHERE name = ?`;
-        const stmt = db.prepare(sql);
-        stmt.run([mapName]);
-        stmt.free();
+        await runStatement(sql, [mapName]);
         await saveDatabase();
         return { success: true };
     } catch (err) {
@@ -291,14 +796,11 @@ async function deleteMap(mapName) {
 // Player functions
 async function savePlayer(playerId, nickname, playerData = {}) {
     try {
-        const db = await dbPromise;
         const sql = `
             INSERT OR REPLACE INTO players (id, nickname, data, updated_at)
             VALUES (?, ?, ?, CURRENT_TIMESTAMP)
         `;
-        const stmt = db.prepare(sql);
-        stmt.run([playerId, nickname, JSON.stringify(playerData)]);
-        stmt.free();
+        await runStatement(sql, [playerId, nickname, JSON.stringify(playerData)]);
         await saveDatabase();
         return { success: true };
     } catch (err) {
@@ -371,11 +873,8 @@ async function getAllNicknames() {
 
 async function deletePlayer(playerId) {
     try {
-        const db = await dbPromise;
         const sql = `DELETE FROM players WHERE id = ?`;
-        const stmt = db.prepare(sql);
-        stmt.run([playerId]);
-        stmt.free();
+        await runStatement(sql, [playerId]);
         await saveDatabase();
         return { success: true };
     } catch (err) {
@@ -383,14 +882,891 @@ async function deletePlayer(playerId) {
     }
 }
 
-
-// Export functions
-module.exports = {
-    saveGame,
-    getGame,
+// Account functions
+async function createAccount(playerId, nickname, passwordHash, passwordSalt) {
+    try {
+        const sql = `
+            INSERT INTO players (id, nickname, data, password_hash, password_salt, updated_at)
+            VALUES (?, ?, '{}', ?, ?, CURRENT_TIMESTAMP)
+        `;
+        await runStatement(sql, [playerId, nickname, passwordHash, passwordSalt]);
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        if (isNicknameTaken(err)) return { success: false, error: 'nickname_taken' };
+        throw err;
+    }
+}
+
+async function getAccountByNickname(nickname) {
+    try {
+        // Nicknames are matched case-insensitively so "Daniel" cannot shadow "daniel"
+        const sql = `SELECT * FROM players WHERE nickname = ? COLLATE NOCASE`;
+        const result = await queryOne(sql, [nickname]);
+        if (result && result.id) {
+            return {
+                id: result.id,
+                nickname: result.nickname,
+                passwordHash: result.password_hash,
+                passwordSalt: result.password_salt,
+                createdAt: result.created_at
+            };
+        }
+        return null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function updateAccount(playerId, { nickname, passwordHash, passwordSalt }) {
+    try {
+        if (nickname) {
+            try {
+                await runStatement(
+                    `UPDATE players SET nickname = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [nickname, playerId]
+                );
+            } catch (err) {
+                if (isNicknameTaken(err)) return { success: false, error: 'nickname_taken' };
+                throw err;
+            }
+        }
+        if (passwordHash && passwordSalt) {
+            await runStatement(
+                `UPDATE players SET password_hash = ?, password_salt = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [passwordHash, passwordSalt, playerId]
+            );
+        }
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function searchNicknames(query, limit = 20) {
+    try {
+        const sql = `
+            SELECT nickname FROM players
+            WHERE password_hash IS NOT NULL AND nickname LIKE ? ESCAPE '\\'
+            ORDER BY nickname LIMIT ?
+        `;
+        const escaped = String(query).replace(/[\\%_]/g, '\\$&');
+        const rows = await queryAll(sql, [`%${escaped}%`, limit]);
+        return rows.map(row => row.nickname);
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Role functions (see roles.js for what each role allows)
+async function getPlayerRoles(playerId) {
+    try {
+        const rows = await queryAll(`SELECT role FROM player_roles WHERE player_id = ? ORDER BY role`, [playerId]);
+        return rows.map(row => row.role);
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Every account holding at least one role
+async function getRoleHolders() {
+    try {
+        const rows = await queryAll(`
+            SELECT r.player_id, p.nickname, r.role, r.granted_at, g.nickname AS granted_by
+            FROM player_roles r
+            JOIN players p ON p.id = r.player_id
+            LEFT JOIN players g ON g.id = r.granted_by
+            ORDER BY p.nickname, r.role
+        `);
+        return rows.map(row => ({
+            playerId: row.player_id,
+            nickname: row.nickname,
+            role: row.role,
+            grantedBy: row.granted_by,
+            grantedAt: row.granted_at
+        }));
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function grantRole(playerId, role, grantedBy = null) {
+    try {
+        const changed = await runStatement(`
+            INSERT OR IGNORE INTO player_roles (player_id, role, granted_by) VALUES (?, ?, ?)
+        `, [playerId, role, grantedBy]);
+        if (changed === 0) {
+            return { success: false, error: 'already_granted' };
+        }
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function revokeRole(playerId, role) {
+    try {
+        // The last owner cannot be removed, someone must be able to manage roles
+        if (role === 'owner') {
+            const others = await queryOne(`
+                SELECT COUNT(*) AS count FROM player_roles WHERE role = 'owner' AND player_id != ?
+            `, [playerId]);
+            if (others.count === 0) {
+                return { success: false, error: 'last_owner' };
+            }
+        }
+        const changed = await runStatement(`DELETE FROM player_roles WHERE player_id = ? AND role = ?`, [playerId, role]);
+        if (changed === 0) {
+            return { success: false, error: 'not_granted' };
+        }
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Ban functions. expiresAt is a Date.now() timestamp, null for a permanent ban.
+// `address` is where the banned account connected from, `issuerRank` the moderation
+// rank (roles.js) of whoever placed it.
+async function createBan(playerId, bannedBy, reason, expiresAt, address = null, issuerRank = 0) {
+    try {
+        await runStatement(`
+            INSERT INTO bans (player_id, banned_by, reason, expires_at, address, issuer_rank) VALUES (?, ?, ?, ?, ?, ?)
+        `, [playerId, bannedBy, reason || null, expiresAt, address, issuerRank]);
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+function formatBan(row) {
+    return {
+        id: row.id,
+        reason: row.reason,
+        bannedBy: row.banned_by,
+        issuerRank: row.issuer_rank || 0,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at
+    };
+}
+
+// The ban in force for an account (the one ending last), or null. issuerRank is the
+// highest of all its bans in force, since /unban lifts them together.
+async function getActiveBan(playerId) {
+    try {
+        const row = await queryOne(`
+            SELECT b.id, b.reason, b.expires_at, b.created_at, p.nickname AS banned_by,
+                (SELECT MAX(issuer_rank) FROM bans a
+                 WHERE a.player_id = b.player_id AND a.lifted_at IS NULL AND (a.expires_at IS NULL OR a.expires_at > ?)) AS issuer_rank
+            FROM bans b
+            LEFT JOIN players p ON p.id = b.banned_by
+            WHERE b.player_id = ? AND b.lifted_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > ?)
+            ORDER BY b.expires_at IS NULL DESC, b.expires_at DESC
+            LIMIT 1
+        `, [Date.now(), playerId, Date.now()]);
+        return row ? formatBan(row) : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+// A ban in force placed on an account that connected from `address`, or null
+async function getActiveAddressBan(address) {
+    try {
+        if (!address) return null;
+        const row = await queryOne(`
+            SELECT b.id, b.reason, b.expires_at, b.created_at, b.issuer_rank, p.nickname AS banned_by
+            FROM bans b
+            LEFT JOIN players p ON p.id = b.banned_by
+            WHERE b.address = ? AND b.lifted_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > ?)
+            ORDER BY b.expires_at IS NULL DESC, b.expires_at DESC
+            LIMIT 1
+        `, [address, Date.now()]);
+        return row ? formatBan(row) : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+// The ban keeping a game connection out: the account's own, or for a guest (no
+// playerId) one placed on an account from the same address. Logging out does not
+// get a banned player back in.
+async function getConnectionBan(playerId, address) {
+    return playerId ? getActiveBan(playerId) : getActiveAddressBan(address);
+}
+
+async function liftBans(playerId) {
+    try {
+        const changed = await runStatement(`
+            UPDATE bans SET lifted_at = CURRENT_TIMESTAMP
+            WHERE player_id = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+        `, [playerId, Date.now()]);
+        if (changed === 0) {
+            return { success: false, error: 'not_banned' };
+        }
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Anti-cheat functions
+async function recordAnticheatEvent({ playerId = null, nickname, room = null, kind, details = null }) {
+    try {
+        await runStatement(`
+            INSERT INTO anticheat_events (player_id, nickname, room, kind, details) VALUES (?, ?, ?, ?, ?)
+        `, [playerId, nickname, room, kind, details]);
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Newest first; `nickname` narrows the list to one player
+async function getAnticheatEvents(nickname = null, limit = 10) {
+    try {
+        const sql = `
+            SELECT id, player_id, nickname, room, kind, details, created_at FROM anticheat_events
+            ${nickname ? 'WHERE nickname = ? COLLATE NOCASE' : ''}
+            ORDER BY id DESC LIMIT ?
+        `;
+        const rows = await queryAll(sql, nickname ? [nickname, limit] : [limit]);
+        return rows.map(row => ({
+            id: row.id,
+            playerId: row.player_id,
+            nickname: row.nickname,
+            room: row.room,
+            kind: row.kind,
+            details: row.details,
+            createdAt: row.created_at
+        }));
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Session functions
+async function createSession(token, playerId, expiresAt) {
+    try {
+        const sql = `INSERT INTO sessions (token, player_id, expires_at) VALUES (?, ?, ?)`;
+        await runStatement(sql, [token, playerId, expiresAt]);
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getSession(token) {
+    try {
+        const sql = `
+            SELECT sessions.token, sessions.player_id, sessions.expires_at, players.nickname
+            FROM sessions JOIN players ON players.id = sessions.player_id
+            WHERE sessions.token = ?
+        `;
+        const result = await queryOne(sql, [token]);
+        if (!result) return null;
+        if (result.expires_at <= Date.now()) {
+            await deleteSession(token);
+            return null;
+        }
+        return {
+            token: result.token,
+            playerId: result.player_id,
+            nickname: result.nickname,
+            expiresAt: result.expires_at,
+            roles: await getPlayerRoles(result.player_id)
+        };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function deleteSession(token) {
+    try {
+        await runStatement(`DELETE FROM sessions WHERE token = ?`, [token]);
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function deleteSessionsForPlayer(playerId, exceptToken = null) {
+    try {
+        await runStatement(
+            `DELETE FROM sessions WHERE player_id = ? AND token != ?`,
+            [playerId, exceptToken || '']
+        );
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function deleteExpiredSessions() {
+    try {
+        const removed = await runStatement(`DELETE FROM sessions WHERE expires_at <= ?`, [Date.now()]);
+        if (removed > 0) await saveDatabase();
+        return { success: true, removed };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Goldbucks ledger functions
+async function getCoinBalance(playerId) {
+    try {
+        const sql = `SELECT balance_after FROM coin_transactions WHERE player_id = ? ORDER BY id DESC LIMIT 1`;
+        const result = await queryOne(sql, [playerId]);
+        return result ? result.balance_after : 0;
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Records a credit (positive amount) or debit (negative amount).
+// Debits that would take the balance below zero are refused.
+async function recordCoinTransaction(playerId, amount, reason) {
+    try {
+        const delta = Math.trunc(Number(amount));
+        if (!Number.isFinite(delta) || delta === 0) {
+            return { success: false, error: 'invalid_amount' };
+        }
+        const balance = await getCoinBalance(playerId);
+        const balanceAfter = balance + delta;
+        if (balanceAfter < 0) {
+            return { success: false, error: 'insufficient_funds', balance };
+        }
+        const sql = `
+            INSERT INTO coin_transactions (player_id, amount, balance_after, reason)
+            VALUES (?, ?, ?, ?)
+        `;
+        await runStatement(sql, [playerId, delta, balanceAfter, String(reason)]);
+        await saveDatabase();
+        return { success: true, balance: balanceAfter };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getCoinHistory(playerId, limit = 50, offset = 0) {
+    try {
+        const sql = `
+            SELECT id, amount, balance_after, reason, created_at FROM coin_transactions
+            WHERE player_id = ? ORDER BY id DESC LIMIT ? OFFSET ?
+        `;
+        const rows = await queryAll(sql, [playerId, limit, offset]);
+        return rows.map(row => ({
+            id: row.id,
+            amount: row.amount,
+            balanceAfter: row.balance_after,
+            reason: row.reason,
+            createdAt: row.created_at
+        }));
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Catalog and inventory functions
+function formatCatalogItem(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        price: row.price,
+        modelPath: row.model_path,
+        imageUrl: row.thumbnail,
+        onSale: !!row.on_sale
+    };
+}
+
+async function getCatalogItems({ type = null, includeOffSale = false } = {}) {
+    try {
+        const conditions = [];
+        const params = [];
+        if (type) {
+            conditions.push('type = ?');
+            params.push(type);
+        }
+        if (!includeOffSale) {
+            conditions.push('on_sale = 1');
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = await queryAll(`SELECT * FROM catalog_items ${where} ORDER BY type, price, id`, params);
+        return rows.map(formatCatalogItem);
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getCatalogItem(itemId) {
+    try {
+        const row = await queryOne(`SELECT * FROM catalog_items WHERE id = ?`, [itemId]);
+        return row ? formatCatalogItem(row) : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Faces are sent in-game by texture file, which is the item's thumbnail
+async function getFaceItemByTexture(texture) {
+    try {
+        const row = await queryOne(`SELECT * FROM catalog_items WHERE type = 'face' AND thumbnail = ?`, [texture]);
+        return row ? formatCatalogItem(row) : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Owned items: everything purchased plus every free item
+async function getInventory(playerId) {
+    try {
+        const sql = `
+            SELECT c.*, i.acquired_at FROM catalog_items c
+            LEFT JOIN inventory i ON i.item_id = c.id AND i.player_id = ?
+            WHERE i.player_id IS NOT NULL OR c.price = 0
+            ORDER BY c.type, c.id
+        `;
+        const rows = await queryAll(sql, [playerId]);
+        return rows.map(row => ({ ...formatCatalogItem(row), acquiredAt: row.acquired_at || null }));
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function ownsItem(playerId, itemId) {
+    try {
+        const sql = `
+            SELECT c.id FROM catalog_items c
+            LEFT JOIN inventory i ON i.item_id = c.id AND i.player_id = ?
+            WHERE c.id = ? AND (i.player_id IS NOT NULL OR c.price = 0)
+        `;
+        return !!(await queryOne(sql, [playerId, itemId]));
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Charges the item's price through the ledger and adds it to the inventory
+async function purchaseItem(playerId, itemId) {
+    try {
+        const item = await getCatalogItem(itemId);
+        if (!item) {
+            return { success: false, error: 'not_found' };
+        }
+        if (await ownsItem(playerId, itemId)) {
+            return { success: false, error: 'already_owned' };
+        }
+        if (!item.onSale) {
+            return { success: false, error: 'not_on_sale' };
+        }
+        const charge = await recordCoinTransaction(playerId, -item.price, `catalog_purchase:${itemId}`);
+        if (!charge.success) {
+            return charge;
+        }
+        await runStatement(`INSERT OR IGNORE INTO inventory (player_id, item_id) VALUES (?, ?)`, [playerId, itemId]);
+        await saveDatabase();
+        return { success: true, item, balance: charge.balance };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getEquippedItems(playerId) {
+    try {
+        const rows = await queryAll(`SELECT item_type, item_id FROM equipped_items WHERE player_id = ?`, [playerId]);
+        const equipped = {};
+        rows.forEach(row => {
+            equipped[row.item_type] = row.item_id;
+        });
+        return equipped;
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function equipItem(playerId, itemId) {
+    try {
+        const item = await getCatalogItem(itemId);
+        if (!item) {
+            return { success: false, error: 'not_found' };
+        }
+        if (!(await ownsItem(playerId, itemId))) {
+            return { success: false, error: 'not_owned' };
+        }
+        await runStatement(`
+            INSERT OR REPLACE INTO equipped_items (player_id, item_type, item_id)
+            VALUES (?, ?, ?)
+        `, [playerId, item.type, itemId]);
+        await saveDatabase();
+        return { success: true, item };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function unequipItem(playerId, itemType) {
+    try {
+        const removed = await runStatement(`DELETE FROM equipped_items WHERE player_id = ? AND item_type = ?`, [playerId, itemType]);
+        await saveDatabase();
+        return { success: true, removed };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Friends functions
+async function getFriends(playerId) {
+    try {
+        const sql = `
+            SELECT p.id, p.nickname, f.created_at FROM friendships f
+            JOIN players p ON p.id = f.friend_id
+            WHERE f.player_id = ? ORDER BY p.nickname COLLATE NOCASE
+        `;
+        const rows = await queryAll(sql, [playerId]);
+        return rows.map(row => ({ id: row.id, nickname: row.nickname, since: row.created_at }));
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getFriendRequests(playerId) {
+    try {
+        const incoming = await queryAll(`
+            SELECT p.id, p.nickname, r.created_at FROM friend_requests r
+            JOIN players p ON p.id = r.sender_id
+            WHERE r.receiver_id = ? ORDER BY r.created_at DESC
+        `, [playerId]);
+        const outgoing = await queryAll(`
+            SELECT p.id, p.nickname, r.created_at FROM friend_requests r
+            JOIN players p ON p.id = r.receiver_id
+            WHERE r.sender_id = ? ORDER BY r.created_at DESC
+        `, [playerId]);
+        const format = row => ({ id: row.id, nickname: row.nickname, createdAt: row.created_at });
+        return { incoming: incoming.map(format), outgoing: outgoing.map(format) };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function areFriends(playerId, otherId) {
+    try {
+        return !!(await queryOne(`SELECT 1 AS found FROM friendships WHERE player_id = ? AND friend_id = ?`, [playerId, otherId]));
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function hasFriendRequest(senderId, receiverId) {
+    try {
+        return !!(await queryOne(`SELECT 1 AS found FROM friend_requests WHERE sender_id = ? AND receiver_id = ?`, [senderId, receiverId]));
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function sendFriendRequest(senderId, receiverId) {
+    try {
+        if (senderId === receiverId) {
+            return { success: false, error: 'self' };
+        }
+        if (await areFriends(senderId, receiverId)) {
+            return { success: false, error: 'already_friends' };
+        }
+        if (await hasFriendRequest(senderId, receiverId)) {
+            return { success: false, error: 'already_sent' };
+        }
+        if (await hasFriendRequest(receiverId, senderId)) {
+            return { success: false, error: 'already_received' };
+        }
+        await runStatement(`INSERT INTO friend_requests (sender_id, receiver_id) VALUES (?, ?)`, [senderId, receiverId]);
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function acceptFriendRequest(receiverId, senderId) {
+    try {
+        const removed = await runStatement(`DELETE FROM friend_requests WHERE sender_id = ? AND receiver_id = ?`, [senderId, receiverId]);
+        if (removed === 0) {
+            return { success: false, error: 'not_found' };
+        }
+        await runStatement(`INSERT OR IGNORE INTO friendships (player_id, friend_id) VALUES (?, ?)`, [receiverId, senderId]);
+        await runStatement(`INSERT OR IGNORE INTO friendships (player_id, friend_id) VALUES (?, ?)`, [senderId, receiverId]);
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function declineFriendRequest(receiverId, senderId) {
+    try {
+        const removed = await runStatement(`DELETE FROM friend_requests WHERE sender_id = ? AND receiver_id = ?`, [senderId, receiverId]);
+        if (removed === 0) {
+            return { success: false, error: 'not_found' };
+        }
+        await saveDatabase();
+        return { success: true };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Forum functions
+function formatForumTopic(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        body: row.body,
+        author: row.author,
+        authorId: row.author_id,
+        pinned: !!row.pinned,
+        locked: !!row.locked,
+        replyCount: row.reply_count || 0,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        lastReplyAt: row.last_reply_at
+    };
+}
+
+function formatForumReply(row) {
+    return {
+        id: row.id,
+        topicId: row.topic_id,
+        parentId: row.parent_id,
+        rootId: row.root_id,
+        author: row.author,
+        authorId: row.author_id,
+        body: row.deleted ? '' : row.body,
+        deleted: !!row.deleted,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+const FORUM_TOPIC_SELECT = `
+    SELECT t.*, p.nickname AS author,
+        (SELECT COUNT(*) FROM forum_replies r WHERE r.topic_id = t.id AND r.deleted = 0) AS reply_count
+    FROM forum_topics t
+    LEFT JOIN players p ON p.id = t.author_id
+`;
+
+// Pinned topics first, then the most recently active
+async function listForumTopics(limit = 20, offset = 0) {
+    try {
+        const rows = await queryAll(`
+            ${FORUM_TOPIC_SELECT}
+            ORDER BY t.pinned DESC, COALESCE(t.last_reply_at, t.created_at) DESC, t.id DESC
+            LIMIT ? OFFSET ?
+        `, [limit, offset]);
+        const count = await queryOne(`SELECT COUNT(*) AS total FROM forum_topics`);
+        return { topics: rows.map(formatForumTopic), total: count.total };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getForumTopic(topicId) {
+    try {
+        const row = await queryOne(`${FORUM_TOPIC_SELECT} WHERE t.id = ?`, [topicId]);
+        return row ? formatForumTopic(row) : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function createForumTopic(authorId, title, body) {
+    try {
+        await runStatement(`INSERT INTO forum_topics (title, body, author_id) VALUES (?, ?, ?)`, [title, body, authorId]);
+        const { id } = await queryOne(`SELECT last_insert_rowid() AS id`);
+        await saveDatabase();
+        return getForumTopic(id);
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Only the given fields are changed; title/body edits bump updated_at
+async function updateForumTopic(topicId, { title, body, pinned, locked }) {
+    try {
+        const sets = [];
+        const params = [];
+        if (title !== undefined) {
+            sets.push('title = ?');
+            params.push(title);
+        }
+        if (body !== undefined) {
+            sets.push('body = ?');
+            params.push(body);
+        }
+        if (title !== undefined || body !== undefined) {
+            sets.push('updated_at = CURRENT_TIMESTAMP');
+        }
+        if (pinned !== undefined) {
+            sets.push('pinned = ?');
+            params.push(pinned ? 1 : 0);
+        }
+        if (locked !== undefined) {
+            sets.push('locked = ?');
+            params.push(locked ? 1 : 0);
+        }
+        if (sets.length > 0) {
+            await runStatement(`UPDATE forum_topics SET ${sets.join(', ')} WHERE id = ?`, [...params, topicId]);
+            await saveDatabase();
+        }
+        return getForumTopic(topicId);
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function deleteForumTopic(topicId) {
+    try {
+        await runStatement(`DELETE FROM forum_replies WHERE topic_id = ?`, [topicId]);
+        const removed = await runStatement(`DELETE FROM forum_topics WHERE id = ?`, [topicId]);
+        await saveDatabase();
+        return { success: removed > 0 };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Replies are paginated by thread: a page holds `limit` top-level replies plus all of their descendants
+async function getForumReplies(topicId, limit = 20, offset = 0) {
+    try {
+        const roots = await queryAll(`
+            SELECT id FROM forum_replies WHERE topic_id = ? AND parent_id IS NULL
+            ORDER BY id LIMIT ? OFFSET ?
+        `, [topicId, limit, offset]);
+        const count = await queryOne(`SELECT COUNT(*) AS total FROM forum_replies WHERE topic_id = ? AND parent_id IS NULL`, [topicId]);
+        if (roots.length === 0) {
+            return { replies: [], totalThreads: count.total };
+        }
+        const rootIds = roots.map(row => row.id);
+        const rows = await queryAll(`
+            SELECT r.*, p.nickname AS author FROM forum_replies r
+            LEFT JOIN players p ON p.id = r.author_id
+            WHERE r.topic_id = ? AND r.root_id IN (${rootIds.map(() => '?').join(', ')})
+            ORDER BY r.id
+        `, [topicId, ...rootIds]);
+        return { replies: rows.map(formatForumReply), totalThreads: count.total };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function getForumReply(replyId) {
+    try {
+        const row = await queryOne(`
+            SELECT r.*, p.nickname AS author FROM forum_replies r
+            LEFT JOIN players p ON p.id = r.author_id
+            WHERE r.id = ?
+        `, [replyId]);
+        return row ? formatForumReply(row) : null;
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function createForumReply(topicId, authorId, body, parentId = null) {
+    try {
+        let rootId = null;
+        if (parentId) {
+            const parent = await getForumReply(parentId);
+            if (!parent || parent.topicId !== topicId) {
+                return { success: false, error: 'parent_not_found' };
+            }
+            rootId = parent.rootId;
+        }
+        await runStatement(`
+            INSERT INTO forum_replies (topic_id, parent_id, root_id, author_id, body) VALUES (?, ?, ?, ?, ?)
+        `, [topicId, parentId, rootId, authorId, body]);
+        const { id } = await queryOne(`SELECT last_insert_rowid() AS id`);
+        // A top-level reply starts its own thread
+        if (!rootId) {
+            await runStatement(`UPDATE forum_replies SET root_id = id WHERE id = ?`, [id]);
+        }
+        await runStatement(`UPDATE forum_topics SET last_reply_at = CURRENT_TIMESTAMP WHERE id = ?`, [topicId]);
+        await saveDatabase();
+        return { success: true, reply: await getForumReply(id) };
+    } catch (err) {
+        throw err;
+    }
+}
+
+async function updateForumReply(replyId, body) {
+    try {
+        await runStatement(`UPDATE forum_replies SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [body, replyId]);
+        await saveDatabase();
+        return getForumReply(replyId);
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Deleted replies stay as placeholders so the replies under them keep their thread
+async function deleteForumReply(replyId) {
+    try {
+        const removed = await runStatement(`UPDATE forum_replies SET deleted = 1, body = '' WHERE id = ?`, [replyId]);
+        await saveDatabase();
+        return { success: removed > 0 };
+    } catch (err) {
+        throw err;
+    }
+}
+
+// Export functions
+module.exports = {
+    flushDatabase,
+    markServerRunning,
+    getRunningServerPid,
+    getSchemaStatus,
+    migrateDatabase,
+    exportDatabase,
+    replaceDatabase,
+    getGame,
     getAllGames,
+    searchGames,
+    getGameTags,
+    rateGame,
+    getGameStats,
+    recordGameVisit,
+    recordGamePlaytime,
     deleteGame,
-    saveGameSync,
+    getLatestGameVersion,
+    getPlayerRoles,
+    getRoleHolders,
+    grantRole,
+    revokeRole,
+    createBan,
+    getActiveBan,
+    getActiveAddressBan,
+    getConnectionBan,
+    liftBans,
+    recordAnticheatEvent,
+    getAnticheatEvents,
+    getGameImport,
+    getGameImportByGameId,
+    recordGameImport,
+    backdateGameCreation,
+    publishGameVersion,
+    getGameVersions,
+    getGameVersion,
+    rollbackGame,
+    getGameOwner,
+    getGamesOwnedBy,
     getGameSync,
     getAllGamesSync,
     deleteGameSync,
@@ -403,5 +1779,44 @@ module.exports = {
     getPlayerByNickname,
     getAllNicknames,
     deletePlayer,
-    dbPromise // Export dbPromise for direct access if needed
+    createAccount,
+    getAccountByNickname,
+    updateAccount,
+    searchNicknames,
+    createSession,
+    getSession,
+    deleteSession,
+    deleteSessionsForPlayer,
+    deleteExpiredSessions,
+    getCoinBalance,
+    recordCoinTransaction,
+    getCoinHistory,
+    getCatalogItems,
+    getCatalogItem,
+    getFaceItemByTexture,
+    getInventory,
+    ownsItem,
+    purchaseItem,
+    getEquippedItems,
+    equipItem,
+    unequipItem,
+    getFriends,
+    getFriendRequests,
+    sendFriendRequest,
+    acceptFriendRequest,
+    declineFriendRequest,
+    listForumTopics,
+    getForumTopic,
+    createForumTopic,
+    updateForumTopic,
+    deleteForumTopic,
+    getForumReplies,
+    getForumReply,
+    createForumReply,
+    updateForumReply,
+    deleteForumReply,
+    // A getter: replaceDatabase() swaps the promise, read it as db.dbPromise each time
+    get dbPromise() {
+        return dbPromise;
+    }
 };
\ No newline at end of file
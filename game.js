@@ -4,6 +4,9 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import * as CANNON from 'cannon-es';
 
+// gameState wire format shared with the server (protocol.js, loaded before this module)
+const { PROTOCOL_VERSION, decodeGameState, dequantizePlayer } = window.RoGoldProtocol;
+
 let scene, camera, renderer, controls;
 let player, velocity, direction;
 let playerVelocity = new THREE.Vector3();
@@ -32,10 +35,16 @@ const JUMP_IMPULSE = 300; // Changed from 120 to 200 for higher jumps
 let canShoot = true;
 let explosionSound;
 const explodingParticles = [];
-let nickname = localStorage.getItem('rogold_currentUser') || 'Guest' + Math.floor(Math.random() * 10000);
-let isFlying = false;
-let speedMultiplier = 1;   // começa normal
+let nickname = localStorage.getItem('rogold_currentUser') || 'Guest'; // Replaced by the server-assigned name on 'registered'
+let isGuest = !localStorage.getItem('rogold_session_token');
+let myPermissions = []; // Sent by the server ('permissions'); the server re-checks every command
+let isFlying = false;      // /fly, toggled by the server
+let speedMultiplier = 1;   // /speed, começa normal
 let isSpeeding = false;    // controle do modo admin
+let flyUp = false;         // Espaço while flying
+let flyDown = false;       // Shift while flying
+const FLY_SPEED = 30;
+let removedFromServer = false; // Kicked or banned: do not reconnect
 let playerHealth = 100;
 const maxHealth = 100;
 let playerNameTags = {};
@@ -1551,6 +1560,38 @@ const pendingFaces = {};
 let lastSentTime = 0;
 const sendInterval = 100; // ms, so 10 times per second
 
+// Client-side prediction: we move right away and number every playerMove; gameState
+// acknowledges the last one the server processed, with its answer (our position).
+// Moves it has not acknowledged yet are replayed on top of that answer.
+let moveSeq = 0;
+let pendingMoves = []; // [{ seq, x, y, z }] sent, not acknowledged yet
+let reconcileAfterSeq = 0; // Acks up to here answer moves sent before our last correction
+const reconcileError = new THREE.Vector3(); // Correction not yet blended into the body
+const RECONCILE_EPSILON = 0.1;
+const RECONCILE_SNAP_DISTANCE = 8; // Bigger corrections jump instead of blending
+const RECONCILE_RATE = 10; // Share of the remaining correction applied per second
+const MAX_PENDING_MOVES = 60;
+
+// Remote players are drawn INTERPOLATION_DELAY_MS in the past, between the two gameState
+// snapshots around that moment; if snapshots stop coming they keep going the way they
+// were for up to MAX_EXTRAPOLATION_MS. Times are on the server clock.
+const INTERPOLATION_DELAY_MS = 100;
+const MAX_EXTRAPOLATION_MS = 250;
+const MAX_SNAPSHOTS = 30;
+const SNAPSHOT_TELEPORT_DISTANCE = 30; // Farther than this between snapshots: jump, don't slide
+let serverTimeOffset = null; // Server clock minus ours (Date.now), smoothed
+let lastGameStateTick = 0;
+// gameState only carries netIds and what changed; who each netId is and how they look
+// comes from initialPlayers/playerJoined/playerVisible and the *Changed events.
+// Everyone in the room is listed here, but only players near us get an avatar: the
+// server sends playerVisible/playerHidden as they come into and out of range.
+const netPlayers = new Map(); // netId -> players entry, the room roster
+const decodedStates = new Map(); // tick -> decoded players, bases for the next deltas
+const DECODED_STATE_HISTORY = 64; // Ticks; the server keeps fewer
+const snapshotQuaternionA = new THREE.Quaternion();
+const snapshotQuaternionB = new THREE.Quaternion();
+const upAxis = new THREE.Vector3(0, 1, 0);
+
 function playClickSound() {
     if (clickSound && clickSound.buffer) {
         if (clickSound.isPlaying) {
@@ -1576,13 +1617,7 @@ function sendChatMessage() {
         input.value = '';
         return;
     }
-    if (msg.toLowerCase() === '/e daniel' && nickname === 'daniel244') {
-        socket.emit('danielCommand');
-    }
-    if (msg.startsWith('/e explode ') && nickname === 'notrealregi') {
-        const target = msg.split(' ')[2];
-        socket.emit('adminExplode', { target });
-    }
+    // Other "/" commands are run by the server, which answers with 'commandResult'
     if (msg && socket && socket.connected) {
         socket.emit('chat', msg);
         input.value = '';
@@ -1601,6 +1636,8 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    setupChatChannelFilters();
+
     const hideBtn = document.getElementById('hide-player-list-btn');
     const playerList = document.getElementById('player-list');
     const playerListContainer = document.getElementById('player-list-container');
@@ -1616,22 +1653,84 @@ window.addEventListener('DOMContentLoaded', () => {
 
 // Chat listener is now bound after socket connects inside initSocket()
 
-// Append message to chat box
-function appendChatBoxMessage(nickname, message) {
+// Chat channels (chat.js on the server): all, whisper (/w), team (/t) and system.
+// Each has its own color, and the buttons above the chat box hide or show them.
+const CHAT_CHANNELS = {
+    all: { label: 'All', color: '#222222' },
+    whisper: { label: 'Whisper', color: '#8e44ad' },
+    team: { label: 'Team', color: '#1e7f3b' },
+    system: { label: 'System', color: '#c0392b' }
+};
+const hiddenChatChannels = new Set(JSON.parse(localStorage.getItem('rogold_hidden_chat_channels') || '[]'));
+
+function setChatChannelHidden(channel, hidden) {
+    if (hidden) {
+        hiddenChatChannels.add(channel);
+    } else {
+        hiddenChatChannels.delete(channel);
+    }
+    localStorage.setItem('rogold_hidden_chat_channels', JSON.stringify([...hiddenChatChannels]));
+    document.querySelectorAll(`#chat-box .chat-message[data-channel="${channel}"]`).forEach(msgDiv => {
+        msgDiv.style.display = hidden ? 'none' : '';
+    });
+}
+
+function setupChatChannelFilters() {
+    const filters = document.getElementById('chat-filters');
+    if (!filters) return;
+    Object.entries(CHAT_CHANNELS).forEach(([channel, { label, color }]) => {
+        const button = document.createElement('button');
+        button.className = 'chat-filter-btn';
+        button.textContent = label;
+        button.style.borderColor = color;
+        button.classList.toggle('off', hiddenChatChannels.has(channel));
+        button.addEventListener('click', () => {
+            const hidden = !hiddenChatChannels.has(channel);
+            setChatChannelHidden(channel, hidden);
+            button.classList.toggle('off', hidden);
+        });
+        filters.appendChild(button);
+    });
+}
+
+// Append message to chat box. `whisperTo` is set on our own copy of a whisper.
+function appendChatBoxMessage(nickname, message, channel = 'all', whisperTo = null) {
     const chatBox = document.getElementById('chat-box');
     if (!chatBox) return;
+    if (!CHAT_CHANNELS[channel]) channel = 'all';
     const msgDiv = document.createElement('div');
     msgDiv.className = 'chat-message';
     // Use data attribute for player so CSS can render a retro prefix
     msgDiv.setAttribute('data-player', nickname);
-    msgDiv.textContent = `${nickname}: ${message}`;
+    msgDiv.setAttribute('data-channel', channel);
+    if (channel === 'whisper') {
+        msgDiv.textContent = whisperTo ? `[Para ${whisperTo}]: ${message}` : `[De ${nickname}]: ${message}`;
+    } else if (channel === 'team') {
+        msgDiv.textContent = `[Time] ${nickname}: ${message}`;
+    } else {
+        msgDiv.textContent = `${nickname}: ${message}`;
+    }
+    msgDiv.style.color = CHAT_CHANNELS[channel].color;
+    if (hiddenChatChannels.has(channel)) msgDiv.style.display = 'none';
     chatBox.appendChild(msgDiv);
     chatBox.scrollTop = chatBox.scrollHeight;
 }
+// Kicked out by /ban, or refused on connect while the ban lasts
+function showBanMessage({ reason, expiresAt }) {
+    removedFromServer = true;
+    const statusEl = document.getElementById('online-status');
+    if (statusEl) {
+        statusEl.textContent = 'Banido';
+        statusEl.className = 'disconnected';
+    }
+    const until = expiresAt ? `até ${new Date(expiresAt).toLocaleString('pt-BR')}` : 'permanentemente';
+    alert(`Sua conta está banida ${until}.${reason ? ` Motivo: ${reason}` : ''}`);
+}
+
 // Show bubble chat above player
-function showBubbleChat(chatPlayerId, nickname, message) {
+function showBubbleChat(chatPlayerId, nickname, message, channel = 'all') {
     let targetPlayer = chatPlayerId === playerId ? player : otherPlayers[chatPlayerId];
-    if (!targetPlayer) return;
+    if (!targetPlayer || hiddenChatChannels.has(channel)) return;
 
     // Try to find the head mesh
     let headMesh = null;
@@ -1649,6 +1748,7 @@ function showBubbleChat(chatPlayerId, nickname, message) {
     bubble.textContent = message;
     bubble.style.position = 'absolute';
     bubble.style.background = 'rgba(255,255,255,0.85)';
+    bubble.style.color = (CHAT_CHANNELS[channel] || CHAT_CHANNELS.all).color;
     bubble.style.borderRadius = '16px';
     bubble.style.padding = '6px 14px';
     bubble.style.fontSize = '16px';
@@ -1853,13 +1953,13 @@ function createRemotePlayer(headModel, playerData) {
     const playerGroup = createPlayer(headModel);
     playerGroup.position.set(playerData.x, playerData.y + 1.0, playerData.z); // Offset visual upward to align feet with physics body bottom
     playerGroup.rotation.y = playerData.rotation;
-    playerGroup.userData.targetPosition = new THREE.Vector3(playerData.x, playerData.y, playerData.z);
-    playerGroup.userData.targetQuaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, playerData.rotation, 0));
+    playerGroup.userData.snapshots = []; // Filled from gameState, see interpolateRemotePlayer()
     updatePlayerColors(playerGroup, playerData.colors);
     // Hat application is handled in ensureRemotePlayer() to avoid duplicate loads
 
     // Salve o nickname para uso na lista
     playerGroup.userData.nickname = playerData.nickname || "Guest";
+    playerGroup.userData.isGuest = !!playerData.isGuest;
 
     // Load face for remote player
     const faceId = playerData.faceId || 'OriginalGlitchedFace.webp';
@@ -1933,19 +2033,31 @@ function initSocket() {
         reconnection: true,
         reconnectionAttempts: 10,
         reconnectionDelay: 1000,
-        // Pass room info to the server so it can isolate traffic per game/room
-        auth: { room }
+        // Pass room info to the server so it can isolate traffic per game/room.
+        // The session token lets the server decide our nickname; without one we join as a guest.
+        // Guests send back the id the server gave them, so reconnecting keeps the same guest.
+        auth: {
+            room,
+            token: localStorage.getItem('rogold_session_token') || undefined,
+            guestId: localStorage.getItem('rogold_guest_id') || undefined,
+            protocol: PROTOCOL_VERSION
+        }
     });
     
     const statusEl = document.getElementById('online-status');
     
     socket.on('connect', () => {
         playerId = socket.id;
+        resetPrediction();
+        lastGameStateTick = 0; // The server may have restarted and counts from 0 again
+        serverTimeOffset = null;
+        netPlayers.clear();
+        decodedStates.clear();
         const faceId = localStorage.getItem('rogold_face') || 'OriginalGlitchedFace.webp';
-        socket.emit('register', { nickname, faceId }); // <--- ENVIA O NICKNAME E FACE
+        socket.emit('register', { faceId }); // The server assigns the nickname from our session
 
         console.log('Connected to server');
-        statusEl.textContent = `Online (${Object.keys(otherPlayers).length + 1} players)`;
+        statusEl.textContent = `Online (${roomPlayerCount()} players)`;
         statusEl.className = 'connected';
 
         const hatId = localStorage.getItem('rogold_equipped_hat');
@@ -1961,6 +2073,17 @@ function initSocket() {
     
     socket.on('connect_error', (error) => {
         console.error('Connection error:', error);
+        if (error.message === 'banned') {
+            showBanMessage(error.data || {});
+            return;
+        }
+        if (error.message === 'protocol_mismatch') {
+            removedFromServer = true;
+            statusEl.textContent = 'Versão desatualizada';
+            statusEl.className = 'disconnected';
+            alert('Esta versão do jogo está desatualizada. Recarregue a página para jogar.');
+            return;
+        }
         statusEl.textContent = 'Connection Failed';
         statusEl.className = 'disconnected';
         
@@ -1977,7 +2100,7 @@ function initSocket() {
         statusEl.textContent = 'Disconnected';
         statusEl.className = 'disconnected';
         
-        if (reason === 'io server disconnect') {
+        if (reason === 'io server disconnect' && !removedFromServer) {
             // Server initiated disconnect, try to reconnect
             socket.connect();
         }
@@ -1985,7 +2108,7 @@ function initSocket() {
     
     socket.on('reconnect', (attemptNumber) => {
         console.log('Reconnected after', attemptNumber, 'attempts');
-        statusEl.textContent = `Online (${Object.keys(otherPlayers).length + 1} players)`;
+        statusEl.textContent = `Online (${roomPlayerCount()} players)`;
         statusEl.className = 'connected';
     });
     
@@ -2000,22 +2123,116 @@ function initSocket() {
         statusEl.className = 'disconnected';
     });
 
+    // Identity assigned by the server (account nickname or a guest name)
+    socket.on('registered', (data) => {
+        nickname = data.nickname;
+        isGuest = !!data.isGuest;
+        if (data.guestId) localStorage.setItem('rogold_guest_id', data.guestId);
+        if (data.sessionExpired) {
+            // Stored session is no longer valid; forget it so the portal asks for a new login
+            localStorage.removeItem('rogold_session_token');
+            localStorage.removeItem('rogold_currentUser');
+            appendChatBoxMessage('Sistema', 'Sua sessão expirou. Você está jogando como convidado.', 'system');
+        }
+        updatePlayerList();
+    });
+
+    socket.on('permissions', (data) => {
+        myPermissions = Array.isArray(data.permissions) ? data.permissions : [];
+    });
+
+    // Goldbucks are granted by the server for time spent in the game
+    socket.on('coinsAwarded', ({ amount, balance }) => {
+        appendChatBoxMessage('Sistema', `Parabéns, ${nickname}! Você ganhou ${amount} Goldbucks por passar tempo no Rogold! Saldo: ${balance}`, 'system');
+    });
+
+    socket.on('nicknameError', (message) => {
+        alert(message);
+    });
+
+    // CHAT COMMANDS
+    socket.on('commandResult', ({ message }) => {
+        if (message) appendChatBoxMessage('Sistema', message, 'system');
+    });
+
+    socket.on('chatNotice', ({ message }) => {
+        appendChatBoxMessage('Sistema', message, 'system');
+    });
+
+    socket.on('kicked', ({ reason }) => {
+        removedFromServer = true;
+        statusEl.textContent = 'Expulso';
+        statusEl.className = 'disconnected';
+        alert(`Você foi expulso desta sala.${reason ? ` Motivo: ${reason}` : ''}`);
+    });
+
+    socket.on('banned', (ban) => {
+        showBanMessage(ban);
+    });
+
+    // /tp and /bring
+    socket.on('teleport', (position) => placeLocalPlayer(position));
+
+    // The server refused our last moves (too fast or too high) and puts us back
+    socket.on('positionCorrection', (position) => placeLocalPlayer(position));
+
+    socket.on('setFly', ({ enabled }) => {
+        isFlying = !!enabled;
+        flyUp = false;
+        flyDown = false;
+        appendChatBoxMessage('Sistema', isFlying ? 'Modo voo: Espaço sobe, Shift desce.' : 'Modo voo desligado.', 'system');
+    });
+
+    socket.on('setSpeed', ({ multiplier }) => {
+        speedMultiplier = Number(multiplier) || 1;
+        isSpeeding = speedMultiplier !== 1;
+    });
+
     // Bind client listeners that must exist on the active socket instance
-    socket.on('chat', ({ playerId: chatPlayerId, nickname, message }) => {
-        appendChatBoxMessage(nickname, message);
-        showBubbleChat(chatPlayerId, nickname, message);
+    socket.on('chat', ({ playerId: chatPlayerId, nickname, message, channel = 'all', to }) => {
+        // Our own copy of a whisper names who it went to
+        appendChatBoxMessage(nickname, message, channel, chatPlayerId === playerId ? to : null);
+        showBubbleChat(chatPlayerId, nickname, message, channel);
     });
 
-    // Server-authoritative rocket spawns
+    // Recent room messages, sent once when we join
+    socket.on('chatHistory', (messages) => {
+        messages.forEach(({ nickname, message, channel }) => appendChatBoxMessage(nickname, message, channel));
+    });
+
+    // Rockets are simulated by the server; ours included, we only draw them
     socket.on('spawnRocket', (data) => {
-        if (data.owner === playerId) return; // Already spawned locally
         spawnRocket(
             new THREE.Vector3(data.position.x, data.position.y, data.position.z),
             new THREE.Vector3(data.direction.x, data.direction.y, data.direction.z),
-            data.owner
+            data.owner,
+            data.id,
+            data.speed
         );
     });
 
+    // Server positions, every tick while rockets fly
+    socket.on('rocketPositions', (positions) => {
+        positions.forEach(({ id, x, y, z }) => {
+            const rocketObj = activeRockets.find(r => r.id === id);
+            if (rocketObj) rocketObj.mesh.position.set(x, y, z);
+        });
+    });
+
+    // HEALTH
+    // The server owns health, deaths and respawns; we only show them
+    socket.on('healthUpdate', ({ playerId: hurtId, health }) => {
+        if (hurtId === playerId) setHealthDisplay(health);
+    });
+
+    socket.on('playerRespawned', ({ playerId: respawnedId, position }) => {
+        if (respawnedId === playerId) {
+            finishRespawn(position);
+        } else if (otherPlayers[respawnedId]) {
+            otherPlayers[respawnedId].visible = true;
+        }
+    });
+
     // Keep player list in sync
     socket.on('playerJoined', () => updatePlayerList());
     socket.on('playerLeft', () => updatePlayerList());
@@ -2025,47 +2242,67 @@ function initSocket() {
     socket.on('initialPlayers', (serverPlayers) => {
         console.log('Received initial players:', serverPlayers);
         Object.values(serverPlayers).forEach(playerData => {
-            ensureRemotePlayer(playerData);
+            netPlayers.set(playerData.netId, playerData);
         });
-        statusEl.textContent = `Online (${Object.keys(serverPlayers).length} players)`;
-        // Ensure the player list reflects all visible players after initial snapshot
+        statusEl.textContent = `Online (${roomPlayerCount()} players)`;
+        // Ensure the player list reflects the whole room after initial snapshot
         updatePlayerList();
     });
     
     socket.on('playerJoined', (playerData) => {
-        ensureRemotePlayer(playerData);
+        netPlayers.set(playerData.netId, playerData);
         // Update player count
-        statusEl.textContent = `Online (${Object.keys(otherPlayers).length + 1} players)`;
+        statusEl.textContent = `Online (${roomPlayerCount()} players)`;
+        updatePlayerList();
+    });
+
+    // Avatars only exist for players in range (interest.js on the server)
+    socket.on('playerVisible', (playerData) => {
+        netPlayers.set(playerData.netId, playerData);
+        ensureRemotePlayer(playerData);
+    });
+
+    socket.on('playerHidden', (hiddenId) => {
+        removeRemotePlayer(hiddenId);
     });
     
-    socket.on('gameState', (serverPlayers) => {
+    socket.on('gameState', (data) => {
         if (!player) return;
+        const snapshot = decodeGameState(data, baseTick => decodedStates.get(baseTick));
+        if (!snapshot) {
+            socket.emit('stateAck', 0); // We lost the delta's base: ask for everything
+            return;
+        }
+        decodedStates.set(snapshot.tick, snapshot.players);
+        decodedStates.delete(snapshot.tick - DECODED_STATE_HISTORY);
+        socket.emit('stateAck', snapshot.tick);
+
+        const { tick, time } = snapshot;
+        if (tick <= lastGameStateTick) return; // Late or repeated snapshot
+        lastGameStateTick = tick;
+        updateServerTimeOffset(time);
+        const serverPlayers = snapshotPlayers(snapshot);
 
-        // Remove players who have disconnected
+        // Remove players who have disconnected or are out of range
         Object.keys(otherPlayers).forEach(id => {
             if (!serverPlayers[id]) {
-                scene.remove(otherPlayers[id]);
-                delete otherPlayers[id];
+                removeRemotePlayer(id);
             }
         });
 
         Object.values(serverPlayers).forEach(playerData => {
             if (playerData.id === playerId) {
-                // This is our own data, we don't need to do anything with it
+                // Our own state only matters as the answer to our moves
+                reconcileWithServer(playerData);
                 return;
             }
 
             if (!otherPlayers[playerData.id]) {
                   ensureRemotePlayer(playerData);
             } else {
-                  // This is an existing player, update their state for interpolation
+                  // This is an existing player, keep the snapshot for interpolation
                 const remotePlayer = otherPlayers[playerData.id];
-                remotePlayer.userData.targetPosition.set(playerData.x, playerData.y, playerData.z);
-                // Update visual position with offset
-                remotePlayer.position.lerp(new THREE.Vector3(playerData.x, playerData.y + 1.0, playerData.z), 0.2);
-                
-                const targetQuaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, playerData.rotation, 0));
-                remotePlayer.userData.targetQuaternion = targetQuaternion;
+                pushSnapshot(remotePlayer, time, playerData);
 
                 // Update animation based on server state
                 if (playerData.isInAir) {
@@ -2105,13 +2342,10 @@ function initSocket() {
                     remotePlayer.rightLeg.rotation.x = THREE.MathUtils.lerp(remotePlayer.rightLeg.rotation.x, 0, 0.2);
 
                 }
-                
-                // Update colors if they have changed
-                updatePlayerColors(remotePlayer, playerData.colors);
             }
         });
          // Update player count
-        statusEl.textContent = `Online (${Object.keys(serverPlayers).length} players)`;
+        statusEl.textContent = `Online (${roomPlayerCount()} players)`;
         // Keep player list updated for everyone (safe and cheap compared to scene render)
         updatePlayerList();
     });
@@ -2121,16 +2355,10 @@ function initSocket() {
     });
     
     socket.on('playerLeft', (playerId) => {
-        if (otherPlayers[playerId]) {
-            scene.remove(otherPlayers[playerId]);
-            delete otherPlayers[playerId];
-            // Update player count is now handled by gameState
-        }
-        // Remove name tag
-        if (playerNameTags[playerId]) {
-            playerNameTags[playerId].remove();
-            delete playerNameTags[playerId];
-        }
+        const left = findNetPlayer(playerId);
+        if (left) netPlayers.delete(left.netId);
+        // Update player count is now handled by gameState
+        removeRemotePlayer(playerId);
     });
 
     socket.on('dance', (dancerId) => {
@@ -2194,6 +2422,8 @@ socket.on("remoteUnequip", (data) => {
 
 // Recebe atualização de chapéu de outro jogador
 socket.on('playerHatChanged', ({ playerId: changedId, hatId }) => {
+    const known = findNetPlayer(changedId);
+    if (known) known.hatId = hatId;
     const remotePlayer = otherPlayers[changedId];
     if (remotePlayer) {
         addHatToPlayer(remotePlayer, hatId);
@@ -2214,6 +2444,8 @@ socket.on('initialHats', (playerHats) => {
 
 // Recebe atualização de face de outro jogador
 socket.on('playerFaceChanged', ({ playerId: changedId, faceId }) => {
+    const known = findNetPlayer(changedId);
+    if (known) known.faceId = faceId;
     const remotePlayer = otherPlayers[changedId];
     if (remotePlayer) {
         addFaceToPlayer(remotePlayer, faceId);
@@ -2224,38 +2456,33 @@ socket.on('playerFaceChanged', ({ playerId: changedId, faceId }) => {
     }
 });
 
-// Quando receber todas as faces ao entrar
-socket.on('initialFaces', (playerFaces) => {
-    Object.entries(playerFaces).forEach(([id, faceId]) => {
-        if (otherPlayers[id]) {
-            addFaceToPlayer(otherPlayers[id], faceId);
-        }
-    });
+// Cores de outro jogador
+socket.on('playerColorsChanged', ({ playerId: changedId, colors }) => {
+    const known = findNetPlayer(changedId);
+    if (known) known.colors = colors;
+    if (otherPlayers[changedId]) {
+        updatePlayerColors(otherPlayers[changedId], colors);
+    }
 });
 
 // On explosion event
 socket.on('explosion', (data) => {
     spawnExplosion(new THREE.Vector3(data.position.x, data.position.y, data.position.z));
+    // Rockets only end when the server says so
+    if (data.rocketId) removeRocket(data.rocketId);
 });
 
 // Player death: show respawn effect to killer and others by hiding victim temporarily.
 // Explosion visuals are already handled by the 'explosion' event above.
 socket.on('playerDied', ({ killer, victim }) => {
-    // Local victim handles its own full respawn flow
-    if (victim === playerId) return;
+    if (victim === playerId) {
+        respawnPlayer();
+        return;
+    }
 
+    // Observers hide the victim until the server respawns them ('playerRespawned')
     const remote = otherPlayers[victim];
-    if (!remote) return;
-
-    // Hide victim briefly to simulate death/respawn for all other clients
-    remote.visible = false;
-    setTimeout(() => {
-        // The victim's client will reposition on its own respawn;
-        // we only restore visibility here for the observers.
-        if (otherPlayers[victim]) {
-            otherPlayers[victim].visible = true;
-        }
-    }, 3000);
+    if (remote) remote.visible = false;
 });
 
 // Evento específico para o Daniel
@@ -2281,9 +2508,9 @@ socket.on('danielEvent', () => {
 
 // Admin commands
 socket.on('adminExplode', ({ target }) => {
+    // The server kills the target; this is only the effect
     if (nickname === target) {
         spawnExplosion(player.position.clone());
-        respawnPlayer();
     }
     // Opcional: efeito visual nos outros players
     Object.values(otherPlayers).forEach(p => {
@@ -2294,21 +2521,30 @@ socket.on('adminExplode', ({ target }) => {
 });
 }
 
+// Guests are clearly marked wherever a name is shown
+function formatPlayerLabel(name, guest) {
+    return guest ? `${name} [Convidado]` : name;
+}
+
 function updatePlayerList() {
     const playerList = document.getElementById('player-list');
     if (!playerList) return;
     // Combine seu player e outros
     const allPlayers = [
-        { id: playerId, nickname },
-        ...Object.values(otherPlayers).map(p => ({
-            id: p.userData.playerId,
-            nickname: p.userData.nickname || "Guest"
+        { id: playerId, nickname, isGuest },
+        // The whole room, including players too far away to have an avatar
+        ...[...netPlayers.values()].filter(p => p.id !== playerId).map(p => ({
+            id: p.id,
+            nickname: p.nickname || "Guest",
+            isGuest: p.isGuest
         }))
     ];
     playerList.innerHTML = '';
     allPlayers.forEach(p => {
         const li = document.createElement('li');
-        li.textContent = (p.id === playerId ? 'You (' + p.nickname + ')' : p.nickname);
+        const label = formatPlayerLabel(p.nickname, p.isGuest);
+        li.textContent = (p.id === playerId ? 'You (' + label + ')' : label);
+        if (p.isGuest) li.classList.add('guest-player');
         playerList.appendChild(li);
     });
 }
@@ -2354,6 +2590,14 @@ function initGame() {
         allowSleep: false // Classic Roblox physics didn't allow parts to sleep
     });
 
+    // While flying (/fly) gravity is cancelled and the vertical speed follows Espaço/Shift
+    physicsWorld.addEventListener('preStep', () => {
+        const body = player && player.userData.body;
+        if (!isFlying || !body) return;
+        body.force.y = 0;
+        body.velocity.y = (Number(flyUp) - Number(flyDown)) * FLY_SPEED;
+    });
+
     physicsWorld.solver.iterations = 50; // Extreme collision stability
     physicsWorld.defaultContactMaterial.friction = ROBLOX_FRICTION;
     physicsWorld.defaultContactMaterial.restitution = ROBLOX_RESTITUTION;
@@ -2993,7 +3237,12 @@ function initUI() {
     respawnBtn.addEventListener('click', (event) => {
         event.stopPropagation();
         playClickSound();
-        respawnPlayer();
+        // Online the server kills and respawns us
+        if (socket && socket.connected) {
+            socket.emit('requestRespawn');
+        } else {
+            respawnPlayer();
+        }
     });
 
     // We can remove the individual click sound handlers from the color pickers
@@ -3048,9 +3297,15 @@ function initUI() {
 
     // Listen for face changes from catalog (index.js)
     window.addEventListener('rogold_equipped_face_changed', () => {
+        ownedFaces = JSON.parse(localStorage.getItem('rogold_owned_faces') || '["OriginalGlitchedFace.webp"]');
+        updateFaceSelector();
         const equippedFace = localStorage.getItem('rogold_face');
         if (equippedFace && ownedFaces.includes(equippedFace)) {
             addFaceToPlayer(player, equippedFace);
+            // The server checks the face against our inventory before showing it to others
+            if (socket && socket.connected) {
+                socket.emit('faceChange', { faceId: equippedFace });
+            }
             // Update the face selector to match
             const faceSelect = document.getElementById('face-select');
             if (faceSelect) {
@@ -3161,14 +3416,19 @@ function initMobileControls() {
     rotateRightBtn.addEventListener('touchcancel', (e) => { e.preventDefault(); rotateCameraRight = false; });
 }
 
+function setHealthDisplay(health) {
+    playerHealth = health;
+    document.getElementById('health-text').textContent = health;
+    document.getElementById('health-fill').style.width = `${(health / maxHealth) * 100}%`;
+}
+
+// Death effect. Online the server decides when we come back ('playerRespawned')
 function respawnPlayer() {
     if (isRespawning) return;
     isRespawning = true;
 
     // Update health to 0 when dying
-    playerHealth = 0;
-    document.getElementById('health-text').textContent = '0';
-    document.getElementById('health-fill').style.width = '0%';
+    setHealthDisplay(0);
 
     player.visible = false;
     if (walkSound && walkSound.isPlaying) {
@@ -3234,48 +3494,83 @@ function respawnPlayer() {
         fallenParts.push({ mesh: fallenPartMesh, body: body });
     });
 
-    const raycaster = new THREE.Raycaster();
-    const mouse = new THREE.Vector2();
+    if (!socket || !socket.connected) {
+        setTimeout(() => finishRespawn({ x: 0, y: 3, z: 0 }), 3000);
+    }
 
+    if (currentDeathSound && currentDeathSound.buffer) {
+        if (currentDeathSound.isPlaying) currentDeathSound.stop();
+        currentDeathSound.play();
+    }
+}
 
-    setTimeout(() => {
-        fallenParts.forEach(part => {
-            scene.remove(part.mesh);
-            physicsWorld.removeBody(part.body);
-             // Properly dispose of geometries and materials to free up memory
-            if (part.mesh.geometry) part.mesh.geometry.dispose();
-            if (Array.isArray(part.mesh.material)) {
-                part.mesh.material.forEach(m => m.dispose());
-            } else if (part.mesh.material) {
-                part.mesh.material.dispose();
-            }
-        });
-        fallenParts = [];
+// Moves the local player where the server says, stopping any momentum
+function placeLocalPlayer({ x, y, z }) {
+    if (!player.userData.body) return;
+    player.userData.body.position.set(x, y, z);
+    player.userData.body.velocity.set(0, 0, 0);
+    player.position.set(x, y, z);
+    resetPrediction();
+}
 
-        player.position.set(0, -2
-            , 0);
-        if (player.userData.body) {
-            player.userData.body.position.set(0, 3, 0);
-            player.userData.body.velocity.set(0, 0, 0);
-        }
-        player.visible = true;
+// Forget moves in flight; their acks answer positions we no longer have
+function resetPrediction() {
+    pendingMoves = [];
+    reconcileAfterSeq = moveSeq;
+    reconcileError.set(0, 0, 0);
+}
 
-        // Update health to 100 when respawning
-        playerHealth = 100;
-        document.getElementById('health-text').textContent = '100';
-        document.getElementById('health-fill').style.width = '100%';
-        
-        if (spawnSound && !spawnSound.isPlaying) {
-            spawnSound.play();
+// Compares the server's answer to an acknowledged move with what we predicted for it.
+// Replaying the moves still pending on top of the answer is the same as shifting our
+// position by how far the server disagreed, which we blend in over a few frames.
+function reconcileWithServer(serverState) {
+    if (typeof serverState.ack !== 'number') return;
+    const acked = pendingMoves.find(move => move.seq === serverState.ack);
+    pendingMoves = pendingMoves.filter(move => move.seq > serverState.ack);
+    if (!acked || serverState.ack <= reconcileAfterSeq || !player.userData.body) return;
+
+    const error = new THREE.Vector3(serverState.x - acked.x, serverState.y - acked.y, serverState.z - acked.z);
+    if (error.length() < RECONCILE_EPSILON) return;
+    reconcileAfterSeq = moveSeq;
+    if (error.length() > RECONCILE_SNAP_DISTANCE) {
+        const body = player.userData.body;
+        body.position.set(body.position.x + error.x, body.position.y + error.y, body.position.z + error.z);
+        reconcileError.set(0, 0, 0);
+    } else {
+        reconcileError.add(error);
+    }
+}
+
+function finishRespawn(position) {
+    fallenParts.forEach(part => {
+        scene.remove(part.mesh);
+        physicsWorld.removeBody(part.body);
+         // Properly dispose of geometries and materials to free up memory
+        if (part.mesh.geometry) part.mesh.geometry.dispose();
+        if (Array.isArray(part.mesh.material)) {
+            part.mesh.material.forEach(m => m.dispose());
+        } else if (part.mesh.material) {
+            part.mesh.material.dispose();
         }
+    });
+    fallenParts = [];
 
-        isRespawning = false;
-    }, 3000);
+    player.position.set(position.x, position.y - 5, position.z);
+    if (player.userData.body) {
+        player.userData.body.position.set(position.x, position.y, position.z);
+        player.userData.body.velocity.set(0, 0, 0);
+    }
+    player.visible = true;
+    resetPrediction();
 
-    if (currentDeathSound && currentDeathSound.buffer) {
-        if (currentDeathSound.isPlaying) currentDeathSound.stop();
-        currentDeathSound.play();
+    // Update health to 100 when respawning
+    setHealthDisplay(maxHealth);
+    
+    if (spawnSound && !spawnSound.isPlaying) {
+        spawnSound.play();
     }
+
+    isRespawning = false;
 }
 
 function onWindowResize() {
@@ -3350,6 +3645,10 @@ function onKeyDown(event) {
             }
             break;
         case 'Space':
+            if (isFlying) {
+                flyUp = true;
+                break;
+            }
             if (canJump === true) {
                 if (player.userData.body) {
                     // Reset vertical velocity and clear most horizontal momentum before jumping
@@ -3366,6 +3665,10 @@ function onKeyDown(event) {
                 }
             }
             break;
+        case 'ShiftLeft':
+        case 'ShiftRight':
+            flyDown = isFlying;
+            break;
         case 'KeyQ':
             rotateCameraLeft = true;
             break;
@@ -3396,6 +3699,13 @@ function onKeyUp(event) {
         case 'KeyD':
             moveRight = false;
             break;
+        case 'Space':
+            flyUp = false;
+            break;
+        case 'ShiftLeft':
+        case 'ShiftRight':
+            flyDown = false;
+            break;
     }
 
     switch (event.code) {
@@ -3516,18 +3826,16 @@ function launchRocket() {
     const startPos = new THREE.Vector3();
     rocketLauncherModel.getWorldPosition(startPos);
 
-    // Emit to server so others spawn the rocket in this room
+    // The server flies the rocket and sends it back to everyone with 'spawnRocket'
     if (socket && socket.connected) {
         socket.emit('launchRocket', {
             position: { x: startPos.x, y: startPos.y, z: startPos.z },
-            direction: { x: direction.x, y: direction.y, z: direction.z },
-            owner: playerId
+            direction: { x: direction.x, y: direction.y, z: direction.z }
         });
+    } else {
+        spawnRocket(startPos, direction, playerId, null); // Offline: just for show
     }
 
-    // Spawn locally immediately for the shooter (server will not echo back to sender)
-    spawnRocket(startPos, direction, playerId);
-
     // Play launch sound locally
     if (launchSound && launchSound.buffer) {
         if (launchSound.isPlaying) launchSound.stop();
@@ -3573,11 +3881,11 @@ window.addEventListener('DOMContentLoaded', () => {
 
  // spawnRocket listener is now bound after socket connects inside initSocket()
 
-const activeRockets = []; // [{mesh, direction, ownerId, traveled}]
+const activeRockets = []; // [{mesh, direction, speed, ownerId, id, traveled}]
 const rocketSpeed = 20; // units per second
-const rocketMaxDistance = 30; // units
+const rocketMaxDistance = 30; // units; the server explodes rockets there
 
-function spawnRocket(startPos, direction, ownerId) {
+function spawnRocket(startPos, direction, ownerId, id, speed = rocketSpeed) {
     const rocketGeometry = new THREE.BoxGeometry(1, 1, 1);
     const textureLoader = new THREE.TextureLoader();
     const texture = textureLoader.load('roblox-stud.png');
@@ -3595,11 +3903,112 @@ function spawnRocket(startPos, direction, ownerId) {
     activeRockets.push({
         mesh: rocket,
         direction: direction.clone().normalize(),
+        speed,
         ownerId,
+        id,
         traveled: 0
     });
 }
 
+function roomPlayerCount() {
+    return Math.max(1, netPlayers.size);
+}
+
+// Drops a remote avatar (left the room or out of range); the roster keeps them listed
+function removeRemotePlayer(id) {
+    if (otherPlayers[id]) {
+        scene.remove(otherPlayers[id]);
+        delete otherPlayers[id];
+    }
+    // Remove name tag
+    if (playerNameTags[id]) {
+        playerNameTags[id].remove();
+        delete playerNameTags[id];
+    }
+}
+
+function findNetPlayer(id) {
+    for (const known of netPlayers.values()) {
+        if (known.id === id) return known;
+    }
+    return null;
+}
+
+// A decoded gameState as the players object the rest of the client uses: the known
+// players entries with this tick's position, rotation, flags and health, and our ack
+function snapshotPlayers(snapshot) {
+    const result = {};
+    snapshot.players.forEach((state, netId) => {
+        const known = netPlayers.get(netId);
+        if (!known) return;
+        result[known.id] = { ...known, ...dequantizePlayer(state) };
+        if (known.id === playerId) result[known.id].ack = snapshot.ack;
+    });
+    return result;
+}
+
+function updateServerTimeOffset(serverTime) {
+    const sample = serverTime - Date.now();
+    serverTimeOffset = serverTimeOffset === null ? sample : serverTimeOffset + (sample - serverTimeOffset) * 0.1;
+}
+
+function pushSnapshot(remotePlayer, time, playerData) {
+    const snapshots = remotePlayer.userData.snapshots || (remotePlayer.userData.snapshots = []);
+    const last = snapshots[snapshots.length - 1];
+    if (last && Math.hypot(playerData.x - last.x, playerData.y - last.y, playerData.z - last.z) > SNAPSHOT_TELEPORT_DISTANCE) {
+        snapshots.length = 0; // Teleported or respawned
+    }
+    snapshots.push({ time, x: playerData.x, y: playerData.y, z: playerData.z, rotation: playerData.rotation });
+    if (snapshots.length > MAX_SNAPSHOTS) snapshots.shift();
+}
+
+// Puts a remote player where they were at `renderTime` (server clock): between the
+// snapshots around it, or a little past the newest one when the next is late
+function interpolateRemotePlayer(remotePlayer, renderTime) {
+    const snapshots = remotePlayer.userData.snapshots;
+    if (!snapshots || snapshots.length === 0) return;
+
+    const newest = snapshots[snapshots.length - 1];
+    let from = snapshots[0];
+    let to = snapshots[0];
+    let t = 0;
+    if (renderTime >= newest.time) {
+        if (snapshots.length > 1) {
+            from = snapshots[snapshots.length - 2];
+            to = newest;
+            t = 1 + Math.min(renderTime - newest.time, MAX_EXTRAPOLATION_MS) / (to.time - from.time);
+        } else {
+            to = from = newest;
+        }
+    } else {
+        for (let i = snapshots.length - 1; i > 0; i--) {
+            if (snapshots[i - 1].time <= renderTime) {
+                from = snapshots[i - 1];
+                to = snapshots[i];
+                t = (renderTime - from.time) / (to.time - from.time);
+                snapshots.splice(0, i - 1); // Older ones are behind us for good
+                break;
+            }
+        }
+    }
+
+    remotePlayer.position.set(
+        from.x + (to.x - from.x) * t,
+        from.y + (to.y - from.y) * t + 1.0, // Offset visual upward to align feet with physics body bottom
+        from.z + (to.z - from.z) * t
+    );
+    snapshotQuaternionA.setFromAxisAngle(upAxis, from.rotation);
+    snapshotQuaternionB.setFromAxisAngle(upAxis, to.rotation);
+    remotePlayer.quaternion.slerpQuaternions(snapshotQuaternionA, snapshotQuaternionB, Math.min(t, 1));
+}
+
+function removeRocket(id) {
+    const index = activeRockets.findIndex(rocketObj => rocketObj.id === id);
+    if (index === -1) return;
+    scene.remove(activeRockets[index].mesh);
+    activeRockets.splice(index, 1);
+}
+
 function spawnExplosion(position) {
     for (let i = 0; i < 18; i++) {
         const geometry = new THREE.SphereGeometry(0.25, 8, 8);
@@ -3657,14 +4066,11 @@ function animate() {
     }
 }
 
-    // Interpolate other players (optimized)
-    if (performance.now() % 3 < 1) { // Only interpolate every 3 frames
+    // Place other players from their gameState snapshots
+    if (serverTimeOffset !== null) {
+        const renderTime = Date.now() + serverTimeOffset - INTERPOLATION_DELAY_MS;
         for (const id in otherPlayers) {
-            const remotePlayer = otherPlayers[id];
-            if (remotePlayer.userData.targetPosition && remotePlayer.userData.targetQuaternion) {
-                remotePlayer.position.lerp(remotePlayer.userData.targetPosition, 0.2);
-                remotePlayer.quaternion.slerp(remotePlayer.userData.targetQuaternion, 0.2);
-            }
+            interpolateRemotePlayer(otherPlayers[id], renderTime);
         }
     }
 
@@ -3879,8 +4285,8 @@ if (remotePlayer.userData.isEquipped) {
             }
 
             // Fixed speed calculation for perfect directional control
-            const targetSpeed = 45; // Base movement speed
-            const airControlFactor = player.userData.body && typeof canJump === 'boolean' ? (canJump ? 1.0 : 0.25) : 1.0;
+            const targetSpeed = 45 * speedMultiplier; // Base movement speed, scaled by /speed
+            const airControlFactor = player.userData.body && typeof canJump === 'boolean' ? (canJump || isFlying ? 1.0 : 0.25) : 1.0;
             // Calculate speed while preserving directional precision
             const speed = targetSpeed * airControlFactor * (moveDir.length() > 0 ? 1 : 0);
 
@@ -3909,8 +4315,8 @@ if (remotePlayer.userData.isEquipped) {
                 }
             }
         } else {
-            // Stop immediately when no input (only damp horizontal while on ground)
-            if (canJump) {
+            // Stop immediately when no input (only damp horizontal while on ground or flying)
+            if (canJump || isFlying) {
                 playerVelocity.set(0, 0, 0);
                 player.userData.body.velocity.x = 0;
                 player.userData.body.velocity.z = 0;
@@ -3997,7 +4403,11 @@ if (remotePlayer.userData.isEquipped) {
     // Send player position to server (throttled)
     if (socket && socket.connected && time > lastSentTime + sendInterval) {
         const pos = player.userData.body ? player.userData.body.position : player.position;
+        moveSeq++;
+        pendingMoves.push({ seq: moveSeq, x: pos.x, y: pos.y, z: pos.z });
+        if (pendingMoves.length > MAX_PENDING_MOVES) pendingMoves.shift();
         socket.emit('playerMove', {
+            seq: moveSeq,
             x: pos.x,
             y: pos.y,
             z: pos.z,
@@ -4062,7 +4472,7 @@ if (remotePlayer.userData.isEquipped) {
             if (!nameTag) {
                 nameTag = document.createElement('div');
                 nameTag.className = 'player-name-tag';
-                nameTag.textContent = remotePlayer.userData.nickname || 'Guest';
+                nameTag.textContent = formatPlayerLabel(remotePlayer.userData.nickname || 'Guest', remotePlayer.userData.isGuest);
                 nameTag.style.position = 'absolute';
                 nameTag.style.color = 'white';
                 nameTag.style.fontSize = '14px';
@@ -4137,6 +4547,16 @@ if (remotePlayer.userData.isEquipped) {
     }
 
     if ( player.userData.body) {
+        // Blend in server corrections (reconcileWithServer) instead of rubber-banding
+        if (reconcileError.lengthSq() > 0) {
+            const step = reconcileError.length() < 0.01
+                ? reconcileError.clone()
+                : reconcileError.clone().multiplyScalar(Math.min(1, delta * RECONCILE_RATE));
+            const body = player.userData.body;
+            body.position.set(body.position.x + step.x, body.position.y + step.y, body.position.z + step.z);
+            reconcileError.sub(step);
+        }
+
         // Sync visual position from physics body
         const oldPosition = player.position.clone();
         player.position.copy(player.userData.body.position);
@@ -4151,56 +4571,17 @@ if (remotePlayer.userData.isEquipped) {
 
     ensurePlayerPhysicsBody();
 
-    // Atualiza e remove rockets (optimized)
+    // Move rockets between server updates ('rocketPositions'); hits, explosions and
+    // damage all come from the server
     for (let i = activeRockets.length - 1; i >= 0; i--) {
         const rocketObj = activeRockets[i];
-        const { mesh, direction, ownerId } = rocketObj;
-        const moveStep = rocketSpeed * delta;
-        mesh.position.add(direction.clone().multiplyScalar(moveStep));
+        const moveStep = rocketObj.speed * delta;
+        rocketObj.mesh.position.add(rocketObj.direction.clone().multiplyScalar(moveStep));
         rocketObj.traveled += moveStep;
 
-        // Colisão simples com player local (AABB) - only check every few frames
-        if (performance.now() % 3 < 1) { // Check collision every 3 frames
-            if (
-                ownerId !== playerId &&
-                player.visible &&
-                mesh.position.distanceTo(player.position) < 2
-            ) {
-                // Take damage
-                playerHealth -= 25;
-                if (playerHealth <= 0) {
-                    respawnPlayer();
-                } else {
-                    // Update UI
-                    document.getElementById('health-text').textContent = playerHealth;
-                    document.getElementById('health-fill').style.width = `${(playerHealth / maxHealth) * 100}%`;
-                }
-                if (socket && socket.connected) {
-                    socket.emit('playerHit', { killer: ownerId, victim: playerId });
-                    socket.emit('explosion', { position: mesh.position });
-                }
-                scene.remove(mesh);
-                activeRockets.splice(i, 1);
-                continue;
-            }
-        }
-
-        // Checa colisão com o chão (y <= 0)
-        if (mesh.position.y <= 0) {
-            if (socket && socket.connected) {
-                socket.emit('explosion', { position: mesh.position });
-            }
-            scene.remove(mesh);
-            activeRockets.splice(i, 1);
-            continue;
-        }
-
-        // Remove se passou da distância máxima
-        if (rocketObj.traveled > rocketMaxDistance) {
-            if (socket && socket.connected) {
-                socket.emit('explosion', { position: mesh.position });
-            }
-            scene.remove(mesh);
+        // Missed explosion (or offline rocket): drop it once it is surely over
+        if (rocketObj.traveled > rocketMaxDistance + 5) {
+            scene.remove(rocketObj.mesh);
             activeRockets.splice(i, 1);
         }
     }
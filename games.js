@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    getGame,
+    getLatestGameVersion,
+    getGameVersion,
+    publishGameVersion
+} = require('./database');
+
+// Published games share one JSON format: what studio posts to /api/games, what
+// exportGame writes and what the legacy files in games/ contain.
+const THUMBNAILS_DIR = path.join(__dirname, 'thumbnails');
+const DEFAULT_THUMBNAIL = 'thumbnail1.jpg';
+const GAME_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const GAME_TITLE_MAX = 100;
+const GAME_EXPORT_FORMAT = 1;
+
+// Game discovery metadata
+const GAME_GENRES = ['aventura', 'obby', 'rpg', 'simulador', 'corrida', 'combate', 'terror', 'social'];
+const GAME_DESCRIPTION_MAX = 1000;
+
+const THUMBNAIL_MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+// Helper function to save data URL as file
+function saveDataUrlAsFile(dataUrl, filename) {
+    return new Promise((resolve, reject) => {
+        try {
+            // Ensure thumbnails directory exists
+            if (!fs.existsSync(THUMBNAILS_DIR)) {
+                fs.mkdirSync(THUMBNAILS_DIR, { recursive: true });
+            }
+
+            // Extract base64 data from data URL
+            const matches = dataUrl.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
+            if (!matches || matches.length !== 3) {
+                reject(new Error('Invalid data URL'));
+                return;
+            }
+
+            const mimeType = matches[1];
+            const base64Data = matches[2];
+            const buffer = Buffer.from(base64Data, 'base64');
+
+            const filePath = path.join(THUMBNAILS_DIR, filename);
+            fs.writeFile(filePath, buffer, (err) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(filePath);
+                }
+            });
+        } catch (error) {
+            reject(error);
+        }
+    });
+}
+
+// Saves a data URL thumbnail under thumbnails/ and returns its public path
+async function storeGameThumbnail(thumbnail, filename, fallback) {
+    if (typeof thumbnail === 'string' && thumbnail.startsWith('data:')) {
+        try {
+            await saveDataUrlAsFile(thumbnail, filename);
+            return `/thumbnails/${filename}`;
+        } catch (error) {
+            console.warn('Failed to save thumbnail as file, using default:', error);
+        }
+    }
+    return fallback;
+}
+
+// Bounds the description and keeps only known genre tags on incoming game data
+function sanitizeGameMetadata(gameData) {
+    if (gameData.description !== undefined) {
+        gameData.description = typeof gameData.description === 'string'
+            ? gameData.description.trim().slice(0, GAME_DESCRIPTION_MAX)
+            : '';
+    }
+    if (gameData.tags !== undefined) {
+        gameData.tags = Array.isArray(gameData.tags)
+            ? [...new Set(gameData.tags.filter(tag => GAME_GENRES.includes(tag)))]
+            : [];
+    }
+    return gameData;
+}
+
+// Returns an error message for data that is not a game in the published format, or null if valid
+function validateGameJson(gameData) {
+    if (!gameData || typeof gameData !== 'object' || Array.isArray(gameData)) {
+        return 'not a JSON object';
+    }
+    if (typeof gameData.title !== 'string' || !gameData.title.trim()) {
+        return 'missing title';
+    }
+    if (gameData.title.length > GAME_TITLE_MAX) {
+        return `title longer than ${GAME_TITLE_MAX} characters`;
+    }
+    if (gameData.gameId !== undefined && (typeof gameData.gameId !== 'string' || !GAME_ID_PATTERN.test(gameData.gameId))) {
+        return 'invalid gameId';
+    }
+    for (const key of ['objects', 'scripts']) {
+        if (gameData[key] !== undefined && (typeof gameData[key] !== 'object' || gameData[key] === null || Array.isArray(gameData[key]))) {
+            return `"${key}" must be an object`;
+        }
+    }
+    if (gameData.thumbnail !== undefined && gameData.thumbnail !== null && typeof gameData.thumbnail !== 'string') {
+        return 'invalid thumbnail';
+    }
+    return null;
+}
+
+// Reads a stored /thumbnails/ file back as a data URL so it can travel inside JSON
+function readThumbnailAsDataUrl(thumbnail) {
+    if (typeof thumbnail !== 'string' || !thumbnail.startsWith('/thumbnails/')) {
+        return thumbnail || null;
+    }
+    const filename = path.basename(thumbnail);
+    const mimeType = THUMBNAIL_MIME_TYPES[path.extname(filename).toLowerCase()] || 'image/png';
+    try {
+        const data = fs.readFileSync(path.join(THUMBNAILS_DIR, filename));
+        return `data:${mimeType};base64,${data.toString('base64')}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+// The live version of a game as a self-contained JSON document (thumbnail embedded)
+async function exportGame(gameId) {
+    const game = await getGame(gameId);
+    if (!game) return null;
+    const live = await getGameVersion(gameId, await getLatestGameVersion(gameId));
+
+    return {
+        ...(live ? live.data : {}),
+        gameId,
+        title: game.title,
+        description: game.description,
+        tags: game.tags,
+        thumbnail: readThumbnailAsDataUrl(game.thumbnail),
+        exportFormat: GAME_EXPORT_FORMAT,
+        exportedAt: new Date().toISOString()
+    };
+}
+
+// Publishes a game from the published JSON format. An existing game with the same id
+// gets a new version (its owner is kept), otherwise it is created owned by `importedBy`.
+async function importGame(gameData, importedBy = null, changelog = null) {
+    const invalid = validateGameJson(gameData);
+    if (invalid) {
+        return { success: false, error: invalid };
+    }
+
+    const { exportFormat, exportedAt, ...game } = gameData;
+    let gameId = game.gameId;
+    if (!gameId) {
+        gameId = 'game_' + Date.now();
+        while (await getGame(gameId)) {
+            gameId = 'game_' + (Date.now() + Math.floor(Math.random() * 1000));
+        }
+    }
+    const existing = await getGame(gameId);
+
+    game.gameId = gameId;
+    game.title = game.title.trim();
+    sanitizeGameMetadata(game);
+    // A file per version, as when publishing, so rolling back past an import restores
+    // the earlier thumbnail
+    game.thumbnail = await storeGameThumbnail(game.thumbnail, `${gameId}_${Date.now()}_thumbnail.png`,
+        existing ? existing.thumbnail : DEFAULT_THUMBNAIL);
+
+    const result = await publishGameVersion(gameId, game, importedBy, changelog || 'Imported');
+    return { success: true, gameId, version: result.version, created: !existing };
+}
+
+module.exports = {
+    THUMBNAILS_DIR,
+    DEFAULT_THUMBNAIL,
+    GAME_GENRES,
+    GAME_DESCRIPTION_MAX,
+    storeGameThumbnail,
+    sanitizeGameMetadata,
+    validateGameJson,
+    exportGame,
+    importGame
+};
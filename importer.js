@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getGame, getGameImport, getGameImportByGameId, recordGameImport, backdateGameCreation } = require('./database');
+const { validateGameJson, importGame } = require('./games');
+
+// Imports games in the published JSON format from games/*.json: the files the repo
+// ships from before SQLite, plus any dropped into the folder while the server runs.
+// Each file is remembered by content hash, so unchanged files are skipped and a
+// changed file is published as a new version of the same game.
+const GAMES_DIR = path.join(__dirname, 'games');
+const MAX_FILE_BYTES = 50 * 1024 * 1024; // Same limit as a publish request
+const WATCH_DEBOUNCE_MS = 500;
+
+// Files without a gameId (the oldest format) use their file name as the id
+function gameIdForFile(gameData, file) {
+    return gameData.gameId || path.basename(file, '.json');
+}
+
+// The legacy files' `timestamp` (when the game was first saved) as a games.created_at
+// value, or null when it is missing, unreadable or in the future
+function fileCreatedAt(gameData) {
+    const { timestamp } = gameData;
+    if (typeof timestamp !== 'string' && typeof timestamp !== 'number') return null;
+    const time = new Date(timestamp).getTime();
+    if (!Number.isFinite(time) || time <= 0 || time > Date.now()) return null;
+    return new Date(time).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// Imports one file. Returns { file, status, gameId, version, message } where status is
+// imported, updated, unchanged, skipped (id taken by another game) or invalid.
+async function importGameFile(filePath) {
+    const file = path.basename(filePath);
+    const result = { file, status: 'invalid', gameId: null, version: null, message: '' };
+
+    let content;
+    try {
+        if (fs.statSync(filePath).size > MAX_FILE_BYTES) {
+            result.message = 'file too large';
+            return result;
+        }
+        content = fs.readFileSync(filePath);
+    } catch (err) {
+        result.message = err.code === 'ENOENT' ? 'file not found' : err.message;
+        return result;
+    }
+
+    let gameData;
+    try {
+        gameData = JSON.parse(content.toString('utf8'));
+    } catch (err) {
+        result.message = `invalid JSON: ${err.message}`;
+        return result;
+    }
+    const invalid = validateGameJson(gameData);
+    if (invalid) {
+        result.message = invalid;
+        return result;
+    }
+    gameData.gameId = gameIdForFile(gameData, file);
+    const invalidId = validateGameJson(gameData);
+    if (invalidId) {
+        result.message = invalidId;
+        return result;
+    }
+    result.gameId = gameData.gameId;
+
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const previous = await getGameImport(file);
+    const createdAt = fileCreatedAt(gameData);
+    if (previous && previous.hash === hash) {
+        // Games imported before the timestamp was kept still get their date
+        if (createdAt && previous.gameId === gameData.gameId) {
+            await backdateGameCreation(gameData.gameId, createdAt);
+        }
+        result.status = 'unchanged';
+        return result;
+    }
+
+    // Never overwrite a game that was published from studio or imported from another file
+    if (await getGame(gameData.gameId)) {
+        const owner = await getGameImportByGameId(gameData.gameId);
+        if (!owner || owner.file !== file) {
+            result.status = 'skipped';
+            result.message = `game id ${gameData.gameId} is already used by another game`;
+            return result;
+        }
+    }
+
+    const imported = await importGame(gameData, null, `Imported from games/${file}`);
+    if (!imported.success) {
+        result.message = imported.error;
+        return result;
+    }
+    await recordGameImport(file, hash, imported.gameId);
+    if (createdAt) {
+        await backdateGameCreation(imported.gameId, createdAt);
+    }
+    result.status = imported.created ? 'imported' : 'updated';
+    result.version = imported.version;
+    return result;
+}
+
+// Imports every .json file in the folder, in name order
+async function importGamesDirectory(dir = GAMES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    const results = [];
+    for (const file of files) {
+        try {
+            results.push(await importGameFile(path.join(dir, file)));
+        } catch (err) {
+            results.push({ file, status: 'invalid', gameId: null, version: null, message: err.message });
+        }
+    }
+    return results;
+}
+
+function formatImportResult(result) {
+    const details = [
+        result.gameId,
+        result.version ? `v${result.version}` : null,
+        result.message
+    ].filter(Boolean).join(', ');
+    return `${result.status.padEnd(9)} ${result.file}${details ? ` (${details})` : ''}`;
+}
+
+// One line per file plus totals per status
+function formatImportSummary(results) {
+    const totals = {};
+    results.forEach(result => {
+        totals[result.status] = (totals[result.status] || 0) + 1;
+    });
+    const totalsLine = Object.entries(totals).map(([status, count]) => `${count} ${status}`).join(', ');
+    return [
+        ...results.map(formatImportResult),
+        `${results.length} files: ${totalsLine || 'nothing to import'}`
+    ].join('\n');
+}
+
+// Imports files created or changed in the folder; returns the fs.FSWatcher.
+// `onResult` receives each file's result.
+function watchGamesDirectory(dir = GAMES_DIR, onResult = () => {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    // Editors and copies write in several steps, wait until the file settles
+    const pending = {};
+    return fs.watch(dir, (eventType, file) => {
+        if (!file || !file.endsWith('.json')) return;
+        clearTimeout(pending[file]);
+        pending[file] = setTimeout(() => {
+            delete pending[file];
+            const filePath = path.join(dir, file);
+            if (!fs.existsSync(filePath)) return;
+            importGameFile(filePath)
+                .then(onResult)
+                .catch(err => console.error(`Error importing games/${file}:`, err));
+        }, WATCH_DEBOUNCE_MS);
+    });
+}
+
+module.exports = {
+    GAMES_DIR,
+    importGameFile,
+    importGamesDirectory,
+    watchGamesDirectory,
+    formatImportResult,
+    formatImportSummary
+};
@@ -2,83 +2,115 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
-// User management system
+// User management system (accounts live on the server; only the session token is kept locally)
 class UserManager {
     constructor() {
-        this.currentUser = null;
+        this.currentUser = localStorage.getItem('rogold_currentUser');
+        // Accounts used to be stored in plaintext in localStorage; drop that data
+        localStorage.removeItem('rogold_users');
+    }
+
+    getToken() {
+        return localStorage.getItem('rogold_session_token');
+    }
+
+    // fetch() wrapper that attaches the session token and normalizes errors
+    async request(url, options = {}) {
+        const headers = { 'Content-Type': 'application/json', ...(options.headers || {}) };
+        const token = this.getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
         try {
-            this.users = JSON.parse(localStorage.getItem('rogold_users')) || {};
+            const response = await fetch(url, { ...options, headers });
+            const data = await response.json().catch(() => ({}));
+            if (response.status === 401 && token) {
+                // Session expired or revoked on the server
+                this.clearSession();
+            }
+            if (!response.ok) {
+                return { success: false, status: response.status, message: data.error || 'Erro no servidor.' };
+            }
+            return { success: true, ...data };
         } catch (e) {
-            console.error("Error parsing rogold_users from localStorage, resetting:", e);
-            this.users = {};
-            // Optionally clear corrupt data to prevent repeated errors
-            localStorage.removeItem('rogold_users'); 
+            console.error(`Request to ${url} failed:`, e);
+            return { success: false, message: 'Não foi possível conectar ao servidor.' };
         }
     }
 
-    register(username, password) {
-        if (this.users[username]) {
-            return { success: false, message: 'Usuário já existe!' };
+    async register(username, password) {
+        return this.request('/api/auth/register', {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
+        });
+    }
+
+    async login(username, password) {
+        const result = await this.request('/api/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
+        });
+        if (result.success) {
+            this.currentUser = result.username;
+            localStorage.setItem('rogold_currentUser', result.username);
+            localStorage.setItem('rogold_session_token', result.token);
         }
-        this.users[username] = { password, createdAt: new Date().toISOString() };
-        localStorage.setItem('rogold_users', JSON.stringify(this.users));
-        return { success: true };
+        return result;
     }
 
-    login(username, password) {
-        const user = this.users[username];
-        if (!user || user.password !== password) {
-            return { success: false, message: 'Usuário ou senha incorretos!' };
+    async logout() {
+        if (this.getToken()) {
+            await this.request('/api/auth/logout', { method: 'POST' });
         }
-        this.currentUser = username;
-        localStorage.setItem('rogold_currentUser', username);
-        return { success: true };
+        this.clearSession();
     }
 
-    logout() {
+    clearSession() {
         this.currentUser = null;
         localStorage.removeItem('rogold_currentUser');
+        localStorage.removeItem('rogold_session_token');
     }
 
     getCurrentUser() {
         return localStorage.getItem('rogold_currentUser');
     }
 
-    updateUser(currentUsername, currentPassword, newUsername, newPassword) {
-        const user = this.users[currentUsername];
-        if (!user || user.password !== currentPassword) {
-            return { success: false, message: 'Senha atual incorreta!' };
+    // Confirms the stored session with the server; clears it if it is no longer valid
+    async refreshSession() {
+        if (!this.getToken()) {
+            this.clearSession();
+            return null;
         }
-
-        let actualNewUsername = newUsername || currentUsername; // Determine the actual new username
-
-        // If username is changing
-        if (newUsername && newUsername !== currentUsername) {
-            if (this.users[newUsername]) {
-                return { success: false, message: 'Novo usuário já existe!' };
-            }
-            // IMPORTANT: Migrate profile data BEFORE deleting old user entry
-            profileManager.migrateProfileUsername(currentUsername, newUsername);
-
-            this.users[newUsername] = { ...this.users[currentUsername] };
-            delete this.users[currentUsername];
-            
-            // Update session
-            localStorage.setItem('rogold_currentUser', newUsername);
-            this.currentUser = newUsername;
+        const result = await this.request('/api/auth/me');
+        if (result.success) {
+            this.currentUser = result.username;
+            localStorage.setItem('rogold_currentUser', result.username);
+            return result;
         }
+        return null;
+    }
 
-        // Se está mudando a senha (apply to the actual new username)
-        if (newPassword) {
-            this.users[actualNewUsername].password = newPassword;
+    async updateUser(currentUsername, currentPassword, newUsername, newPassword) {
+        const result = await this.request('/api/auth/account', {
+            method: 'PUT',
+            body: JSON.stringify({ currentPassword, newUsername, newPassword })
+        });
+        if (!result.success) {
+            return result;
         }
 
-        localStorage.setItem('rogold_users', JSON.stringify(this.users));
-        return { success: true, newUsername: actualNewUsername };
+        if (result.username !== currentUsername) {
+            // Profile data is still keyed by username locally
+            profileManager.migrateProfileUsername(currentUsername, result.username);
+            localStorage.setItem('rogold_currentUser', result.username);
+            this.currentUser = result.username;
+        }
+        return { success: true, newUsername: result.username };
     }
 
-    getAllUsernames() {
-        return Object.keys(this.users);
+    async searchUsernames(query) {
+        const result = await this.request(`/api/users?search=${encodeURIComponent(query)}`);
+        return result.success ? result.users : [];
     }
 }
 
@@ -87,15 +119,21 @@ const userManager = new UserManager();
 // Catalog Management
 class CatalogManager {
     constructor() {
-        this.items = [
-            // Only 3D items with modelPath and a corresponding imageUrl (thumbnail)
-            { id: 'hat_red', name: 'Boné Vermelho R', type: 'hat', price: 100, imageUrl: 'hat_red_thumbnail.jpg', modelPath: 'roblox_r_baseball_cap_r6.glb' },
-            { id: 'hat_doge', name: 'Chapéu Doge', type: 'hat', price: 500, imageUrl: 'hat_doge_thumbnail.jpg', modelPath: 'doge_roblox_hat.glb' },
-            { id: 'hat_fedora_black', name: 'Fedora Preta', type: 'hat', price: 300, imageUrl: 'hat_fedora_black_thumbnail.jpg', modelPath: 'roblox_fedora.glb' },
-            // Face items
-            { id: 'face_default', name: 'Default Face', type: 'face', price: 0, imageUrl: 'OriginalGlitchedFace.webp', modelPath: null },
-            { id: 'face_epic', name: 'Epic Face', type: 'face', price: 100, imageUrl: 'epicface.png', modelPath: null }
-        ]
+        this.items = [];
+    }
+
+    // Items, prices and sale status come from the server catalog
+    async loadItems() {
+        try {
+            const response = await fetch('/api/catalog');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.items = await response.json();
+        } catch (error) {
+            console.error('Error loading catalog:', error);
+        }
+        return this.items;
     }
 
     getAllItems() {
@@ -136,41 +174,33 @@ class ProfileManager {
         const defaultProfile = {
             bio: 'Este usuário ainda não escreveu uma descrição.',
             status: 'Offline',
-            friends: [],
-            sentRequests: [],
-            receivedRequests: [],
             favorites: [],
-            profilePicture: null,
-            coins: 500, 
-            inventory: [], 
-            equippedItems: {} 
+            profilePicture: null
         };
 
         // Merge existing profile data with default values to ensure all fields are present.
         const mergedProfile = { ...defaultProfile, ...rawProfile };
 
         // Ensure array types for lists and filter out non-string/empty values
-        ['friends', 'sentRequests', 'receivedRequests', 'favorites', 'inventory'].forEach(key => { 
+        ['favorites'].forEach(key => { 
             if (!Array.isArray(mergedProfile[key])) {
                 mergedProfile[key] = [];
             }
             mergedProfile[key] = mergedProfile[key].filter(item => typeof item === 'string' && item.trim() !== '');
         });
 
-        // Ensure equippedItems is an object
-        if (typeof mergedProfile.equippedItems !== 'object' || mergedProfile.equippedItems === null) {
-            mergedProfile.equippedItems = {};
-        }
-
-        // Specifically handle `joinDate` as it might be sourced from `userManager.users`
+        // Profiles created before joinDate was tracked get the current date
         if (!mergedProfile.joinDate) {
-            mergedProfile.joinDate = this.userManager.users[username]?.createdAt || new Date().toISOString();
+            mergedProfile.joinDate = new Date().toISOString();
         }
 
-        // Ensure coins is a number
-        if (typeof mergedProfile.coins !== 'number' || isNaN(mergedProfile.coins)) {
-            mergedProfile.coins = defaultProfile.coins;
-        }
+        // Goldbucks, inventory and friends now live on the server
+        delete mergedProfile.coins;
+        delete mergedProfile.friends;
+        delete mergedProfile.sentRequests;
+        delete mergedProfile.receivedRequests;
+        delete mergedProfile.inventory;
+        delete mergedProfile.equippedItems;
 
         // Update the stored profile with the merged structure.
         this.profiles[username] = mergedProfile;
@@ -200,83 +230,27 @@ class ProfileManager {
         return false;
     }
 
-    // Send a friend request
-    sendFriendRequest(senderUsername, receiverUsername) {
-        if (senderUsername === receiverUsername) {
-            return { success: false, message: 'Você não pode enviar um pedido de amizade para si mesmo!' };
-        }
-        if (!this.userManager.users[receiverUsername]) {
-            return { success: false, message: 'Usuário não encontrado.' };
-        }
-
-        const senderProfile = this.getProfile(senderUsername);
-        const receiverProfile = this.getProfile(receiverUsername);
-
-        if (senderProfile.friends.includes(receiverUsername)) {
-            return { success: false, message: 'Vocês já são amigos!' };
-        }
-        if (senderProfile.sentRequests.includes(receiverUsername)) {
-            return { success: false, message: 'Você já enviou um pedido de amizade para este usuário!' };
-        }
-        if (senderProfile.receivedRequests.includes(receiverUsername)) {
-            return { success: false, message: 'Este usuário já enviou um pedido de amizade para você! Aceite-o.' };
-        }
-
-        senderProfile.sentRequests.push(receiverUsername);
-        receiverProfile.receivedRequests.push(senderUsername);
-        this.saveProfiles();
-        return { success: true, message: `Pedido de amizade enviado para ${receiverUsername}!` };
-    }
-
-    // Accept a friend request
-    acceptFriendRequest(accepterUsername, senderUsername) {
-        const accepterProfile = this.getProfile(accepterUsername);
-        const senderProfile = this.getProfile(senderUsername);
-
-        // Remove from received requests
-        accepterProfile.receivedRequests = accepterProfile.receivedRequests.filter(user => user !== senderUsername);
-        // Add to friends list for accepter
-        accepterProfile.friends.push(senderUsername);
-
-        // Remove from sent requests for sender
-        senderProfile.sentRequests = senderProfile.sentRequests.filter(user => user !== accepterUsername);
-        // Add to friends list for sender
-        senderProfile.friends.push(accepterUsername);
-        
-        this.saveProfiles();
-        return { success: true, message: `Você e ${senderUsername} agora são amigos!` };
+    // Friends and friend requests are stored on the server
+    async getFriends() {
+        const result = await this.userManager.request('/api/friends');
+        return result.success
+            ? { friends: result.friends, incoming: result.incoming, outgoing: result.outgoing }
+            : { friends: [], incoming: [], outgoing: [] };
     }
 
-    // Decline a friend request
-    declineFriendRequest(declinerUsername, senderUsername) {
-        const declinerProfile = this.getProfile(declinerUsername);
-        const senderProfile = this.getProfile(senderUsername);
-
-        // Remove from received requests for decliner
-        declinerProfile.receivedRequests = declinerProfile.receivedRequests.filter(user => user !== senderUsername);
-        // Remove from sent requests for sender
-        senderProfile.sentRequests = senderProfile.sentRequests.filter(user => user !== declinerUsername);
-
-        this.saveProfiles();
-        return { success: true, message: `Pedido de amizade de ${senderUsername} recusado.` };
-    }
-
-    // Check if two users are friends
-    areFriends(user1, user2) {
-        const profile1 = this.getProfile(user1);
-        return profile1.friends.includes(user2);
+    async sendFriendRequest(receiverUsername) {
+        return this.userManager.request('/api/friends/requests', {
+            method: 'POST',
+            body: JSON.stringify({ username: receiverUsername })
+        });
     }
 
-    // Check if a request has been sent
-    hasSentRequest(sender, receiver) {
-        const senderProfile = this.getProfile(sender);
-        return senderProfile.sentRequests.includes(receiver);
+    async acceptFriendRequest(senderUsername) {
+        return this.userManager.request(`/api/friends/requests/${encodeURIComponent(senderUsername)}/accept`, { method: 'POST' });
     }
 
-    // Check if a request has been received
-    hasReceivedRequest(receiver, sender) {
-        const receiverProfile = this.getProfile(receiver);
-        return receiverProfile.receivedRequests.includes(sender);
+    async declineFriendRequest(senderUsername) {
+        return this.userManager.request(`/api/friends/requests/${encodeURIComponent(senderUsername)}/decline`, { method: 'POST' });
     }
 
     // Add a game to favorites
@@ -312,82 +286,45 @@ class ProfileManager {
         return { success: false, message: `'${gameTitle}' não está nos seus favoritos.` };
     }
 
-    // NEW: Coins management
-    addCoins(username, amount) {
-        const profile = this.getProfile(username);
-        if (profile) {
-            profile.coins = (profile.coins || 0) + amount;
-            this.saveProfiles();
-            return { success: true, newBalance: profile.coins };
-        }
-        return { success: false, message: 'Usuário não encontrado.' };
+    // Goldbucks balance from the server ledger (null if unavailable)
+    async getCoinBalance() {
+        const result = await this.userManager.request('/api/coins/balance');
+        return result.success ? result.balance : null;
     }
 
-    subtractCoins(username, amount) {
-        const profile = this.getProfile(username);
-        if (profile) {
-            if (profile.coins >= amount) {
-                profile.coins -= amount;
-                this.saveProfiles();
-                return { success: true, newBalance: profile.coins };
-            }
-            return { success: false, message: 'Moedas insuficientes.' };
-        }
-        return { success: false, message: 'Usuário não encontrado.' };
+    // Owned and equipped items are stored on the server
+    async getInventory() {
+        const result = await this.userManager.request('/api/inventory');
+        return result.success
+            ? { items: result.items, equipped: result.equipped }
+            : { items: [], equipped: {} };
     }
 
-    // NEW: Inventory and Equipment management
-    addItemToInventory(username, itemId) {
-        const profile = this.getProfile(username);
-        if (profile && !profile.inventory.includes(itemId)) {
-            profile.inventory.push(itemId);
-            this.saveProfiles();
-            return { success: true, message: 'Item adicionado ao inventário!' };
-        }
-        return { success: false, message: 'Item já está no inventário ou usuário não encontrado.' };
+    async purchaseItem(itemId) {
+        return this.userManager.request(`/api/catalog/${encodeURIComponent(itemId)}/purchase`, { method: 'POST' });
     }
 
-    // Equip an item, making sure it's in inventory and replacing existing item of same type
-    equipItem(username, itemId, itemType) {
-        const profile = this.getProfile(username);
-        if (!profile) {
-            return { success: false, message: 'Usuário não encontrado.' };
-        }
-        if (!profile.inventory.includes(itemId)) {
-            return { success: false, message: 'Você não possui este item.' };
-        }
-        
-        profile.equippedItems[itemType] = itemId;
-        this.saveProfiles();
-
-        // Quando o usuário equipa um item no site:
-        if (itemType === 'hat') {
-            localStorage.setItem('rogold_equipped_hat', itemId);
-            window.dispatchEvent(new Event('rogold_equipped_hat_changed'));
-        } else if (itemType === 'face') {
-            localStorage.setItem('rogold_equipped_face', itemId);
-            window.dispatchEvent(new Event('rogold_equipped_face_changed'));
-        }
-
-        // NOVO: envie para o servidor
-        if (window.socket && window.socket.connected) {
-            window.socket.emit('equipHat', { hatId: itemId });
+    // Equip an item the server confirms we own, replacing the existing item of the same type
+    async equipItem(itemId) {
+        const result = await this.userManager.request('/api/inventory/equip', {
+            method: 'POST',
+            body: JSON.stringify({ itemId })
+        });
+        if (result.success) {
+            await syncEquippedItemsFromServer();
         }
-        
-        return { success: true, message: 'Item equipado com sucesso!' };
+        return result;
     }
 
-    unequipItem(username, itemType) {
-        const profile = this.getProfile(username);
-        if (!profile) {
-            return { success: false, message: 'Usuário não encontrado.' };
-        }
-        if (profile.equippedItems[itemType]) {
-            delete profile.equippedItems[itemType];
-            this.saveProfiles();
-            return { success: true, message: `Item do tipo ${itemType} desequipado.` };
+    async unequipItem(itemType) {
+        const result = await this.userManager.request('/api/inventory/unequip', {
+            method: 'POST',
+            body: JSON.stringify({ type: itemType })
+        });
+        if (result.success) {
+            await syncEquippedItemsFromServer();
         }
-        return { success: false, message: `Nenhum item do tipo ${itemType} está equipado.` };
+        return result;
     }
 
     saveProfiles() {
@@ -892,63 +829,69 @@ function updatePlayerFace(player, faceId) {
 
 // Community Management
 class CommunityManager {
-    constructor() {
-        try {
-            this.blogs = JSON.parse(localStorage.getItem('rogold_blogs')) || [];
-        } catch (e) {
-            console.error("Error parsing rogold_blogs from localStorage, resetting:", e);
-            this.blogs = [];
-            // Optionally clear corrupt data to prevent repeated errors
-            localStorage.removeItem('rogold_blogs');
-        }
+    constructor(userManager) {
+        this.userManager = userManager;
+        // Forum topics and replies are stored on the server
         this.currentBlog = null;
+        this.blogsPage = 1;
+        this.messagesPage = 1;
+        this.replyParentId = null;
     }
 
-    createBlog(title, message, author) {
-        const blog = {
-            id: Date.now(),
-            title,
-            message,
-            author,
-            createdAt: new Date().toISOString(),
-            messages: []
-        };
-        
-        this.blogs.unshift(blog);
-        this.saveBlogs();
-        return blog;
+    async getBlogs(page = 1) {
+        return this.userManager.request(`/api/forum/topics?page=${page}`);
     }
 
-    getBlogs() {
-        return this.blogs;
+    async getBlog(id, page = 1) {
+        return this.userManager.request(`/api/forum/topics/${id}?page=${page}`);
     }
 
-    getBlog(id) {
-        return this.blogs.find(blog => blog.id === id);
+    async createBlog(title, message) {
+        return this.userManager.request('/api/forum/topics', {
+            method: 'POST',
+            body: JSON.stringify({ title, body: message })
+        });
     }
 
-    addMessage(blogId, message, author) {
-        const blog = this.getBlog(blogId);
-        if (blog) {
-            const newMessage = {
-                id: Date.now(),
-                message,
-                author,
-                timestamp: new Date().toISOString()
-            };
-            blog.messages.push(newMessage);
-            this.saveBlogs();
-            return newMessage;
-        }
-        return null;
+    async updateBlog(id, title, message) {
+        return this.userManager.request(`/api/forum/topics/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify({ title, body: message })
+        });
     }
 
-    saveBlogs() {
-        localStorage.setItem('rogold_blogs', JSON.stringify(this.blogs));
+    async deleteBlog(id) {
+        return this.userManager.request(`/api/forum/topics/${id}`, { method: 'DELETE' });
+    }
+
+    // Moderators only: { pinned } and/or { locked }
+    async moderateBlog(id, changes) {
+        return this.userManager.request(`/api/forum/topics/${id}/moderate`, {
+            method: 'POST',
+            body: JSON.stringify(changes)
+        });
+    }
+
+    async addMessage(blogId, message, parentId = null) {
+        return this.userManager.request(`/api/forum/topics/${blogId}/replies`, {
+            method: 'POST',
+            body: JSON.stringify({ body: message, parentId })
+        });
+    }
+
+    async updateMessage(messageId, message) {
+        return this.userManager.request(`/api/forum/replies/${messageId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ body: message })
+        });
+    }
+
+    async deleteMessage(messageId) {
+        return this.userManager.request(`/api/forum/replies/${messageId}`, { method: 'DELETE' });
     }
 }
 
-const communityManager = new CommunityManager();
+const communityManager = new CommunityManager(userManager);
 
 
 function showCatalog() {
@@ -1009,16 +952,17 @@ function hideCatalog() {
 
 
 
-function renderCatalogItems(category) {
+async function renderCatalogItems(category) {
     const currentUser = userManager.getCurrentUser();
     const itemsGrid = document.getElementById('catalog-items-grid');
     if (!itemsGrid) return;
 
-    const items = catalogManager.getItemsByType(category);
-    let userProfile = null;
-    if (currentUser) {
-        userProfile = profileManager.getProfile(currentUser);
+    if (catalogManager.getAllItems().length === 0) {
+        await catalogManager.loadItems();
     }
+    const items = catalogManager.getItemsByType(category);
+    const inventory = currentUser ? await profileManager.getInventory() : { items: [], equipped: {} };
+    const ownedIds = inventory.items.map(item => item.id);
 
     if (items.length === 0) {
         itemsGrid.innerHTML = '<p class="empty-message">Nenhum item disponível nesta categoria.</p>';
@@ -1027,8 +971,8 @@ function renderCatalogItems(category) {
 
     itemsGrid.innerHTML = items.map(item => {
         let buttonHtml = '';
-        const isOwned = userProfile && userProfile.inventory.includes(item.id);
-        const isEquipped = userProfile && userProfile.equippedItems[item.type] === item.id;
+        const isOwned = ownedIds.includes(item.id);
+        const isEquipped = inventory.equipped[item.type] === item.id;
 
         if (!currentUser) {
             buttonHtml = `<button class="buy-button" disabled>Entrar para Comprar</button>`;
@@ -1146,10 +1090,10 @@ async function openSettingsModal() {
 async function logoutUser() {
     const confirmLogout = await confirm('Tem certeza que deseja sair da sua conta?');
     if (confirmLogout) {
-        userManager.logout();
-        // Clear stored equipped hat on logout and notify viewers
-        localStorage.removeItem('rogold_equipped_hat');
-        window.dispatchEvent(new Event('rogold_equipped_hat_changed'));
+        await userManager.logout();
+        disconnectPresenceSocket();
+        // Clear stored equipped items on logout and notify viewers
+        await syncEquippedItemsFromServer();
         await alert('Você saiu da sua conta.');
         
         // Ensure all active content sections and auth forms are hidden
@@ -1159,8 +1103,6 @@ async function logoutUser() {
         hideSection(document.getElementById('blog-list'));
         showOnlyAuthSection('');
         
-        stopCoinRewardTimer();
-
         // After a short delay for transitions to complete, show main content and then login
         setTimeout(() => {
             showMainContent(); 
@@ -1207,7 +1149,7 @@ function showProfile(username) {
     document.querySelector('.profile-status').textContent = `Status: ${profile.status}`;
     document.getElementById('join-date').textContent = new Date(profile.joinDate).toLocaleDateString('pt-BR');
     document.getElementById('favorite-count').textContent = profile.favorites.length;
-    document.getElementById('user-coins').textContent = profile.coins; 
+    updateUserCoinsDisplay();
 
     // Update profile picture
     const profileAvatarImg = document.getElementById('profile-avatar-img');
@@ -1290,20 +1232,21 @@ function hideCommunity() {
 
 
 
-function updateUserCoinsDisplay() {
+async function updateUserCoinsDisplay() {
     const currentUser = userManager.getCurrentUser();
-    const userCoinsProfileElement = document.getElementById('user-coins');
+    const coinElements = [
+        document.getElementById('user-coins'),
+        document.getElementById('current-catalog-coins')
+    ].filter(Boolean);
 
+    let text = '---';
     if (currentUser) {
-        const profile = profileManager.getProfile(currentUser);
-        if (userCoinsProfileElement) {
-            userCoinsProfileElement.textContent = profile.coins;
-        }
-    } else {
-        if (userCoinsProfileElement) {
-            userCoinsProfileElement.textContent = '---';
-        }
+        const balance = await profileManager.getCoinBalance();
+        if (balance !== null) text = balance;
     }
+    coinElements.forEach(element => {
+        element.textContent = text;
+    });
 }
 
 
@@ -1495,37 +1438,63 @@ function setActiveNavLink(activeLinkId) {
     }
 }
 
-// Sync the equipped hat key in localStorage with the current user's profile.
+// Sync the equipped hat/face keys game.js reads from localStorage with the server inventory.
 // This runs on login/site enter to ensure previous stale values are cleared.
-function syncEquippedHatFromProfile() {
+async function syncEquippedItemsFromServer() {
     try {
         const currentUser = userManager.getCurrentUser();
-        if (!currentUser) {
-            // No user logged in; clear any previous value
-            localStorage.removeItem('rogold_equipped_hat');
-            // Notify any viewers (e.g., avatar preview) to remove hat
-            window.dispatchEvent(new Event('rogold_equipped_hat_changed'));
-            return;
-        }
-        const profile = profileManager.getProfile(currentUser);
-        const hatId = profile?.equippedItems?.hat || null;
+        const inventory = currentUser ? await profileManager.getInventory() : { items: [], equipped: {} };
+        const itemsById = Object.fromEntries(inventory.items.map(item => [item.id, item]));
+
+        const hatId = inventory.equipped.hat || null;
         if (hatId) {
             localStorage.setItem('rogold_equipped_hat', hatId);
         } else {
             localStorage.removeItem('rogold_equipped_hat');
         }
-        // Notify any listeners (e.g., game on same origin)
+
+        // Faces are applied in-game by texture file name
+        const ownedFaces = inventory.items.filter(item => item.type === 'face').map(item => item.imageUrl);
+        localStorage.setItem('rogold_owned_faces', JSON.stringify(ownedFaces.length > 0 ? ownedFaces : ['OriginalGlitchedFace.webp']));
+        const faceItem = itemsById[inventory.equipped.face];
+        if (faceItem) {
+            localStorage.setItem('rogold_face', faceItem.imageUrl);
+        } else {
+            localStorage.removeItem('rogold_face');
+        }
+
+        // Notify any listeners (e.g., avatar preview or game on same origin)
         window.dispatchEvent(new Event('rogold_equipped_hat_changed'));
+        window.dispatchEvent(new Event('rogold_equipped_face_changed'));
     } catch (e) {
-        console.warn('Failed to sync equipped hat from profile:', e);
+        console.warn('Failed to sync equipped items from server:', e);
     }
 }
 
 // Initial sync on script load in case user is already logged in and revisiting
-try { syncEquippedHatFromProfile(); } catch (e) {}
+syncEquippedItemsFromServer();
 
 // Friend Request Functionality
-function renderFriendLists() {
+function friendAvatarHtml(username) {
+    const safeName = typeof username === 'string' ? username : 'Desconhecido';
+    const userProfile = profileManager.getProfile(safeName);
+    return userProfile.profilePicture
+        ? `<img src="${escapeHtml(userProfile.profilePicture)}" alt="${escapeHtml(safeName)} Avatar">`
+        : `<div class="avatar-placeholder-small">${escapeHtml(safeName.charAt(0).toUpperCase())}</div>`;
+}
+
+// Presence comes from the server: offline, on the website or inside a game room
+function friendPresenceHtml(presence) {
+    if (presence && presence.status === 'in_game') {
+        return `<a class="friend-presence presence-in-game" href="game.html?game=${encodeURIComponent(presence.room)}">Jogando</a>`;
+    }
+    if (presence && presence.status === 'online') {
+        return '<span class="friend-presence presence-online">No site</span>';
+    }
+    return '<span class="friend-presence presence-offline">Offline</span>';
+}
+
+async function renderFriendLists() {
     const currentUser = userManager.getCurrentUser();
     if (!currentUser) {
         document.getElementById('friends-list').innerHTML = '<p class="empty-message">Faça login para ver e gerenciar seus amigos.</p>';
@@ -1535,73 +1504,53 @@ function renderFriendLists() {
         return;
     }
 
-    const profile = profileManager.getProfile(currentUser);
+    const { friends, incoming, outgoing } = await profileManager.getFriends();
 
     // Render current friends
     const friendsListContainer = document.getElementById('friends-list');
-    if (profile.friends.length === 0) {
+    if (friends.length === 0) {
         friendsListContainer.innerHTML = '<p class="empty-message">Nenhum amigo ainda.</p>';
     } else {
-        friendsListContainer.innerHTML = profile.friends.map(friend => {
-            const friendProfile = profileManager.getProfile(friend);
-            const safeFriend = typeof friend === 'string' ? friend : 'Desconhecido';
-            const friendAvatarHtml = friendProfile.profilePicture 
-                ? `<img src="${escapeHtml(friendProfile.profilePicture)}" alt="${escapeHtml(safeFriend)} Avatar">`
-                : `<div class="avatar-placeholder-small">${escapeHtml(safeFriend.charAt(0).toUpperCase())}</div>`; 
-            return `
-                <div class="friend-card">
-                    <div class="friend-avatar">${friendAvatarHtml}</div>
-                    <span class="friend-name">${escapeHtml(safeFriend)}</span>
+        friendsListContainer.innerHTML = friends.map(friend => `
+                <div class="friend-card" data-friend="${escapeHtml(friend.nickname)}">
+                    <div class="friend-avatar">${friendAvatarHtml(friend.nickname)}</div>
+                    <span class="friend-name">${escapeHtml(friend.nickname)}</span>
+                    ${friendPresenceHtml(friend.presence)}
                 </div>
-            `;
-        }).join('');
+            `).join('');
     }
 
     // Render incoming requests
     const incomingRequestsContainer = document.getElementById('incoming-requests');
-    if (profile.receivedRequests.length === 0) {
+    if (incoming.length === 0) {
         incomingRequestsContainer.innerHTML = '<p class="empty-message">Nenhum pedido de amizade recebido.</p>';
     } else {
-        incomingRequestsContainer.innerHTML = profile.receivedRequests.map(sender => {
-            const senderProfile = profileManager.getProfile(sender);
-            const safeSender = typeof sender === 'string' ? sender : 'Desconhecido';
-            const senderAvatarHtml = senderProfile.profilePicture 
-                ? `<img src="${escapeHtml(senderProfile.profilePicture)}" alt="${escapeHtml(safeSender)} Avatar">`
-                : `<div class="avatar-placeholder-small">${escapeHtml(safeSender.charAt(0).toUpperCase())}</div>`;
-            return `
+        incomingRequestsContainer.innerHTML = incoming.map(({ nickname: sender }) => `
                 <div class="request-card">
-                    <div class="friend-avatar">${senderAvatarHtml}</div>
-                    <span class="username">${escapeHtml(safeSender)}</span>
+                    <div class="friend-avatar">${friendAvatarHtml(sender)}</div>
+                    <span class="username">${escapeHtml(sender)}</span>
                     <div class="actions">
                         <button class="primary-button" onclick="acceptFriendRequest('${escapeHtml(sender)}')">Aceitar</button>
                         <button class="danger-button" onclick="declineFriendRequest('${escapeHtml(sender)}')">Recusar</button>
                     </div>
                 </div>
-            `;
-        }).join('');
+            `).join('');
     }
 
     // Render outgoing requests
     const outgoingRequestsContainer = document.getElementById('outgoing-requests');
-    if (profile.sentRequests.length === 0) {
+    if (outgoing.length === 0) {
         outgoingRequestsContainer.innerHTML = '<p class="empty-message">Nenhum pedido de amizade enviado.</p>';
     } else {
-        outgoingRequestsContainer.innerHTML = profile.sentRequests.map(receiver => {
-            const receiverProfile = profileManager.getProfile(receiver);
-            const safeReceiver = typeof receiver === 'string' ? receiver : 'Desconhecido';
-            const receiverAvatarHtml = receiverProfile.profilePicture 
-                ? `<img src="${escapeHtml(receiverProfile.profilePicture)}" alt="${escapeHtml(safeReceiver)} Avatar">`
-                : `<div class="avatar-placeholder-small">${escapeHtml(safeReceiver.charAt(0).toUpperCase())}</div>`;
-            return `
+        outgoingRequestsContainer.innerHTML = outgoing.map(({ nickname: receiver }) => `
                 <div class="request-card">
-                    <div class="friend-avatar">${receiverAvatarHtml}</div>
-                    <span class="username">${escapeHtml(safeReceiver)}</span>
+                    <div class="friend-avatar">${friendAvatarHtml(receiver)}</div>
+                    <span class="username">${escapeHtml(receiver)}</span>
                     <div class="actions">
                         <button class="secondary-button" disabled>Pendente</button>
                     </div>
                 </div>
-            `;
-        }).join('');
+            `).join('');
     }
 }
 
@@ -1620,38 +1569,35 @@ async function searchUsers() {
         return;
     }
 
-    const allUsernames = userManager.getAllUsernames();
-    const matchingUsers = allUsernames.filter(username => 
-        username.toLowerCase().includes(searchInput) && username !== currentUser
-    );
+    const foundUsernames = await userManager.searchUsernames(searchInput);
+    const matchingUsers = foundUsernames.filter(username => username !== currentUser);
 
     if (matchingUsers.length === 0) {
         searchResultsContainer.innerHTML = `<p class="empty-message">Nenhum usuário encontrado com "${escapeHtml(searchInput)}".</p>`;
         return;
     }
 
-    const currentUserProfile = profileManager.getProfile(currentUser);
+    const { friends, incoming, outgoing } = await profileManager.getFriends();
+    const friendNames = friends.map(friend => friend.nickname);
+    const incomingNames = incoming.map(request => request.nickname);
+    const outgoingNames = outgoing.map(request => request.nickname);
 
     searchResultsContainer.innerHTML = matchingUsers.map(user => {
-        const userProfile = profileManager.getProfile(user);
         const safeUser = typeof user === 'string' ? user : 'Desconhecido';
-        const userAvatarHtml = userProfile.profilePicture 
-            ? `<img src="${escapeHtml(userProfile.profilePicture)}" alt="${escapeHtml(safeUser)} Avatar">`
-            : `<div class="avatar-placeholder-small">${escapeHtml(safeUser.charAt(0).toUpperCase())}</div>`;
 
         let buttonHtml;
-        if (currentUserProfile.friends.includes(safeUser)) {
+        if (friendNames.includes(safeUser)) {
             buttonHtml = '<button class="secondary-button" disabled>Amigo</button>';
-        } else if (currentUserProfile.sentRequests.includes(safeUser)) {
+        } else if (outgoingNames.includes(safeUser)) {
             buttonHtml = '<button class="secondary-button" disabled>Pedido Enviado</button>';
-        } else if (currentUserProfile.receivedRequests.includes(safeUser)) {
+        } else if (incomingNames.includes(safeUser)) {
             buttonHtml = `<button class="primary-button" onclick="acceptFriendRequest('${escapeHtml(safeUser)}')">Aceitar Pedido</button>`;
         } else {
             buttonHtml = `<button class="primary-button" onclick="sendFriendRequest('${escapeHtml(safeUser)}')">Adicionar Amigo</button>`;
         }
         return `
             <div class="user-card">
-                <div class="friend-avatar">${userAvatarHtml}</div>
+                <div class="friend-avatar">${friendAvatarHtml(safeUser)}</div>
                 <span class="username">${escapeHtml(safeUser)}</span>
                 <div class="actions">
                     ${buttonHtml}
@@ -1668,7 +1614,7 @@ async function sendFriendRequest(receiverUsername) {
         return;
     }
 
-    const result = profileManager.sendFriendRequest(currentUser, receiverUsername);
+    const result = await profileManager.sendFriendRequest(receiverUsername);
     await alert(result.message);
     if (result.success) {
         renderFriendLists(); 
@@ -1685,7 +1631,7 @@ async function acceptFriendRequest(senderUsername) {
 
     const result = await confirm(`Tem certeza que deseja aceitar o pedido de amizade de ${escapeHtml(senderUsername)}?`);
     if (result) {
-        const acceptResult = profileManager.acceptFriendRequest(currentUser, senderUsername);
+        const acceptResult = await profileManager.acceptFriendRequest(senderUsername);
         await alert(acceptResult.message);
         if (acceptResult.success) {
             renderFriendLists();
@@ -1703,7 +1649,7 @@ async function declineFriendRequest(senderUsername) {
 
     const result = await confirm(`Tem certeza que deseja recusar o pedido de amizade de ${escapeHtml(senderUsername)}?`);
     if (result) {
-        const declineResult = profileManager.declineFriendRequest(currentUser, senderUsername);
+        const declineResult = await profileManager.declineFriendRequest(senderUsername);
         await alert(declineResult.message);
         if (declineResult.success) {
             renderFriendLists();
@@ -1712,6 +1658,46 @@ async function declineFriendRequest(senderUsername) {
     }
 }
 
+// Live friend requests and presence: the portal keeps its own socket to the server
+let presenceSocket = null;
+
+function isFriendsTabOpen() {
+    const friendsTab = document.getElementById('friends-tab');
+    const profileSection = document.getElementById('profile-section');
+    return !!(friendsTab && friendsTab.classList.contains('active') && profileSection && !profileSection.classList.contains('hidden'));
+}
+
+function connectPresenceSocket() {
+    disconnectPresenceSocket();
+    const token = userManager.getToken();
+    if (!token || typeof window.io !== 'function') return;
+
+    presenceSocket = window.io({ auth: { token, portal: true } });
+
+    // Requests and answers only need the lists to be refreshed
+    ['friendRequest', 'friendRequestAccepted', 'friendRequestDeclined'].forEach(eventName => {
+        presenceSocket.on(eventName, () => {
+            if (isFriendsTabOpen()) renderFriendLists();
+        });
+    });
+
+    presenceSocket.on('friendPresence', ({ nickname, status, room }) => {
+        const card = Array.from(document.querySelectorAll('#friends-list .friend-card'))
+            .find(element => element.dataset.friend === nickname);
+        const presenceElement = card && card.querySelector('.friend-presence');
+        if (presenceElement) {
+            presenceElement.outerHTML = friendPresenceHtml({ status, room });
+        }
+    });
+}
+
+function disconnectPresenceSocket() {
+    if (presenceSocket) {
+        presenceSocket.disconnect();
+        presenceSocket = null;
+    }
+}
+
 // NEW: Function to render favorited games in the profile tab
 function renderFavoriteGamesList() {
     const currentUser = userManager.getCurrentUser();
@@ -1755,7 +1741,7 @@ function renderFavoriteGamesList() {
 }
 
 // NEW: Function to render user's published games in the profile tab
-function renderUserGamesList() {
+async function renderUserGamesList() {
     const currentUser = userManager.getCurrentUser();
     const userGamesContainer = document.getElementById('user-games');
 
@@ -1767,48 +1753,89 @@ function renderUserGamesList() {
     // Show loading message
     userGamesContainer.innerHTML = '<p class="empty-message">Carregando jogos...</p>';
 
-    // Fetch published games from server
-    fetch('/api/games')
-        .then(response => response.json())
-        .then(data => {
-            const publishedGames = data.games || [];
+    // Only the games this account owns
+    const result = await userManager.request('/api/games/mine');
+    if (!result.success) {
+        console.error('Error loading user games:', result.message);
+        userGamesContainer.innerHTML = '<p class="empty-message">Erro ao carregar jogos. Tente novamente.</p>';
+        return;
+    }
+
+    const userGames = result.games || [];
+    if (userGames.length === 0) {
+        userGamesContainer.innerHTML = '<p class="empty-message">Nenhum jogo criado ainda.</p>';
+        return;
+    }
 
-            // Filter games by current user (assuming games have an author field or we need to check ownership)
-            // For now, we'll show all games since we don't have user association in the database
-            // TODO: Add user association to games in database
-            const userGames = publishedGames; // Temporarily show all games
+    userGamesContainer.innerHTML = userGames.map(game => {
+        const safeGameTitle = typeof game.title === 'string' ? game.title : 'Untitled Game';
+        const safeGameId = typeof game.id === 'string' ? game.id : '';
 
-            if (userGames.length === 0) {
-                userGamesContainer.innerHTML = '<p class="empty-message">Nenhum jogo criado ainda.</p>';
-            } else {
-                userGamesContainer.innerHTML = userGames.map(game => {
-                    const safeGameTitle = typeof game.title === 'string' ? game.title : 'Untitled Game';
-                    const safeGameId = typeof game.id === 'string' ? game.id : '';
-
-                    // Handle thumbnail - use file path if it starts with /thumbnails, otherwise default to thumbnail1.jpg
-                    const thumbnailSrc = game.thumbnail && game.thumbnail.startsWith('/thumbnails/')
-                        ? game.thumbnail
-                        : 'thumbnail1.jpg';
-
-                    return `
-                        <div class="game-card game-card-user" data-game-id="${escapeHtml(safeGameId)}">
-                            <div class="game-thumbnail">
-                                <img src="${thumbnailSrc}" alt="${escapeHtml(safeGameTitle)} Thumbnail" onerror="this.src='thumbnail1.jpg'">
-                            </div>
-                            <h4>${escapeHtml(safeGameTitle)}</h4>
-                            <button class="play-button" data-game-id="${escapeHtml(safeGameId)}">Jogar</button>
-                            <button class="edit-button" data-game-id="${escapeHtml(safeGameId)}">Editar</button>
-                        </div>
-                    `;
-                }).join('');
-            }
-        })
-        .catch(error => {
-            console.error('Error loading user games:', error);
-            userGamesContainer.innerHTML = '<p class="empty-message">Erro ao carregar jogos. Tente novamente.</p>';
-        });
+        // Handle thumbnail - use file path if it starts with /thumbnails, otherwise default to thumbnail1.jpg
+        const thumbnailSrc = game.thumbnail && game.thumbnail.startsWith('/thumbnails/')
+            ? game.thumbnail
+            : 'thumbnail1.jpg';
+
+        return `
+            <div class="game-card game-card-user" data-game-id="${escapeHtml(safeGameId)}">
+                <div class="game-thumbnail">
+                    <img src="${thumbnailSrc}" alt="${escapeHtml(safeGameTitle)} Thumbnail" onerror="this.src='thumbnail1.jpg'">
+                </div>
+                <h4>${escapeHtml(safeGameTitle)}</h4>
+                <p class="game-version">Versão ${escapeHtml(game.version || 1)}</p>
+                <button class="play-button" data-game-id="${escapeHtml(safeGameId)}">Jogar</button>
+                <button class="edit-button" data-game-action="rename" data-game-id="${escapeHtml(safeGameId)}">Editar</button>
+                <button class="edit-button" data-game-action="versions" data-game-id="${escapeHtml(safeGameId)}">Versões</button>
+                <button class="danger-button" data-game-action="delete" data-game-id="${escapeHtml(safeGameId)}">Excluir</button>
+            </div>
+        `;
+    }).join('');
 }
 
+// "My games" management: rename, restore an older version or unpublish
+document.getElementById('user-games')?.addEventListener('click', async function(e) {
+    const action = e.target.dataset.gameAction;
+    const gameId = e.target.dataset.gameId;
+    if (!action || !gameId) return;
+    const gameTitle = e.target.closest('.game-card')?.querySelector('h4')?.textContent || gameId;
+    const gamePath = `/api/games/${encodeURIComponent(gameId)}`;
+    let result = null;
+
+    if (action === 'rename') {
+        const title = await prompt('Novo nome do jogo:', gameTitle);
+        if (!title || !title.trim()) return;
+        result = await userManager.request(gamePath, {
+            method: 'PUT',
+            body: JSON.stringify({ title: title.trim(), changelog: 'Nome alterado' })
+        });
+    } else if (action === 'versions') {
+        const history = await userManager.request(`${gamePath}/versions`);
+        if (!history.success) {
+            await alert(history.message);
+            return;
+        }
+        const list = history.versions
+            .map(v => `v${v.version} - ${v.title}${v.changelog ? ` (${v.changelog})` : ''}`)
+            .join('\n');
+        const version = await prompt(`${list}\n\nDigite o número da versão para restaurar:`, '');
+        if (!version) return;
+        result = await userManager.request(`${gamePath}/rollback`, {
+            method: 'POST',
+            body: JSON.stringify({ version: parseInt(version, 10) })
+        });
+    } else if (action === 'delete') {
+        const confirmDelete = await confirm(`Tem certeza que deseja excluir "${gameTitle}"? Esta ação não pode ser desfeita.`);
+        if (!confirmDelete) return;
+        result = await userManager.request(gamePath, { method: 'DELETE' });
+    }
+
+    if (result && !result.success) {
+        await alert(result.message);
+    }
+    renderUserGamesList();
+    loadPublishedGames();
+});
+
 // NEW: Function to update favorite buttons on featured game cards
 function updateFeaturedGameCards() {
     const currentUser = userManager.getCurrentUser();
@@ -1934,16 +1961,16 @@ document.getElementById('login-form-inline')?.addEventListener('submit', async f
     const username = document.getElementById('username-inline').value;
     const password = document.getElementById('password-inline').value;
     
-    const result = userManager.login(username, password);
+    const result = await userManager.login(username, password);
     if (result.success) {
-        await alert(`Bem-vindo de volta, ${username}!`);
+        await alert(`Bem-vindo de volta, ${result.username}!`);
         hideCurrentAuthFormAndShowMainContent();
         updateProfileLink();
         updateFeaturedGameCards();
         updateUserCoinsDisplay();
-        // Ensure local hat matches profile on login
-        syncEquippedHatFromProfile();
-        startCoinRewardTimer(); // Start timer if login happens on a non-index page
+        // Ensure local hat and face match the server inventory on login
+        syncEquippedItemsFromServer();
+        connectPresenceSocket();
     } else {
         await alert(result.message);
     }
@@ -1960,10 +1987,10 @@ document.getElementById('register-form-inline')?.addEventListener('submit', asyn
         return;
     }
 
-    const result = userManager.register(username, password);
+    const result = await userManager.register(username, password);
     if (result.success) {
         // After successful registration, initialize profile with default coins
-        profileManager.getProfile(username); 
+        profileManager.getProfile(result.username); 
         await alert('Conta criada com sucesso! Faça login.');
         openLoginModal(); 
     } else {
@@ -1984,7 +2011,7 @@ document.getElementById('settings-form-inline')?.addEventListener('submit', asyn
         return;
     }
 
-    const result = userManager.updateUser(
+    const result = await userManager.updateUser(
         currentUsername,
         currentPassword,
         newUsername || null,
@@ -1997,8 +2024,8 @@ document.getElementById('settings-form-inline')?.addEventListener('submit', asyn
         updateProfileLink();
         updateFeaturedGameCards();
         updateUserCoinsDisplay();
-        // Re-sync hat if username or profile changed
-        syncEquippedHatFromProfile();
+        // Re-sync equipped items if username or profile changed
+        syncEquippedItemsFromServer();
     } else {
         await alert(result.message);
     }
@@ -2081,28 +2108,90 @@ document.getElementById('user-search-input')?.addEventListener('keypress', funct
 });
 
 
+// Discovery state for the games grid: filters, sort and the cursor for the next page
+const gameDiscovery = {
+    q: '',
+    genre: '',
+    sort: 'newest',
+    nextCursor: null,
+    loading: false
+};
+
+const GAME_GENRE_LABELS = {
+    aventura: 'Aventura',
+    obby: 'Obby',
+    rpg: 'RPG',
+    simulador: 'Simulador',
+    corrida: 'Corrida',
+    combate: 'Combate',
+    terror: 'Terror',
+    social: 'Social'
+};
+
+function gameMetaHtml(game) {
+    const tags = (game.tags || [])
+        .map(tag => `<span class="game-tag">${escapeHtml(GAME_GENRE_LABELS[tag] || tag)}</span>`)
+        .join('');
+    const rating = game.rating && game.rating.count > 0
+        ? `★ ${game.rating.average.toFixed(1)} (${game.rating.count})`
+        : 'Sem avaliações';
+    const stats = game.stats || {};
+    const hours = Math.floor((stats.playtimeSeconds || 0) / 3600);
+    return `
+        ${tags ? `<div class="game-tags">${tags}</div>` : ''}
+        <div class="game-stats">
+            <span class="game-rating">${rating}</span>
+            ${stats.playingNow ? `<span class="game-playing">${stats.playingNow} jogando agora</span>` : ''}
+        </div>
+        <div class="game-stats" title="Visitas · jogadores únicos · recorde de jogadores simultâneos · horas jogadas">
+            <span class="game-visits">${stats.visits || 0} visitas</span>
+            <span>${stats.uniquePlayers || 0} jogadores</span>
+            <span>recorde ${stats.peakConcurrent || 0}</span>
+            <span>${hours}h jogadas</span>
+        </div>
+    `;
+}
+
 // Function to load and display published games
-async function loadPublishedGames() {
+// Pass { append: true } to fetch the next page for infinite scroll
+async function loadPublishedGames({ append = false } = {}) {
     const gamesGrid = document.getElementById('games-grid');
 
     if (!gamesGrid) return;
+    if (append && (!gameDiscovery.nextCursor || gameDiscovery.loading)) return;
 
-    // Clear existing published games (keep the first two hardcoded ones)
-    const existingCards = gamesGrid.querySelectorAll('.game-card');
-    existingCards.forEach(card => {
-        if (!card.dataset.gameTitle || (card.dataset.gameTitle !== 'Natural Disaster Survival' && card.dataset.gameTitle !== 'Work at a Pizza Place')) {
-            card.remove();
-        }
-    });
+    const filtered = Boolean(gameDiscovery.q || gameDiscovery.genre);
+
+    if (!append) {
+        // Clear existing published games (keep the first two hardcoded ones)
+        const existingCards = gamesGrid.querySelectorAll('.game-card');
+        existingCards.forEach(card => {
+            if (!card.dataset.gameTitle || (card.dataset.gameTitle !== 'Natural Disaster Survival' && card.dataset.gameTitle !== 'Work at a Pizza Place')) {
+                card.remove();
+            } else {
+                // The hardcoded games aren't in the database, so hide them while filtering
+                card.classList.toggle('hidden', filtered);
+            }
+        });
+        gameDiscovery.nextCursor = null;
+    }
 
+    gameDiscovery.loading = true;
+    const emptyMessage = document.getElementById('games-empty');
     try {
         // Fetch published games from server API
-        const response = await fetch('/api/games');
+        const params = new URLSearchParams({ sort: gameDiscovery.sort });
+        if (gameDiscovery.q) params.set('q', gameDiscovery.q);
+        if (gameDiscovery.genre) params.set('genre', gameDiscovery.genre);
+        if (append) params.set('cursor', gameDiscovery.nextCursor);
+
+        const response = await fetch(`/api/games?${params}`);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         const data = await response.json();
         const publishedGames = data.games || [];
+        gameDiscovery.nextCursor = data.nextCursor || null;
 
         // Add published games
         publishedGames.forEach(game => {
@@ -2121,15 +2210,26 @@ async function loadPublishedGames() {
                     <img src="${thumbnailSrc}" alt="${escapeHtml(game.title || 'Untitled Game')} Thumbnail" onerror="this.src='thumbnail1.jpg'">
                 </div>
                 <h4>${escapeHtml(game.title || 'Untitled Game')}</h4>
+                ${game.description ? `<p class="game-description">${escapeHtml(game.description)}</p>` : ''}
+                ${gameMetaHtml(game)}
                 <button class="play-button" data-game-id="${escapeHtml(game.id)}" onclick="playGame('${escapeHtml(game.id)}')">Jogar</button>
                 <button class="favorite-toggle-button" data-game-title="${escapeHtml(game.title || 'Untitled Game')}">Favoritar</button>
+                <button class="rate-game-button" data-game-id="${escapeHtml(game.id)}">Avaliar</button>
             `;
             gamesGrid.appendChild(gameCard);
         });
 
+        if (emptyMessage) {
+            emptyMessage.classList.toggle('hidden', !(filtered && !append && publishedGames.length === 0));
+        }
+
         console.log(`Loaded ${publishedGames.length} published games from server`);
     } catch (error) {
         console.error('Error loading published games from server:', error);
+        if (append) {
+            gameDiscovery.loading = false;
+            return;
+        }
         // Fallback to localStorage if server is unavailable
         console.log('Falling back to localStorage for published games');
         const publishedGames = [];
@@ -2163,6 +2263,8 @@ async function loadPublishedGames() {
         });
     }
 
+    gameDiscovery.loading = false;
+
     // Update favorite buttons for all games
     updateFeaturedGameCards();
 }
@@ -2170,10 +2272,91 @@ async function loadPublishedGames() {
 // Make loadPublishedGames available globally for studio.js to call
 window.loadPublishedGames = loadPublishedGames;
 
+// Search box, genre and sort controls restart the list from the first page
+function setupGameDiscoveryControls() {
+    const searchInput = document.getElementById('game-search-input');
+    const genreSelect = document.getElementById('game-genre-select');
+    const sortSelect = document.getElementById('game-sort-select');
+    const sentinel = document.getElementById('games-sentinel');
+
+    let searchTimer = null;
+    if (searchInput) {
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                gameDiscovery.q = searchInput.value.trim();
+                loadPublishedGames();
+            }, 300);
+        });
+    }
+    if (genreSelect) {
+        genreSelect.addEventListener('change', () => {
+            gameDiscovery.genre = genreSelect.value;
+            loadPublishedGames();
+        });
+    }
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => {
+            gameDiscovery.sort = sortSelect.value;
+            loadPublishedGames();
+        });
+    }
+
+    // Infinite scroll: fetch the next page when the sentinel below the grid comes into view
+    if (sentinel && 'IntersectionObserver' in window) {
+        const observer = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                loadPublishedGames({ append: true });
+            }
+        }, { rootMargin: '200px' });
+        observer.observe(sentinel);
+    }
+}
+
+document.getElementById('games-grid')?.addEventListener('click', async (e) => {
+    const button = e.target.closest('.rate-game-button');
+    if (!button) return;
+
+    if (!userManager.getCurrentUser()) {
+        await alert('Faça login para avaliar jogos.');
+        return;
+    }
+
+    const answer = await prompt('Dê uma nota de 1 a 5 para este jogo:', '5');
+    if (answer === null) return;
+    const rating = parseInt(answer, 10);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        await alert('A avaliação deve ser de 1 a 5.');
+        return;
+    }
+
+    const result = await userManager.request(`/api/games/${encodeURIComponent(button.dataset.gameId)}/rating`, {
+        method: 'POST',
+        body: JSON.stringify({ rating })
+    });
+    if (!result.success) {
+        await alert(result.message);
+        return;
+    }
+
+    const ratingLabel = button.closest('.game-card')?.querySelector('.game-rating');
+    if (ratingLabel) {
+        ratingLabel.textContent = `★ ${result.rating.average.toFixed(1)} (${result.rating.count})`;
+    }
+});
+
 // Initialize on load
 document.addEventListener('DOMContentLoaded', function() {
     const isIndexPage = window.location.pathname === '/' || window.location.pathname.endsWith('index.html');
 
+    // The stored session may have expired or been revoked on the server
+    userManager.refreshSession().then(() => {
+        updateProfileLink();
+        updateFeaturedGameCards();
+        syncEquippedItemsFromServer();
+        connectPresenceSocket();
+    });
+
     if (isIndexPage) {
         // Hide all secondary sections and auth forms initially
         const profileSection = document.getElementById('profile-section');
@@ -2203,10 +2386,10 @@ document.addEventListener('DOMContentLoaded', function() {
 
         showMainContent();
         updateProfileLink();
+        setupGameDiscoveryControls();
         loadPublishedGames(); // Load published games
         updateFeaturedGameCards();
         updateUserCoinsDisplay();
-        stopCoinRewardTimer(); // Ensure timer is stopped on index page
     } else {
         // Logic for non-index.html pages (e.g., game.html)
         const params = new URLSearchParams(window.location.search);
@@ -2242,8 +2425,6 @@ document.addEventListener('DOMContentLoaded', function() {
         if (homeLink) homeLink.classList.remove('active');
         const gamesLink = document.getElementById('games-link');
         if (gamesLink) gamesLink.classList.add('active');
-
-        startCoinRewardTimer(); // Start coin reward timer when on a non-index page
     }
 
     // NEW: Event delegation for Catalog category buttons
@@ -2278,61 +2459,25 @@ document.addEventListener('DOMContentLoaded', function() {
 
             const confirmBuy = await confirm(`Deseja comprar "${item.name}" por ${item.price} Coins?`);
             if (confirmBuy) {
-                const subtractResult = profileManager.subtractCoins(currentUser, item.price);
-                if (subtractResult.success) {
-                    const addResult = profileManager.addItemToInventory(currentUser, item.id);
-                    if (addResult.success) {
-                        // If it's a face item, also add to owned faces for game.js
-                        if (item.type === 'face') {
-                            let ownedFaces = JSON.parse(localStorage.getItem('rogold_owned_faces') || '["OriginalGlitchedFace.webp"]');
-                            const faceMapping = {
-                                'face_default': 'OriginalGlitchedFace.webp',
-                                'face_epic': 'epicface.png'
-                            };
-                            const faceFile = faceMapping[item.id];
-                            if (faceFile && !ownedFaces.includes(faceFile)) {
-                                ownedFaces.push(faceFile);
-                                localStorage.setItem('rogold_owned_faces', JSON.stringify(ownedFaces));
-                            }
-                        }
-                        await alert(`Você comprou "${item.name}"!`);
-                        updateUserCoinsDisplay();
-                        renderCatalogItems(document.querySelector('.category-button.active').dataset.category);
-                    } else {
-                        // This case should ideally not happen if inventory check is correct
-                        await alert(addResult.message);
-                        // Refund coins if item could not be added to inventory
-                        profileManager.addCoins(currentUser, item.price);
-                        updateUserCoinsDisplay();
-                    }
+                const purchaseResult = await profileManager.purchaseItem(item.id);
+                if (purchaseResult.success) {
+                    await syncEquippedItemsFromServer();
+                    await alert(`Você comprou "${item.name}"!`);
                 } else {
-                    await alert(subtractResult.message);
+                    await alert(purchaseResult.message);
                 }
+                updateUserCoinsDisplay();
+                renderCatalogItems(document.querySelector('.category-button.active').dataset.category);
             }
         } else if (button.classList.contains('equip-button')) {
             if (!currentUser) {
                 await alert('Você precisa estar logado para interagir com o catálogo.');
                 return;
             }
-            const equipResult = profileManager.equipItem(currentUser, item.id, item.type);
+            const equipResult = await profileManager.equipItem(item.id);
             if (equipResult.success) {
-                // If equipping a face, update the equipped face in localStorage for game.js
-                if (item.type === 'face') {
-                    const faceMapping = {
-                        'face_default': 'OriginalGlitchedFace.webp',
-                        'face_epic': 'epicface.png'
-                    };
-                    const faceFile = faceMapping[item.id];
-                    if (faceFile) {
-                        localStorage.setItem('rogold_face', faceFile);
-                        // Dispatch event to notify game.js of face change
-                        window.dispatchEvent(new Event('rogold_equipped_face_changed'));
-                    }
-                }
                 await alert(`"${item.name}" equipado com sucesso!`);
                 renderCatalogItems(document.querySelector('.category-button.active').dataset.category);
-                // Simulate a socket event for equipping an item
-                console.log(`[SOCKET_EVENT] User ${currentUser} equipped item: { id: "${item.id}", name: "${item.name}", type: "${item.type}" }`);
             } else {
                 await alert(equipResult.message);
             }
@@ -2429,10 +2574,15 @@ document.getElementById('blog-create-form')?.addEventListener('submit', async fu
         return;
     }
     
-    communityManager.createBlog(title, message, currentUser);
+    const result = await communityManager.createBlog(title, message);
+    if (!result.success) {
+        await alert(result.message);
+        return;
+    }
     document.getElementById('blog-title').value = ''; 
     document.getElementById('blog-message').value = ''; 
     hideCreateBlogForm(); 
+    loadBlogs(1);
 });
 
 // Comunidade - Message submission
@@ -2448,48 +2598,73 @@ document.getElementById('message-form')?.addEventListener('submit', async functi
         return;
     }
     
-    communityManager.addMessage(communityManager.currentBlog.id, message, currentUser);
+    const result = await communityManager.addMessage(communityManager.currentBlog.id, message, communityManager.replyParentId);
+    if (!result.success) {
+        await alert(result.message);
+        return;
+    }
     document.getElementById('reply-message').value = '';
-    loadBlogMessages();
+    setReplyTarget(null);
+    loadBlogMessages(communityManager.messagesPage);
 });
 
-function loadBlogs() {
-    const blogs = communityManager.getBlogs();
+// SQLite CURRENT_TIMESTAMP values are UTC without a timezone marker
+function parseServerDate(value) {
+    return new Date(String(value).replace(' ', 'T') + 'Z');
+}
+
+function renderPagination(page, totalPages, handlerName) {
+    if (totalPages <= 1) return '';
+    return `
+        <div class="forum-pagination">
+            <button class="secondary-button" onclick="${handlerName}(${page - 1})" ${page <= 1 ? 'disabled' : ''}>← Anterior</button>
+            <span>Página ${page} de ${totalPages}</span>
+            <button class="secondary-button" onclick="${handlerName}(${page + 1})" ${page >= totalPages ? 'disabled' : ''}>Próxima →</button>
+        </div>
+    `;
+}
+
+async function loadBlogs(page = communityManager.blogsPage) {
     const container = document.getElementById('blogs-container');
     
     if (!container) return;
 
+    const result = await communityManager.getBlogs(page);
+    if (!result.success) {
+        container.innerHTML = `<p class="empty-message">${escapeHtml(result.message)}</p>`;
+        return;
+    }
+    communityManager.blogsPage = result.page;
+    const blogs = result.topics;
+
     if (blogs.length === 0) {
         container.innerHTML = '<p class="empty-message">Nenhum tópico criado ainda. Seja o primeiro!</p>';
         return;
     }
     
     container.innerHTML = blogs.map(blog => `
-        <div class="blog-card" onclick="openBlog(${blog.id})">
-            <h4>${escapeHtml(blog.title)}</h4>
-            <p class="blog-preview">${escapeHtml(blog.message.substring(0, 100))}${blog.message.length > 100 ? '...' : ''}</p>
+        <div class="blog-card ${blog.pinned ? 'pinned' : ''}" onclick="openBlog(${blog.id})">
+            <h4>${blog.pinned ? '📌 ' : ''}${blog.locked ? '🔒 ' : ''}${escapeHtml(blog.title)}</h4>
+            <p class="blog-preview">${escapeHtml(blog.body.substring(0, 100))}${blog.body.length > 100 ? '...' : ''}</p>
             <div class="blog-info">
-                <span>Por ${escapeHtml(blog.author)}</span>
-                <span>${new Date(blog.createdAt).toLocaleDateString('pt-BR')}</span>
-                <span>${blog.messages.length} resposta${blog.messages.length !== 1 ? 's' : ''}</span>
+                <span>Por ${escapeHtml(blog.author || 'Desconhecido')}</span>
+                <span>${parseServerDate(blog.createdAt).toLocaleDateString('pt-BR')}</span>
+                <span>${blog.replyCount} resposta${blog.replyCount !== 1 ? 's' : ''}</span>
             </div>
         </div>
-    `).join('');
+    `).join('') + renderPagination(result.page, result.totalPages, 'loadBlogs');
 }
 
-function openBlog(blogId) {
-    const blog = communityManager.getBlog(blogId);
-    if (!blog) return;
-    
-    communityManager.currentBlog = blog;
-    
-    // Update detail view
-    document.getElementById('blog-detail-title').textContent = blog.title;
-    document.getElementById('blog-author').textContent = blog.author;
-    document.getElementById('blog-date').textContent = new Date(blog.createdAt).toLocaleDateString('pt-BR');
-    
-    // Load messages
-    loadBlogMessages();
+async function openBlog(blogId) {
+    communityManager.currentBlog = { id: blogId };
+    communityManager.messagesPage = 1;
+    setReplyTarget(null);
+
+    const loaded = await loadBlogMessages(1);
+    if (!loaded) {
+        communityManager.currentBlog = null;
+        return;
+    }
     
     // Show detail view and hide blog list
     hideSection(document.getElementById('blog-list')); 
@@ -2501,34 +2676,165 @@ function hideBlogDetail() {
     showSection(document.getElementById('blog-list')); 
     showOnlyAuthSection(''); 
     communityManager.currentBlog = null;
+    setReplyTarget(null);
+    loadBlogs();
     setActiveNavLink('community-link'); 
 }
 
-function loadBlogMessages() {
-    if (!communityManager.currentBlog) return;
+// Replies may answer another reply; the form shows who is being answered
+function setReplyTarget(message) {
+    communityManager.replyParentId = message ? message.id : null;
+    const form = document.getElementById('message-form');
+    if (!form) return;
+    let indicator = document.getElementById('reply-target');
+    if (!message) {
+        indicator?.remove();
+        return;
+    }
+    if (!indicator) {
+        indicator = document.createElement('p');
+        indicator.id = 'reply-target';
+        indicator.className = 'reply-target';
+        form.prepend(indicator);
+    }
+    indicator.innerHTML = `Respondendo a <strong>${escapeHtml(message.author || 'Desconhecido')}</strong> <button type="button" class="secondary-button" data-forum-action="cancel-reply">Cancelar</button>`;
+}
+
+function renderForumActions(item, isTopic, canModerate) {
+    const currentUser = userManager.getCurrentUser();
+    const isAuthor = !!currentUser && item.author === currentUser;
+    const type = isTopic ? 'topic' : 'reply';
+    const actions = [];
+    if (!isTopic && currentUser && !item.deleted) {
+        actions.push(`<button class="secondary-button" data-forum-action="reply" data-id="${item.id}">Responder</button>`);
+    }
+    if (isAuthor && !item.deleted) {
+        actions.push(`<button class="secondary-button" data-forum-action="edit-${type}" data-id="${item.id}">Editar</button>`);
+    }
+    if (isTopic && canModerate) {
+        actions.push(`<button class="secondary-button" data-forum-action="pin" data-id="${item.id}">${item.pinned ? 'Desafixar' : 'Fixar'}</button>`);
+        actions.push(`<button class="secondary-button" data-forum-action="lock" data-id="${item.id}">${item.locked ? 'Destrancar' : 'Trancar'}</button>`);
+    }
+    if ((isAuthor || canModerate) && !item.deleted) {
+        actions.push(`<button class="danger-button" data-forum-action="delete-${type}" data-id="${item.id}">Excluir</button>`);
+    }
+    return actions.length > 0 ? `<div class="message-actions">${actions.join('')}</div>` : '';
+}
+
+function renderForumMessage(item, { isTopic = false, canModerate = false, children = [] } = {}) {
+    const safeAuthor = typeof item.author === 'string' ? item.author : 'Desconhecido';
+    const content = item.deleted
+        ? '<em>[mensagem removida]</em>'
+        : escapeHtml(typeof item.body === 'string' ? item.body : '');
+    const edited = item.updatedAt && item.updatedAt !== item.createdAt ? ' (editado)' : '';
+    return `
+        <div class="message-item ${isTopic ? 'original-message' : ''}">
+            <div class="message-header">
+                <strong>${escapeHtml(safeAuthor)}</strong>
+                <span>${parseServerDate(item.createdAt).toLocaleString('pt-BR')}${edited}</span>
+            </div>
+            <div class="message-content">${content}</div>
+            ${renderForumActions(item, isTopic, canModerate)}
+            ${children.length > 0 ? `<div class="message-replies">${children.join('')}</div>` : ''}
+        </div>
+    `;
+}
+
+async function loadBlogMessages(page = communityManager.messagesPage) {
+    if (!communityManager.currentBlog) return false;
     
     const container = document.getElementById('blog-messages-container');
-    if (!container) return;
+    if (!container) return false;
 
-    const messages = [communityManager.currentBlog, ...communityManager.currentBlog.messages];
-    
-    container.innerHTML = messages.map((item, index) => {
-        // Ensure item properties are strings before escaping
-        const safeAuthor = typeof item.author === 'string' ? item.author : 'Desconhecido';
-        const safeMessage = typeof item.message === 'string' ? item.message : '';
-        const timestamp = item.timestamp || item.createdAt;
-        return `
-            <div class="message-item ${index === 0 ? 'original-message' : ''}">
-                <div class="message-header">
-                    <strong>${escapeHtml(safeAuthor)}</strong>
-                    <span>${new Date(timestamp).toLocaleString('pt-BR')}</span>
-                </div>
-                <div class="message-content">${escapeHtml(safeMessage)}</div>
-            </div>
-        `;
-    }).join('');
+    const result = await communityManager.getBlog(communityManager.currentBlog.id, page);
+    if (!result.success) {
+        await alert(result.message);
+        return false;
+    }
+    const blog = result.topic;
+    communityManager.currentBlog = blog;
+    communityManager.messagesPage = result.page;
+    communityManager.replies = result.replies;
+
+    document.getElementById('blog-detail-title').textContent = `${blog.pinned ? '📌 ' : ''}${blog.locked ? '🔒 ' : ''}${blog.title}`;
+    document.getElementById('blog-author').textContent = blog.author || 'Desconhecido';
+    document.getElementById('blog-date').textContent = parseServerDate(blog.createdAt).toLocaleDateString('pt-BR');
+
+    // Locked topics only accept replies from moderators
+    const messageForm = document.getElementById('message-form');
+    if (messageForm) {
+        const canReply = !blog.locked || result.canModerate;
+        messageForm.querySelectorAll('textarea, button[type="submit"]').forEach(element => {
+            element.disabled = !canReply;
+        });
+        document.getElementById('reply-message').placeholder = canReply ? 'Digite sua mensagem...' : 'Este tópico está trancado.';
+    }
+
+    // Build the reply tree for this page of threads
+    const childrenOf = {};
+    result.replies.forEach(reply => {
+        const key = reply.parentId || 'root';
+        (childrenOf[key] = childrenOf[key] || []).push(reply);
+    });
+    const renderThread = reply => renderForumMessage(reply, {
+        canModerate: result.canModerate,
+        children: (childrenOf[reply.id] || []).map(renderThread)
+    });
+
+    container.innerHTML = renderForumMessage(blog, { isTopic: true, canModerate: result.canModerate })
+        + (childrenOf.root || []).map(renderThread).join('')
+        + renderPagination(result.page, result.totalPages, 'loadBlogMessages');
+    return true;
 }
 
+// Author and moderator actions in the topic view
+document.getElementById('blog-detail')?.addEventListener('click', async function(e) {
+    const action = e.target.dataset.forumAction;
+    if (!action) return;
+    const blog = communityManager.currentBlog;
+    const id = parseInt(e.target.dataset.id, 10);
+    const reply = (communityManager.replies || []).find(item => item.id === id);
+    let result = null;
+
+    if (action === 'cancel-reply') {
+        setReplyTarget(null);
+        return;
+    } else if (action === 'reply' && reply) {
+        setReplyTarget(reply);
+        document.getElementById('reply-message')?.focus();
+        return;
+    } else if (action === 'edit-topic') {
+        const title = await prompt('Novo título do tópico:', blog.title);
+        if (title === null) return;
+        const message = await prompt('Nova mensagem:', blog.body);
+        if (message === null) return;
+        result = await communityManager.updateBlog(blog.id, title, message);
+    } else if (action === 'delete-topic') {
+        if (!(await confirm('Tem certeza que deseja excluir este tópico?'))) return;
+        result = await communityManager.deleteBlog(blog.id);
+        if (result.success) {
+            hideBlogDetail();
+            return;
+        }
+    } else if (action === 'pin') {
+        result = await communityManager.moderateBlog(blog.id, { pinned: !blog.pinned });
+    } else if (action === 'lock') {
+        result = await communityManager.moderateBlog(blog.id, { locked: !blog.locked });
+    } else if (action === 'edit-reply' && reply) {
+        const message = await prompt('Editar resposta:', reply.body);
+        if (message === null) return;
+        result = await communityManager.updateMessage(reply.id, message);
+    } else if (action === 'delete-reply' && reply) {
+        if (!(await confirm('Tem certeza que deseja excluir esta resposta?'))) return;
+        result = await communityManager.deleteMessage(reply.id);
+    }
+
+    if (result && !result.success) {
+        await alert(result.message);
+    }
+    loadBlogMessages();
+});
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     // Ensure text is treated as a string before setting textContent
@@ -2571,59 +2877,12 @@ window.hideBlogDetail = hideBlogDetail;
 window.editProfile = editProfile;
 window.closeProfileEdit = closeProfileEdit;
 window.openBlog = openBlog;
+window.loadBlogs = loadBlogs;
+window.loadBlogMessages = loadBlogMessages;
 window.sendFriendRequest = sendFriendRequest;
 window.acceptFriendRequest = acceptFriendRequest;
 window.declineFriendRequest = declineFriendRequest;
 
-// Coin Reward Timer Logic
-let coinRewardIntervalId = null;
-const COIN_REWARD_AMOUNT = 500;
-const COIN_REWARD_INTERVAL_MS = 20 * 60 * 1000; // 20 minutes
-
-function startCoinRewardTimer() {
-    // Clear any existing timer to prevent multiple timers running
-    if (coinRewardIntervalId) {
-        clearInterval(coinRewardIntervalId);
-        coinRewardIntervalId = null;
-    }
-
-    const currentUser = userManager.getCurrentUser();
-    if (!currentUser) {
-        console.log('User not logged in, coin reward timer not started.');
-        return;
-    }
-
-    // Timer only runs if not on the index page
-    const isIndexPage = window.location.pathname === '/' || window.location.pathname.endsWith('index.html');
-    if (isIndexPage) {
-        console.log('On index page, coin reward timer not started.');
-        return;
-    }
-
-    console.log(`Starting coin reward timer for ${currentUser}. Rewarding ${COIN_REWARD_AMOUNT} coins every ${COIN_REWARD_INTERVAL_MS / 60000} minutes.`);
-
-    coinRewardIntervalId = setInterval(async () => {
-        const userNow = userManager.getCurrentUser();
-        if (userNow) {
-            profileManager.addCoins(userNow, COIN_REWARD_AMOUNT);
-            await alert(`Parabéns, ${userNow}! Você ganhou ${COIN_REWARD_AMOUNT} Goldbucks por passar tempo no Rogold!`);
-            // Update UI if the user navigates back to a relevant page after the alert
-            updateUserCoinsDisplay();
-        } else {
-            // User logged out while timer was active, stop the timer
-            stopCoinRewardTimer();
-        }
-    }, COIN_REWARD_INTERVAL_MS);
-}
-
-function stopCoinRewardTimer() {
-    if (coinRewardIntervalId) {
-        console.log('Stopping coin reward timer.');
-        clearInterval(coinRewardIntervalId);
-        coinRewardIntervalId = null;
-    }
-}
-
 // Socket.io integration (example)
 // This is just a basic example, the actual implementation may vary based on the server setup and requirements
 // const socket = io(); // Assuming io is available globally - commented out to avoid ReferenceError
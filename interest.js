@@ -0,0 +1,71 @@
+// Area of interest: a client only gets gameState entries for players near it. Each
+// tick the room's players are bucketed into a grid of CELL_SIZE squares over the
+// world area, and each client's visible set is rebuilt from the cells around it.
+// Players come into view within SHOW_RADIUS and only drop out past HIDE_RADIUS, so
+// someone walking along the edge does not flicker in and out.
+const CELL_SIZE = 50;
+const SHOW_RADIUS = 150;
+const HIDE_RADIUS = 180;
+
+const visibleSets = new Map(); // playerId -> Set of playerIds that client currently sees
+
+function cellIndex(value, halfSize) {
+    const cells = Math.ceil((halfSize * 2) / CELL_SIZE);
+    return Math.max(0, Math.min(cells - 1, Math.floor((value + halfSize) / CELL_SIZE)));
+}
+
+// `bounds` is server.js WORLD_BOUNDS; positions are already clamped to it
+function buildInterestGrid(roomPlayers, bounds) {
+    const cells = new Map();
+    roomPlayers.forEach(p => {
+        const key = `${cellIndex(p.x, bounds.xz)},${cellIndex(p.z, bounds.xz)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(p);
+    });
+    return { bounds, cells };
+}
+
+// Players in the grid within `radius` of `p` (p included)
+function playersNear(grid, p, radius) {
+    const reach = Math.ceil(radius / CELL_SIZE);
+    const cx = cellIndex(p.x, grid.bounds.xz);
+    const cz = cellIndex(p.z, grid.bounds.xz);
+    const found = [];
+    for (let x = cx - reach; x <= cx + reach; x++) {
+        for (let z = cz - reach; z <= cz + reach; z++) {
+            (grid.cells.get(`${x},${z}`) || []).forEach(other => {
+                if (Math.hypot(other.x - p.x, other.y - p.y, other.z - p.z) <= radius) found.push(other);
+            });
+        }
+    }
+    return found;
+}
+
+// Rebuilds what `p`'s client sees. Returns the new set (p itself is always in it)
+// and the ids that came into view and went out of view since the last tick.
+function updateInterest(p, grid) {
+    const previous = visibleSets.get(p.id) || new Set();
+    const visible = new Set([p.id]);
+    playersNear(grid, p, HIDE_RADIUS).forEach(other => {
+        const distance = Math.hypot(other.x - p.x, other.y - p.y, other.z - p.z);
+        if (distance <= SHOW_RADIUS || previous.has(other.id)) visible.add(other.id);
+    });
+    visibleSets.set(p.id, visible);
+    return {
+        visible,
+        entered: [...visible].filter(id => id !== p.id && !previous.has(id)),
+        left: [...previous].filter(id => id !== p.id && !visible.has(id))
+    };
+}
+
+// Called when a player leaves; playerLeft already told everyone
+function clearInterest(playerId) {
+    visibleSets.delete(playerId);
+    visibleSets.forEach(visible => visible.delete(playerId));
+}
+
+module.exports = {
+    buildInterestGrid,
+    updateInterest,
+    clearInterest
+};
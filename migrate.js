@@ -0,0 +1,50 @@
+// Schema migration CLI. It refuses to run while the server is up: the server holds its
+// own copy of the database and its next save would overwrite the migrated file.
+//
+//   node migrate.js status          current schema version and every migration step
+//   node migrate.js up [version]    apply pending migrations (up to `version` if given)
+
+// Loading database.js must not migrate on its own, this script decides what to apply
+process.env.ROGOLD_AUTO_MIGRATE = '0';
+const { getRunningServerPid, getSchemaStatus, migrateDatabase } = require('./database');
+
+function printStatus(status) {
+    console.log(`Schema version: ${status.version} (latest: ${status.latest})`);
+    status.migrations.forEach(migration => {
+        const state = migration.appliedAt ? `applied ${migration.appliedAt}` : 'pending';
+        console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(28)} ${state}`);
+    });
+}
+
+async function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+    // Checked before rogold.db finishes loading: exiting now leaves the file untouched
+    const serverPid = getRunningServerPid();
+    if (serverPid) {
+        console.error(`The server is running (pid ${serverPid}); stop it before migrating.`);
+        process.exit(1);
+    }
+
+    if (command === 'status') {
+        printStatus(await getSchemaStatus());
+    } else if (command === 'up') {
+        const target = arg === undefined ? Infinity : parseInt(arg, 10);
+        if (Number.isNaN(target)) {
+            throw new Error(`Invalid target version: ${arg}`);
+        }
+        const applied = await migrateDatabase(target);
+        if (applied.length === 0) {
+            console.log('Nothing to migrate.');
+        }
+        applied.forEach(migration => console.log(`Applied ${migration.file}`));
+        printStatus(await getSchemaStatus());
+    } else {
+        console.log('Usage: node migrate.js [status | up [version]]');
+        process.exitCode = 1;
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
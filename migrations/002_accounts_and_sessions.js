@@ -0,0 +1,19 @@
+const { addColumnIfMissing } = require('../migrator');
+
+// Account credentials live on the players row, logins get an expiring session token
+module.exports = {
+    description: 'Password hashes and sessions',
+    up(db) {
+        addColumnIfMissing(db, 'players', 'password_hash', 'TEXT');
+        addColumnIfMissing(db, 'players', 'password_salt', 'TEXT');
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                token TEXT PRIMARY KEY,
+                player_id TEXT NOT NULL,
+                expires_at INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,17 @@
+// Goldbucks ledger: every credit/debit is a row, balance_after is the running balance
+module.exports = {
+    description: 'Goldbucks transactions',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS coin_transactions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                player_id TEXT NOT NULL,
+                amount INTEGER NOT NULL,
+                balance_after INTEGER NOT NULL,
+                reason TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_coin_transactions_player ON coin_transactions (player_id, id)`);
+    }
+};
@@ -0,0 +1,51 @@
+// Avatar shop: catalog items, what each player owns and what they have equipped
+module.exports = {
+    description: 'Catalog, inventory and equipped items',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS catalog_items (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                type TEXT NOT NULL,
+                price INTEGER NOT NULL DEFAULT 0,
+                model_path TEXT,
+                thumbnail TEXT,
+                on_sale INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS inventory (
+                player_id TEXT NOT NULL,
+                item_id TEXT NOT NULL,
+                acquired_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (player_id, item_id)
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS equipped_items (
+                player_id TEXT NOT NULL,
+                item_type TEXT NOT NULL,
+                item_id TEXT NOT NULL,
+                PRIMARY KEY (player_id, item_type)
+            )
+        `);
+
+        // Items that used to be hardcoded in index.js; face thumbnails double as the face texture
+        const seedItems = [
+            ['hat_red', 'Boné Vermelho R', 'hat', 100, 'roblox_r_baseball_cap_r6.glb', 'hat_red_thumbnail.jpg'],
+            ['hat_doge', 'Chapéu Doge', 'hat', 500, 'doge_roblox_hat.glb', 'hat_doge_thumbnail.jpg'],
+            ['hat_fedora_black', 'Fedora Preta', 'hat', 300, 'roblox_fedora.glb', 'hat_fedora_black_thumbnail.jpg'],
+            ['face_default', 'Default Face', 'face', 0, null, 'OriginalGlitchedFace.webp'],
+            ['face_epic', 'Epic Face', 'face', 100, null, 'epicface.png']
+        ];
+        seedItems.forEach(item => {
+            db.run(`
+                INSERT OR IGNORE INTO catalog_items (id, name, type, price, model_path, thumbnail)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, item);
+        });
+    }
+};
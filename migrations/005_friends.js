@@ -0,0 +1,23 @@
+// Friendships are stored in both directions so each side is a single lookup
+module.exports = {
+    description: 'Friendships and friend requests',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS friendships (
+                player_id TEXT NOT NULL,
+                friend_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (player_id, friend_id)
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS friend_requests (
+                sender_id TEXT NOT NULL,
+                receiver_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (sender_id, receiver_id)
+            )
+        `);
+    }
+};
@@ -0,0 +1,34 @@
+// Community forum: replies keep their parent for threading and the root reply of their thread
+module.exports = {
+    description: 'Forum topics and replies',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS forum_topics (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                title TEXT NOT NULL,
+                body TEXT NOT NULL,
+                author_id TEXT NOT NULL,
+                pinned INTEGER NOT NULL DEFAULT 0,
+                locked INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                last_reply_at DATETIME
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS forum_replies (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                topic_id INTEGER NOT NULL,
+                parent_id INTEGER,
+                root_id INTEGER,
+                author_id TEXT NOT NULL,
+                body TEXT NOT NULL,
+                deleted INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_forum_replies_topic ON forum_replies (topic_id, root_id)`);
+    }
+};
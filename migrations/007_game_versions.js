@@ -0,0 +1,27 @@
+// Every publish of a game is kept as a numbered version; the games row holds the live one
+module.exports = {
+    description: 'Game version history',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS game_versions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                game_id TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                data TEXT NOT NULL,
+                thumbnail TEXT,
+                published_by TEXT,
+                changelog TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (game_id, version)
+            )
+        `);
+
+        // Games published before versioning become version 1 (publisher unknown)
+        db.run(`
+            INSERT INTO game_versions (game_id, version, title, data, thumbnail, created_at)
+            SELECT g.id, 1, g.title, g.data, g.thumbnail, g.updated_at FROM games g
+            WHERE NOT EXISTS (SELECT 1 FROM game_versions v WHERE v.game_id = g.id)
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+const { addColumnIfMissing } = require('../migrator');
+
+// The account that published a game owns it; older games take the publisher of version 1
+module.exports = {
+    description: 'Game owners',
+    up(db) {
+        addColumnIfMissing(db, 'games', 'owner_id', 'TEXT');
+        db.run(`
+            UPDATE games SET owner_id = (
+                SELECT published_by FROM game_versions v WHERE v.game_id = games.id AND v.version = 1
+            ) WHERE owner_id IS NULL
+        `);
+    }
+};
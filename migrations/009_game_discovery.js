@@ -0,0 +1,34 @@
+const { addColumnIfMissing } = require('../migrator');
+
+// Discovery: description, genre tags, player ratings and visit counts
+module.exports = {
+    description: 'Game descriptions, tags, ratings and visits',
+    up(db) {
+        addColumnIfMissing(db, 'games', 'description', 'TEXT');
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS game_tags (
+                game_id TEXT NOT NULL,
+                tag TEXT NOT NULL,
+                PRIMARY KEY (game_id, tag)
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS game_ratings (
+                game_id TEXT NOT NULL,
+                player_id TEXT NOT NULL,
+                rating INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (game_id, player_id)
+            )
+        `);
+
+        db.run(`
+            CREATE TABLE IF NOT EXISTS game_stats (
+                game_id TEXT PRIMARY KEY,
+                visits INTEGER NOT NULL DEFAULT 0
+            )
+        `);
+    }
+};
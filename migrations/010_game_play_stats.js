@@ -0,0 +1,21 @@
+const { addColumnIfMissing } = require('../migrator');
+
+// Unique players, total playtime and peak concurrent players per game
+module.exports = {
+    description: 'Game play statistics',
+    up(db) {
+        addColumnIfMissing(db, 'game_stats', 'unique_players', 'INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing(db, 'game_stats', 'playtime_seconds', 'INTEGER NOT NULL DEFAULT 0');
+        addColumnIfMissing(db, 'game_stats', 'peak_concurrent', 'INTEGER NOT NULL DEFAULT 0');
+
+        // Everyone who has ever joined a game, for the unique player count
+        db.run(`
+            CREATE TABLE IF NOT EXISTS game_visitors (
+                game_id TEXT NOT NULL,
+                visitor_id TEXT NOT NULL,
+                first_visit_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (game_id, visitor_id)
+            )
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+// Files imported from the games/ folder, so unchanged files are skipped on the next run
+module.exports = {
+    description: 'Game file imports',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS game_imports (
+                file TEXT PRIMARY KEY,
+                hash TEXT NOT NULL,
+                game_id TEXT NOT NULL,
+                imported_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,23 @@
+// Per-account roles (see roles.js). The two accounts that used to be hardcoded
+// admins in server.js keep their powers if they exist.
+module.exports = {
+    description: 'Player roles',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS player_roles (
+                player_id TEXT NOT NULL,
+                role TEXT NOT NULL,
+                granted_by TEXT,
+                granted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (player_id, role)
+            )
+        `);
+
+        [['daniel244', 'owner'], ['notrealregi', 'admin']].forEach(([nickname, role]) => {
+            db.run(`
+                INSERT OR IGNORE INTO player_roles (player_id, role)
+                SELECT id, ? FROM players WHERE nickname = ?
+            `, [role, nickname]);
+        });
+    }
+};
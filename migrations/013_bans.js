@@ -0,0 +1,19 @@
+// Bans issued with the /ban chat command. expires_at is a Date.now() timestamp,
+// NULL for a permanent ban; /unban sets lifted_at instead of deleting the row.
+module.exports = {
+    description: 'Player bans',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS bans (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                player_id TEXT NOT NULL,
+                banned_by TEXT,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at INTEGER,
+                lifted_at DATETIME
+            )
+        `);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_bans_player ON bans (player_id)`);
+    }
+};
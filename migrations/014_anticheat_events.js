@@ -0,0 +1,19 @@
+// Repeated movement violations caught by anticheat.js, listed to moderators by the
+// /anticheat chat command. player_id is NULL for guests, who only have a nickname.
+module.exports = {
+    description: 'Anti-cheat events',
+    up(db) {
+        db.run(`
+            CREATE TABLE IF NOT EXISTS anticheat_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                player_id TEXT,
+                nickname TEXT NOT NULL,
+                room TEXT,
+                kind TEXT NOT NULL,
+                details TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        db.run(`CREATE INDEX IF NOT EXISTS idx_anticheat_events_player ON anticheat_events (player_id)`);
+    }
+};
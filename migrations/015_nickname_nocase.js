@@ -0,0 +1,17 @@
+// Nicknames are looked up case-insensitively (getAccountByNickname), so the database
+// must also refuse "Foo" next to "foo"; two registrations racing past the lookup would
+// otherwise both be stored.
+module.exports = {
+    description: 'Case-insensitive unique nicknames',
+    up(db) {
+        const clashes = db.exec(`
+            SELECT LOWER(nickname), GROUP_CONCAT(nickname, ', ') FROM players
+            GROUP BY nickname COLLATE NOCASE HAVING COUNT(*) > 1
+        `);
+        if (clashes.length > 0) {
+            const names = clashes[0].values.map(([, nicknames]) => nicknames).join('; ');
+            throw new Error(`nicknames differing only in case must be renamed first: ${names}`);
+        }
+        db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_players_nickname_nocase ON players (nickname COLLATE NOCASE)`);
+    }
+};
@@ -0,0 +1,13 @@
+const { addColumnIfMissing } = require('../migrator');
+
+// A ban also keeps out guests connecting from the address the account played from,
+// and remembers the issuer's moderation rank: /unban needs at least that rank.
+// Older bans have no address and rank 0.
+module.exports = {
+    description: 'Ban address and issuer rank',
+    up(db) {
+        addColumnIfMissing(db, 'bans', 'address', 'TEXT');
+        addColumnIfMissing(db, 'bans', 'issuer_rank', 'INTEGER NOT NULL DEFAULT 0');
+        db.run(`CREATE INDEX IF NOT EXISTS idx_bans_address ON bans (address)`);
+    }
+};
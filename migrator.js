@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// Schema migrations live in migrations/NNN_description.js and export
+// { description, up(db) }. The number in the file name is the schema version.
+// Steps must be safe to run on databases created before versioning existed,
+// which have some of the tables already but no schema_version rows.
+const migrationsDir = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Add a column to an existing table if an older rogold.db does not have it yet
+function addColumnIfMissing(db, table, column, definition) {
+    const info = db.exec(`PRAGMA table_info(${table})`);
+    const columns = info.length > 0 ? info[0].values.map(row => row[1]) : [];
+    if (!columns.includes(column)) {
+        db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// All migration steps, sorted by version
+function loadMigrations() {
+    const migrations = fs.readdirSync(migrationsDir)
+        .map(file => file.match(MIGRATION_FILE_PATTERN))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({
+            version: parseInt(version, 10),
+            name,
+            file,
+            ...require(path.join(migrationsDir, file))
+        }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+        if (index > 0 && migration.version === migrations[index - 1].version) {
+            throw new Error(`Duplicate migration version ${migration.version} (${migration.file})`);
+        }
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${migration.file} does not export up(db)`);
+        }
+    });
+    return migrations;
+}
+
+function ensureVersionTable(db) {
+    db.run(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+function getSchemaVersion(db) {
+    ensureVersionTable(db);
+    const result = db.exec(`SELECT MAX(version) FROM schema_version`);
+    return result.length > 0 && result[0].values[0][0] !== null ? result[0].values[0][0] : 0;
+}
+
+// Current version plus every known step and whether it has been applied
+function getMigrationStatus(db) {
+    ensureVersionTable(db);
+    const applied = {};
+    const rows = db.exec(`SELECT version, applied_at FROM schema_version`);
+    if (rows.length > 0) {
+        rows[0].values.forEach(([version, appliedAt]) => {
+            applied[version] = appliedAt;
+        });
+    }
+    const migrations = loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        description: migration.description || '',
+        appliedAt: applied[migration.version] || null
+    }));
+    return {
+        version: getSchemaVersion(db),
+        latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        migrations
+    };
+}
+
+// Applies pending steps up to `target` (default: latest), each in its own transaction.
+// Returns the steps that were applied.
+function runMigrations(db, target = Infinity) {
+    const current = getSchemaVersion(db);
+    const pending = loadMigrations().filter(m => m.version > current && m.version <= target);
+
+    for (const migration of pending) {
+        db.run('BEGIN');
+        try {
+            migration.up(db);
+            db.run(`INSERT INTO schema_version (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+            db.run('COMMIT');
+        } catch (err) {
+            db.run('ROLLBACK');
+            throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+        }
+    }
+    return pending;
+}
+
+module.exports = {
+    addColumnIfMissing,
+    loadMigrations,
+    getSchemaVersion,
+    getMigrationStatus,
+    runMigrations
+};
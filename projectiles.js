@@ -0,0 +1,224 @@
+const { getGame } = require('./database');
+const { applyDamage } = require('./combat');
+
+// Rockets are simulated on the server, per room, once per game tick. Clients send
+// launchRocket and only draw what comes back: spawnRocket, rocketPositions (every
+// tick while rockets fly) and explosion.
+const ROCKET = {
+    speed: 20,            // units per second
+    maxDistance: 30,
+    damage: 25,
+    halfSize: 0.5,        // rockets are 1x1x1 boxes
+    cooldownMs: 900,      // the client waits 1000ms between shots
+    maxLaunchOffset: 6    // launcher distance from the shooter's last known position
+};
+// Player physics body half extents (game.js ensurePlayerPhysicsBody)
+const PLAYER_HALF_EXTENTS = { x: 1, y: 2, z: 1 };
+// Parts are read from the room's game; edits published while a room is open show up after this
+const PARTS_CACHE_MS = 60 * 1000;
+
+const rocketsByRoom = new Map(); // room -> Map(id -> rocket)
+const lastLaunchAt = new Map(); // playerId -> time of their last rocket
+const roomParts = new Map(); // room -> { boxes, loadedAt, loading }
+let nextRocketId = 1;
+
+function isVector(v) {
+    return !!v && [v.x, v.y, v.z].every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+// Axis-aligned bounds of a part, rotation (Euler XYZ, as in three.js) included.
+// Unanchored parts are taken where the game places them; clients may have moved them.
+function partBounds(part) {
+    const [px, py, pz] = part.Position;
+    const half = part.Size.map(size => Math.abs(size) / 2);
+    const [rx, ry, rz] = Array.isArray(part.Rotation) ? part.Rotation : [0, 0, 0];
+    const [cx, sx, cy, sy, cz, sz] = [Math.cos(rx), Math.sin(rx), Math.cos(ry), Math.sin(ry), Math.cos(rz), Math.sin(rz)];
+    const matrix = [
+        [cy * cz, -cy * sz, sy],
+        [cx * sz + sx * sy * cz, cx * cz - sx * sy * sz, -sx * cy],
+        [sx * sz - cx * sy * cz, sx * cz + cx * sy * sz, cx * cy]
+    ];
+    const extent = matrix.map(row => row.reduce((sum, value, i) => sum + Math.abs(value) * half[i], 0));
+    return {
+        min: { x: px - extent[0], y: py - extent[1], z: pz - extent[2] },
+        max: { x: px + extent[0], y: py + extent[1], z: pz + extent[2] }
+    };
+}
+
+function isSolidPart(part) {
+    return part && part.ClassName === 'Part' && part.CanCollide !== false
+        && Array.isArray(part.Position) && part.Position.length === 3 && part.Position.every(Number.isFinite)
+        && Array.isArray(part.Size) && part.Size.length === 3 && part.Size.every(Number.isFinite);
+}
+
+// Loads (or refreshes) the solid parts of the room's game in the background;
+// until then rockets only hit players and the ground
+function ensureRoomParts(room) {
+    const cached = roomParts.get(room);
+    if (cached && (cached.loading || Date.now() - cached.loadedAt < PARTS_CACHE_MS)) return;
+    roomParts.set(room, { boxes: cached ? cached.boxes : [], loadedAt: 0, loading: true });
+    getGame(room)
+        .then(game => {
+            const parts = game && game.objects ? Object.values(game.objects).filter(isSolidPart) : [];
+            roomParts.set(room, { boxes: parts.map(partBounds), loadedAt: Date.now(), loading: false });
+        })
+        .catch(err => {
+            console.error(`Error loading parts for room ${room}:`, err);
+            roomParts.set(room, { boxes: [], loadedAt: Date.now(), loading: false });
+        });
+}
+
+// Fraction (0..1) of the segment from `a` to `b` where it enters the box grown by
+// `grow` on every side, or null if it misses
+function segmentHitsBox(a, b, box, grow) {
+    let enter = 0;
+    let exit = 1;
+    for (const axis of ['x', 'y', 'z']) {
+        const min = box.min[axis] - grow[axis];
+        const max = box.max[axis] + grow[axis];
+        const delta = b[axis] - a[axis];
+        if (Math.abs(delta) < 1e-9) {
+            if (a[axis] < min || a[axis] > max) return null;
+            continue;
+        }
+        let t1 = (min - a[axis]) / delta;
+        let t2 = (max - a[axis]) / delta;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        enter = Math.max(enter, t1);
+        exit = Math.min(exit, t2);
+        if (enter > exit) return null;
+    }
+    return enter;
+}
+
+function pointAlong(a, b, t) {
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, z: a.z + (b.z - a.z) * t };
+}
+
+// Records a rocket fired by `shooterId` and tells the room. Returns false when the
+// shot is not allowed (dead, too soon, or fired from somewhere else).
+function launchRocket(io, players, shooterId, data) {
+    const { position, direction } = data || {};
+    const shooter = players[shooterId];
+    const now = Date.now();
+    if (!shooter || shooter.dead || !isVector(position) || !isVector(direction)) return false;
+    if (now - (lastLaunchAt.get(shooterId) || 0) < ROCKET.cooldownMs) return false;
+    if (distance(position, shooter) > ROCKET.maxLaunchOffset) return false;
+    const length = Math.hypot(direction.x, direction.y, direction.z);
+    if (length === 0) return false;
+
+    lastLaunchAt.set(shooterId, now);
+    ensureRoomParts(shooter.room);
+    const rocket = {
+        id: nextRocketId++,
+        owner: shooterId,
+        room: shooter.room,
+        position: { x: position.x, y: position.y, z: position.z },
+        direction: { x: direction.x / length, y: direction.y / length, z: direction.z / length },
+        traveled: 0
+    };
+    if (!rocketsByRoom.has(rocket.room)) rocketsByRoom.set(rocket.room, new Map());
+    rocketsByRoom.get(rocket.room).set(rocket.id, rocket);
+    io.to(rocket.room).emit('spawnRocket', {
+        id: rocket.id,
+        owner: rocket.owner,
+        position: rocket.position,
+        direction: rocket.direction,
+        speed: ROCKET.speed
+    });
+    return true;
+}
+
+function explode(io, players, rocket, position, victimId = null) {
+    rocketsByRoom.get(rocket.room).delete(rocket.id);
+    io.to(rocket.room).emit('explosion', { position, rocketId: rocket.id });
+    if (victimId) {
+        applyDamage(io, players, victimId, ROCKET.damage, rocket.owner);
+    }
+}
+
+// What the rocket runs into first while moving from `from` to `to`:
+// { t, victimId } for a player, { t } for a part or the ground, or null
+function findImpact(players, rocket, from, to) {
+    const grow = { x: ROCKET.halfSize, y: ROCKET.halfSize, z: ROCKET.halfSize };
+    let impact = null;
+    const consider = (t, victimId = null) => {
+        if (t !== null && (!impact || t < impact.t)) impact = { t, victimId };
+    };
+
+    for (const p of Object.values(players)) {
+        if (p.room !== rocket.room || p.id === rocket.owner || p.dead) continue;
+        const box = {
+            min: { x: p.x - PLAYER_HALF_EXTENTS.x, y: p.y - PLAYER_HALF_EXTENTS.y, z: p.z - PLAYER_HALF_EXTENTS.z },
+            max: { x: p.x + PLAYER_HALF_EXTENTS.x, y: p.y + PLAYER_HALF_EXTENTS.y, z: p.z + PLAYER_HALF_EXTENTS.z }
+        };
+        consider(segmentHitsBox(from, to, box, grow), p.id);
+    }
+    const parts = roomParts.get(rocket.room);
+    (parts ? parts.boxes : []).forEach(box => consider(segmentHitsBox(from, to, box, grow)));
+    if (to.y <= 0) {
+        consider(from.y <= 0 ? 0 : from.y / (from.y - to.y));
+    }
+    return impact;
+}
+
+// Advances every rocket by `dt` seconds, then sends the positions of the ones
+// still flying to their rooms
+function stepProjectiles(io, players, dt) {
+    for (const [room, rockets] of rocketsByRoom) {
+        for (const rocket of [...rockets.values()]) {
+            const step = Math.min(ROCKET.speed * dt, ROCKET.maxDistance - rocket.traveled);
+            const from = rocket.position;
+            const to = {
+                x: from.x + rocket.direction.x * step,
+                y: from.y + rocket.direction.y * step,
+                z: from.z + rocket.direction.z * step
+            };
+            const impact = findImpact(players, rocket, from, to);
+            if (impact) {
+                explode(io, players, rocket, pointAlong(from, to, impact.t), impact.victimId);
+                continue;
+            }
+            rocket.position = to;
+            rocket.traveled += step;
+            if (rocket.traveled >= ROCKET.maxDistance) {
+                explode(io, players, rocket, to);
+            }
+        }
+
+        if (rockets.size === 0) {
+            rocketsByRoom.delete(room);
+            continue;
+        }
+        const positions = [...rockets.values()].map(({ id, position }) => ({
+            id,
+            x: Math.round(position.x * 100) / 100,
+            y: Math.round(position.y * 100) / 100,
+            z: Math.round(position.z * 100) / 100
+        }));
+        io.to(room).volatile.emit('rocketPositions', positions);
+    }
+}
+
+// Called when a player leaves; their rockets keep flying
+function clearPlayerProjectiles(playerId) {
+    lastLaunchAt.delete(playerId);
+}
+
+// Called when the last player leaves a room
+function clearRoomProjectiles(room) {
+    rocketsByRoom.delete(room);
+    roomParts.delete(room);
+}
+
+module.exports = {
+    ROCKET,
+    launchRocket,
+    stepProjectiles,
+    clearPlayerProjectiles,
+    clearRoomProjectiles
+};
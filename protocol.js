@@ -0,0 +1,186 @@
+// gameState wire format, shared by server.js (require) and game.js (window.RoGoldProtocol).
+//
+// Every tick each client gets one binary gameState holding only what changed since the
+// last snapshot it acknowledged (stateAck), or everything when there is none. Players are
+// named by a small netId; who a netId is and what they look like (nickname, colors, hat,
+// face) travel in initialPlayers/playerJoined/playerVisible and the *Changed events,
+// never per tick.
+//
+// Layout (big-endian):
+//   u8 version | u32 tick | f64 time | u32 baseTick (0: full) | u32 ack (recipient's last playerMove seq)
+//   u16 removed count | u16 changed count | removed netIds (u16 each)
+//   changed: u16 netId | u8 field mask | fields in FIELDS order
+//     position  3 x i16, units * POSITION_SCALE
+//     rotation  u16, a full turn in ROTATION_STEPS
+//     flags     u8 of FLAGS
+//     health    u8
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RoGoldProtocol = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Bump on any change below; clients on another version are refused at connection
+    const PROTOCOL_VERSION = 2;
+    const POSITION_SCALE = 64; // 1/64 unit; WORLD_BOUNDS (250 across, 500 up) fits in an i16
+    const ROTATION_STEPS = 65536;
+    const FIELDS = { position: 1, rotation: 2, flags: 4, health: 8 };
+    const FIELD_BYTES = { position: 6, rotation: 2, flags: 1, health: 1 };
+    const FLAGS = { isMoving: 1, isInAir: 2, dead: 4, flying: 8 };
+    const HEADER_BYTES = 1 + 4 + 8 + 4 + 4 + 2 + 2;
+    const FULL_TURN = Math.PI * 2;
+
+    function toInt16(value) {
+        return Math.max(-32768, Math.min(32767, Math.round(value * POSITION_SCALE)));
+    }
+
+    // A players entry as the integers that go on the wire; equal integers are not resent
+    function quantizePlayer(p) {
+        const turn = (((Number(p.rotation) || 0) / FULL_TURN) % 1 + 1) % 1;
+        let flags = 0;
+        Object.keys(FLAGS).forEach(name => {
+            if (p[name]) flags |= FLAGS[name];
+        });
+        return {
+            x: toInt16(p.x),
+            y: toInt16(p.y),
+            z: toInt16(p.z),
+            rotation: Math.round(turn * ROTATION_STEPS) % ROTATION_STEPS,
+            flags,
+            health: Math.max(0, Math.min(255, Math.round(Number(p.health) || 0)))
+        };
+    }
+
+    // Back to players entry fields (rotation in -PI..PI)
+    function dequantizePlayer(q) {
+        const rotation = (q.rotation / ROTATION_STEPS) * FULL_TURN;
+        const state = {
+            x: q.x / POSITION_SCALE,
+            y: q.y / POSITION_SCALE,
+            z: q.z / POSITION_SCALE,
+            rotation: rotation > Math.PI ? rotation - FULL_TURN : rotation,
+            health: q.health
+        };
+        Object.keys(FLAGS).forEach(name => {
+            state[name] = (q.flags & FLAGS[name]) !== 0;
+        });
+        return state;
+    }
+
+    function changedFields(current, previous) {
+        if (!previous) return FIELDS.position | FIELDS.rotation | FIELDS.flags | FIELDS.health;
+        let mask = 0;
+        if (current.x !== previous.x || current.y !== previous.y || current.z !== previous.z) mask |= FIELDS.position;
+        if (current.rotation !== previous.rotation) mask |= FIELDS.rotation;
+        if (current.flags !== previous.flags) mask |= FIELDS.flags;
+        if (current.health !== previous.health) mask |= FIELDS.health;
+        return mask;
+    }
+
+    // `players` and `base` are Map(netId -> quantizePlayer()); `base` is the snapshot of
+    // `baseTick` the client acknowledged, or null to send everything
+    function encodeGameState({ tick, time, ack = 0, players, baseTick = 0, base = null }) {
+        const removed = base ? [...base.keys()].filter(netId => !players.has(netId)) : [];
+        const changed = [];
+        let size = HEADER_BYTES + removed.length * 2;
+        players.forEach((state, netId) => {
+            const mask = changedFields(state, base ? base.get(netId) : null);
+            if (!mask) return;
+            changed.push([netId, mask, state]);
+            size += 3;
+            Object.keys(FIELDS).forEach(field => {
+                if (mask & FIELDS[field]) size += FIELD_BYTES[field];
+            });
+        });
+
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        let offset = 0;
+        view.setUint8(offset, PROTOCOL_VERSION); offset += 1;
+        view.setUint32(offset, tick); offset += 4;
+        view.setFloat64(offset, time); offset += 8;
+        view.setUint32(offset, base ? baseTick : 0); offset += 4;
+        view.setUint32(offset, ack); offset += 4;
+        view.setUint16(offset, removed.length); offset += 2;
+        view.setUint16(offset, changed.length); offset += 2;
+        removed.forEach(netId => {
+            view.setUint16(offset, netId); offset += 2;
+        });
+        changed.forEach(([netId, mask, state]) => {
+            view.setUint16(offset, netId); offset += 2;
+            view.setUint8(offset, mask); offset += 1;
+            if (mask & FIELDS.position) {
+                view.setInt16(offset, state.x);
+                view.setInt16(offset + 2, state.y);
+                view.setInt16(offset + 4, state.z);
+                offset += 6;
+            }
+            if (mask & FIELDS.rotation) {
+                view.setUint16(offset, state.rotation); offset += 2;
+            }
+            if (mask & FIELDS.flags) {
+                view.setUint8(offset, state.flags); offset += 1;
+            }
+            if (mask & FIELDS.health) {
+                view.setUint8(offset, state.health); offset += 1;
+            }
+        });
+        return buffer;
+    }
+
+    // Rebuilds the full snapshot. `getBase(tick)` returns an earlier decoded snapshot's
+    // players. Returns null for another protocol version or a base we no longer have.
+    function decodeGameState(data, getBase) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 0;
+        const version = view.getUint8(offset); offset += 1;
+        if (version !== PROTOCOL_VERSION) return null;
+        const tick = view.getUint32(offset); offset += 4;
+        const time = view.getFloat64(offset); offset += 8;
+        const baseTick = view.getUint32(offset); offset += 4;
+        const ack = view.getUint32(offset); offset += 4;
+        const removedCount = view.getUint16(offset); offset += 2;
+        const changedCount = view.getUint16(offset); offset += 2;
+
+        const base = baseTick ? getBase(baseTick) : new Map();
+        if (!base) return null;
+        const players = new Map(base);
+        for (let i = 0; i < removedCount; i++) {
+            players.delete(view.getUint16(offset)); offset += 2;
+        }
+        for (let i = 0; i < changedCount; i++) {
+            const netId = view.getUint16(offset); offset += 2;
+            const mask = view.getUint8(offset); offset += 1;
+            const state = { ...(players.get(netId) || { x: 0, y: 0, z: 0, rotation: 0, flags: 0, health: 0 }) };
+            if (mask & FIELDS.position) {
+                state.x = view.getInt16(offset);
+                state.y = view.getInt16(offset + 2);
+                state.z = view.getInt16(offset + 4);
+                offset += 6;
+            }
+            if (mask & FIELDS.rotation) {
+                state.rotation = view.getUint16(offset); offset += 2;
+            }
+            if (mask & FIELDS.flags) {
+                state.flags = view.getUint8(offset); offset += 1;
+            }
+            if (mask & FIELDS.health) {
+                state.health = view.getUint8(offset); offset += 1;
+            }
+            players.set(netId, state);
+        }
+        return { tick, time, baseTick, ack, players };
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        quantizePlayer,
+        dequantizePlayer,
+        encodeGameState,
+        decodeGameState
+    };
+}));
@@ -0,0 +1,61 @@
+// Account roles and what each one may do. Roles are stored per account in the
+// player_roles table; the server checks permissions, never the client.
+//
+//   owner      everything, including granting and revoking admin/owner
+//   admin      admin tools, any game, moderation, in-game effects; grants moderator/creator
+//   moderator  forum and player moderation
+//   creator    in-game effects inside the games they own
+const ROLES = ['owner', 'admin', 'moderator', 'creator'];
+
+const PERMISSIONS = {
+    manage_roles: ['owner', 'admin'],
+    admin_tools: ['owner', 'admin'],       // backups, game import/export
+    manage_games: ['owner', 'admin'],      // edit or delete any game
+    moderate: ['owner', 'admin', 'moderator'],
+    room_effects: ['owner', 'admin']       // creators get this in their own games only
+};
+
+// Roles an admin may hand out; the owner may grant any role
+const ADMIN_GRANTABLE_ROLES = ['moderator', 'creator'];
+
+// Moderation (kick, ban, mute) only works on accounts ranked below the moderator
+const MODERATION_RANKS = { owner: 3, admin: 2, moderator: 1 };
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function hasPermission(roles, permission) {
+    const allowed = PERMISSIONS[permission] || [];
+    return Array.isArray(roles) && roles.some(role => allowed.includes(role));
+}
+
+function permissionsFor(roles) {
+    return Object.keys(PERMISSIONS).filter(permission => hasPermission(roles, permission));
+}
+
+// Whether an account with `granterRoles` may grant or revoke `role`
+function canManageRole(granterRoles, role) {
+    if (!isValidRole(role) || !hasPermission(granterRoles, 'manage_roles')) return false;
+    return granterRoles.includes('owner') || ADMIN_GRANTABLE_ROLES.includes(role);
+}
+
+function moderationRank(roles) {
+    return Math.max(0, ...(roles || []).map(role => MODERATION_RANKS[role] || 0));
+}
+
+// Whether an account with `actorRoles` may moderate one with `targetRoles`
+function outranks(actorRoles, targetRoles) {
+    return moderationRank(actorRoles) > moderationRank(targetRoles);
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    isValidRole,
+    hasPermission,
+    permissionsFor,
+    canManageRole,
+    moderationRank,
+    outranks
+};
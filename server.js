@@ -5,11 +5,24 @@ const path = require('path');
 const helmet = require("helmet");
 const fs = require('fs');
 const {
-    saveGame,
+    flushDatabase,
+    markServerRunning,
     getGame,
     getAllGames,
+    searchGames,
+    rateGame,
+    recordGameVisit,
+    recordGamePlaytime,
     deleteGame,
-    saveGameSync,
+    publishGameVersion,
+    getGameVersions,
+    rollbackGame,
+    getGameOwner,
+    getPlayerRoles,
+    getRoleHolders,
+    grantRole,
+    revokeRole,
+    getGamesOwnedBy,
     getGameSync,
     getAllGamesSync,
     deleteGameSync,
@@ -21,8 +34,112 @@ const {
     getPlayer,
     getPlayerByNickname,
     getAllNicknames,
-    deletePlayer
+    deletePlayer,
+    createAccount,
+    getAccountByNickname,
+    updateAccount,
+    searchNicknames,
+    createSession,
+    deleteSession,
+    deleteSessionsForPlayer,
+    deleteExpiredSessions,
+    getCoinBalance,
+    recordCoinTransaction,
+    getCoinHistory,
+    getCatalogItems,
+    getFaceItemByTexture,
+    getInventory,
+    ownsItem,
+    purchaseItem,
+    getEquippedItems,
+    equipItem,
+    unequipItem,
+    getFriends,
+    getFriendRequests,
+    sendFriendRequest,
+    acceptFriendRequest,
+    declineFriendRequest,
+    listForumTopics,
+    getForumTopic,
+    createForumTopic,
+    updateForumTopic,
+    deleteForumTopic,
+    getForumReplies,
+    getForumReply,
+    createForumReply,
+    updateForumReply,
+    deleteForumReply,
+    getConnectionBan
 } = require('./database');
+const {
+    ROLES,
+    isValidRole,
+    hasPermission,
+    permissionsFor,
+    canManageRole
+} = require('./roles');
+const {
+    THUMBNAILS_DIR,
+    GAME_GENRES,
+    storeGameThumbnail,
+    sanitizeGameMetadata,
+    exportGame,
+    importGame
+} = require('./games');
+const {
+    createBackup,
+    listBackups,
+    restoreBackup
+} = require('./backup');
+const {
+    importGamesDirectory,
+    watchGamesDirectory,
+    formatImportResult,
+    formatImportSummary
+} = require('./importer');
+const { executeChatCommand } = require('./chatCommands');
+const {
+    MAX_HEALTH,
+    killPlayer,
+    clearPlayerCombat
+} = require('./combat');
+const {
+    launchRocket,
+    stepProjectiles,
+    clearPlayerProjectiles,
+    clearRoomProjectiles
+} = require('./projectiles');
+const { checkMove, clearMovement } = require('./anticheat');
+const { PROTOCOL_VERSION, quantizePlayer, encodeGameState } = require('./protocol');
+const { buildInterestGrid, updateInterest, clearInterest } = require('./interest');
+const {
+    CHAT_MAX_LENGTH,
+    describeDuration,
+    getMuteRemaining,
+    checkRateLimit,
+    filterChatMessage,
+    watchChatFilter,
+    broadcastChat,
+    sendSystemMessage,
+    getChatHistory,
+    clearChatHistory
+} = require('./chat');
+const {
+    SESSION_TTL_MS,
+    hashPassword,
+    verifyPassword,
+    generateSessionToken,
+    generatePlayerId,
+    resolveGuestId,
+    validateCredentials,
+    getRequestToken,
+    getClientAddress,
+    getLoginRetryDelay,
+    recordLoginFailure,
+    clearLoginFailures,
+    authenticateToken,
+    requireAuth
+} = require('./auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -51,7 +168,6 @@ if (!fs.existsSync(MAPS_DIR)) {
     fs.mkdirSync(MAPS_DIR);
 }
 
-const THUMBNAILS_DIR = path.join(__dirname, 'thumbnails');
 // Ensure thumbnails directory exists
 if (!fs.existsSync(THUMBNAILS_DIR)) {
     fs.mkdirSync(THUMBNAILS_DIR);
@@ -67,6 +183,35 @@ function savePlayersData() {
     fs.writeFileSync(DATA_FILE, JSON.stringify(playersData, null, 2));
 }
 
+// The public assets live next to the server's own files; these are never served
+const PRIVATE_DIRS = new Set(['backups', 'games', 'maps', 'migrations', 'node_modules']);
+const PRIVATE_FILES = new Set([
+    'server.js', 'database.js', 'auth.js', 'admin.js', 'anticheat.js', 'backup.js',
+    'chat.js', 'chatCommands.js', 'combat.js', 'games.js', 'importer.js', 'interest.js',
+    'migrate.js', 'migrator.js', 'projectiles.js', 'roles.js',
+    'package.json', 'package-lock.json', 'chat-filter.json', 'players_data.json'
+]);
+const PRIVATE_EXTENSIONS = /\.(db|journal|tmp|pid|jsonl|patch)$/i;
+
+function isPrivatePath(urlPath) {
+    let relative;
+    try {
+        relative = path.relative(__dirname, path.join(__dirname, decodeURIComponent(urlPath)));
+    } catch (err) {
+        return true; // Malformed escapes
+    }
+    const [first] = relative.split(path.sep);
+    return relative.startsWith('..') || PRIVATE_DIRS.has(first) || PRIVATE_FILES.has(relative)
+        || PRIVATE_EXTENSIONS.test(relative) || /\.db\./i.test(relative);
+}
+
+app.use((req, res, next) => {
+    if (isPrivatePath(req.path)) {
+        return res.status(404).send('Not found');
+    }
+    next();
+});
+
 // Serve static files
 app.use(express.static(__dirname));
 
@@ -148,68 +293,40 @@ app.use(
 app.use(express.json({ limit: '50mb' }));
 app.use(express.static("public"));
 
-// Helper function to save data URL as file
-function saveDataUrlAsFile(dataUrl, filename) {
-    return new Promise((resolve, reject) => {
-        try {
-            // Ensure thumbnails directory exists
-            if (!fs.existsSync(THUMBNAILS_DIR)) {
-                fs.mkdirSync(THUMBNAILS_DIR, { recursive: true });
-            }
-
-            // Extract base64 data from data URL
-            const matches = dataUrl.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
-            if (!matches || matches.length !== 3) {
-                reject(new Error('Invalid data URL'));
-                return;
-            }
-
-            const mimeType = matches[1];
-            const base64Data = matches[2];
-            const buffer = Buffer.from(base64Data, 'base64');
+// Permission checks use the roles loaded with the session (see roles.js)
+function can(session, permission) {
+    return !!session && hasPermission(session.roles, permission);
+}
 
-            const filePath = path.join(THUMBNAILS_DIR, filename);
-            fs.writeFile(filePath, buffer, (err) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(filePath);
-                }
-            });
-        } catch (error) {
-            reject(error);
+// Express middleware for routes that need a permission; runs after requireAuth
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!can(req.session, permission)) {
+            return res.status(403).json({ error: 'You do not have permission to do this' });
         }
-    });
+        next();
+    };
 }
 
 // Games API endpoint for publishing (SQLite database)
-app.post('/api/games', async (req, res) => {
+// Always creates a new game; updates go through /api/games/:gameId/versions
+app.post('/api/games', requireAuth, async (req, res) => {
     try {
         const gameData = req.body;
         if (!gameData || !gameData.title) {
             return res.status(400).json({ error: 'Game title is required' });
         }
 
-        // Generate game ID if not provided
-        const gameId = gameData.gameId || 'game_' + Date.now();
-
-        // Handle thumbnail if it's a data URL
-        if (gameData.thumbnail && gameData.thumbnail.startsWith('data:')) {
-            try {
-                const thumbnailFilename = `${gameId}_thumbnail.png`;
-                await saveDataUrlAsFile(gameData.thumbnail, thumbnailFilename);
-                // Update game data to use file path instead of data URL
-                gameData.thumbnail = `/thumbnails/${thumbnailFilename}`;
-            } catch (error) {
-                console.warn('Failed to save thumbnail as file, using default:', error);
-                gameData.thumbnail = 'thumbnail1.jpg';
-            }
-        } else {
-            gameData.thumbnail = 'thumbnail1.jpg';
+        let gameId = 'game_' + Date.now();
+        while (await getGame(gameId)) {
+            gameId = 'game_' + (Date.now() + Math.floor(Math.random() * 1000));
         }
+        gameData.gameId = gameId;
+        sanitizeGameMetadata(gameData);
+        gameData.thumbnail = await storeGameThumbnail(gameData.thumbnail, `${gameId}_thumbnail.png`, 'thumbnail1.jpg');
 
-        // Save game data to database
-        const result = await saveGame(gameId, gameData);
+        // Save game data to database as version 1
+        const result = await publishGameVersion(gameId, gameData, req.session.playerId, gameData.changelog || null);
         if (!result.success) {
             return res.status(500).json({ error: 'Failed to save game' });
         }
@@ -219,6 +336,7 @@ app.post('/api/games', async (req, res) => {
         res.json({
             success: true,
             gameId: gameId,
+            version: result.version,
             message: 'Game published successfully'
         });
     } catch (error) {
@@ -227,264 +345,1534 @@ app.post('/api/games', async (req, res) => {
     }
 });
 
-// Get published games (SQLite database)
-app.get('/api/games', async (req, res) => {
+// Games the signed-in account owns (Studio's "update existing game" and the profile's "My games")
+app.get('/api/games/mine', requireAuth, async (req, res) => {
     try {
-        const games = await getAllGames();
+        const games = await getGamesOwnedBy(req.session.playerId);
         res.json({ games });
     } catch (error) {
-        console.error('Error listing games:', error);
+        console.error('Error listing own games:', error);
         res.status(500).json({ error: 'Failed to list games' });
     }
 });
 
-// Get specific game (SQLite database)
-app.get('/api/games/:gameId', async (req, res) => {
+// Loads the game into req.game and checks the caller owns it (or may manage any game)
+async function requireGameOwner(req, res, next) {
     try {
-        const gameId = req.params.gameId;
-        const gameData = await getGame(gameId);
-
-        if (!gameData) {
+        const game = await getGame(req.params.gameId);
+        if (!game) {
             return res.status(404).json({ error: 'Game not found' });
         }
-
-        res.json(gameData);
+        if (game.ownerId !== req.session.playerId && !can(req.session, 'manage_games')) {
+            return res.status(403).json({ error: 'Only the creator of this game can change it' });
+        }
+        req.game = game;
+        next();
     } catch (error) {
-        console.error('Error loading game:', error);
-        res.status(500).json({ error: 'Failed to load game' });
+        console.error('Error checking game owner:', error);
+        res.status(500).json({ error: 'Failed to check game permissions' });
     }
-});
-
-// Store connected players
-let players = {};
-const activeNicknames = {};
-const GAME_TICK_RATE = 20; // 20 updates per second
-// Networking/synchronization tunables
-const MAX_MOVE_RATE = 30; // Max accepted move packets per second per client
-const WORLD_BOUNDS = { xz: 250, yMin: 0, yMax: 500 }; // Clamp world to a reasonable area to avoid bad data
-
-function clamp(v, min, max) {
-  return Math.max(min, Math.min(max, Number(v) || 0));
-}
-function normalizeAngle(a) {
-  // keep angle between -PI..PI
-  a = Number(a) || 0;
-  while (a > Math.PI) a -= Math.PI * 2;
-  while (a < -Math.PI) a += Math.PI * 2;
-  return a;
 }
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log(`Player connected: ${socket.id}`);
-
-    // Room selection (per-game isolation)
-    const roomName = (socket.handshake && socket.handshake.auth && socket.handshake.auth.room)
-        ? String(socket.handshake.auth.room)
-        : 'default';
-    socket.join(roomName);
-    socket.roomName = roomName;
+// Details PUT /api/games/:gameId may change; thumbnail and changelog are handled apart.
+// Content (objects, scripts...) only changes by publishing a version.
+const EDITABLE_GAME_FIELDS = ['title', 'description', 'tags'];
 
-    // REGISTRO DE NICKNAME ÚNICO
-    socket.on('register', ({ nickname, faceId }) => {
-        // Bloqueia nick duplicado
-        if (Object.values(activeNicknames).includes(nickname)) {
-            socket.emit('nicknameError', 'A sua conta já está sendo usada neste mesmo momento por favor saia do jogo e troque a conta');
-            socket.disconnect();
-            return;
+// Update a game's details; the result is published as a new version
+app.put('/api/games/:gameId', requireAuth, requireGameOwner, async (req, res) => {
+    try {
+        const updates = req.body || {};
+        if (typeof updates !== 'object' || Array.isArray(updates)) {
+            return res.status(400).json({ error: 'Invalid JSON body' });
         }
-        // Marca nickname como ativo
-        activeNicknames[socket.id] = nickname;
-        socket.nickname = nickname;
-
-        // Cria player
-        players[socket.id] = {
-            id: socket.id,
-            nickname: nickname,
-            room: roomName,
-            x: 0, y: 3, z: 0,
-            rotation: 0,
-            isMoving: false,
-            health: 100,
-            colors: {
-                head: '#FAD417',
-                torso: '#00A2FF',
-                arms: '#FAD417',
-                legs: '#80C91C'
-            },
-            hatId: null,
-            faceId: faceId || 'OriginalGlitchedFace.webp'
-        };
-
-        // Envia apenas os players da mesma sala para o novo
-        const roomPlayers = Object.fromEntries(
-            Object.entries(players).filter(([_, p]) => p.room === roomName)
+        // stats is derived by getGame, not part of the game
+        const { id, ownerId, creator, createdAt, updatedAt, stats, ...current } = req.game;
+        const edits = {};
+        EDITABLE_GAME_FIELDS.forEach(field => {
+            if (updates[field] !== undefined) edits[field] = updates[field];
+        });
+        const gameData = sanitizeGameMetadata({ ...current, ...edits, gameId: id });
+        if (!gameData.title || typeof gameData.title !== 'string') {
+            return res.status(400).json({ error: 'Game title is required' });
+        }
+        gameData.thumbnail = await storeGameThumbnail(
+            updates.thumbnail,
+            `${id}_${Date.now()}_thumbnail.png`,
+            req.game.thumbnail
         );
-        socket.emit('initialPlayers', roomPlayers);
-        // Avise os outros da mesma sala
-        socket.to(roomName).emit('playerJoined', players[socket.id]);
-    });
 
-    // CHAT
-    socket.on('chat', msg => {
-        io.to(roomName).emit('chat', { playerId: socket.id, nickname: socket.nickname, message: msg });
-    });
+        const changelog = typeof updates.changelog === 'string' ? updates.changelog.slice(0, 500) : 'Updated game details';
+        const result = await publishGameVersion(id, gameData, req.session.playerId, changelog);
 
-    // MOVIMENTO
-    socket.on('playerMove', (data) => {
-        const now = Date.now();
+        console.log(`Game ${id} updated by ${req.session.nickname} (version ${result.version})`);
+        res.json({ success: true, gameId: id, version: result.version });
+    } catch (error) {
+        console.error('Error updating game:', error);
+        res.status(500).json({ error: 'Failed to update game' });
+    }
+});
 
-        // Rate-limit incoming move packets to protect server and network
-        if (socket.lastMoveAt && now - socket.lastMoveAt < (1000 / MAX_MOVE_RATE)) {
-            return;
-        }
-        socket.lastMoveAt = now;
+// Unpublish a game and its version history
+app.delete('/api/games/:gameId', requireAuth, requireGameOwner, async (req, res) => {
+    try {
+        await deleteGame(req.game.id);
+        console.log(`Game ${req.game.id} deleted by ${req.session.nickname}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting game:', error);
+        res.status(500).json({ error: 'Failed to delete game' });
+    }
+});
 
-        const p = players[socket.id];
-        if (!p) return;
+// Publish a new version of an existing game
+app.post('/api/games/:gameId/versions', requireAuth, requireGameOwner, async (req, res) => {
+    try {
+        const gameData = req.body;
+        if (!gameData || !gameData.title) {
+            return res.status(400).json({ error: 'Game title is required' });
+        }
+        const gameId = req.game.id;
+        gameData.gameId = gameId;
+        sanitizeGameMetadata(gameData);
+        // Each version keeps its own thumbnail file so rollbacks restore it
+        gameData.thumbnail = await storeGameThumbnail(
+            gameData.thumbnail,
+            `${gameId}_${Date.now()}_thumbnail.png`,
+            req.game.thumbnail
+        );
 
-        // Sanitize and clamp incoming data
-        const x = clamp(data?.x, -WORLD_BOUNDS.xz, WORLD_BOUNDS.xz);
-        const y = clamp(data?.y, WORLD_BOUNDS.yMin, WORLD_BOUNDS.yMax);
-        const z = clamp(data?.z, -WORLD_BOUNDS.xz, WORLD_BOUNDS.xz);
-        const rotation = normalizeAngle(data?.rotation ?? 0);
-        const isMoving = !!data?.isMoving;
-        const isInAir = !!data?.isInAir;
+        const changelog = typeof gameData.changelog === 'string' ? gameData.changelog.slice(0, 500) : null;
+        const result = await publishGameVersion(gameId, gameData, req.session.playerId, changelog);
 
-        p.x = x;
-        p.y = y;
-        p.z = z;
-        p.rotation = rotation;
-        p.isMoving = isMoving;
-        p.isInAir = isInAir;
-        p.nickname = socket.nickname; // always maintain nickname
-    });
+        console.log(`Game "${gameData.title}" (${gameId}) updated to version ${result.version}`);
+        res.json({ success: true, gameId, version: result.version, message: 'Game updated successfully' });
+    } catch (error) {
+        console.error('Error publishing game version:', error);
+        res.status(500).json({ error: 'Failed to publish game version' });
+    }
+});
 
-    // CUSTOMIZAÇÃO
-    socket.on('playerCustomize', (colors) => {
-        if (players[socket.id]) {
-            players[socket.id].colors = colors;
+app.get('/api/games/:gameId/versions', async (req, res) => {
+    try {
+        const versions = await getGameVersions(req.params.gameId);
+        if (versions.length === 0) {
+            return res.status(404).json({ error: 'Game not found' });
         }
-    });
+        res.json({ gameId: req.params.gameId, versions });
+    } catch (error) {
+        console.error('Error listing game versions:', error);
+        res.status(500).json({ error: 'Failed to list game versions' });
+    }
+});
 
-    // CHAPÉU
-    socket.on('equipHat', ({ hatId }) => {
-        if (players[socket.id]) {
-            players[socket.id].hatId = hatId;
+app.post('/api/games/:gameId/rollback', requireAuth, requireGameOwner, async (req, res) => {
+    try {
+        const version = parseInt(req.body && req.body.version, 10);
+        if (!Number.isInteger(version) || version < 1) {
+            return res.status(400).json({ error: 'A valid version number is required' });
         }
-        io.to(roomName).emit('playerHatChanged', { playerId: socket.id, hatId });
-    });
-    
-    // FACE
-    socket.on('faceChange', ({ faceId }) => {
-        if (players[socket.id]) {
-            players[socket.id].faceId = faceId;
+        const result = await rollbackGame(req.game.id, version, req.session.playerId);
+        if (!result.success) {
+            return res.status(404).json({ error: 'Version not found' });
         }
-        io.to(roomName).emit('playerFaceChanged', { playerId: socket.id, faceId });
-    });
-
-    // FERRAMENTAS
-    socket.on("equipTool", (data) => {
-        socket.to(roomName).emit("remoteEquip", { playerId: socket.id, tool: data.tool });
-    });
-    socket.on("unequipTool", (data) => {
-        socket.to(roomName).emit("remoteUnequip", { playerId: socket.id, tool: data.tool });
-    });
 
-    // DANÇA
-    socket.on('dance', () => {
-        socket.to(roomName).emit('dance', socket.id);
-    });
-    socket.on('stopDance', () => {
-        socket.to(roomName).emit('stopDance', socket.id);
-    });
+        console.log(`Game ${req.game.id} rolled back to version ${version} (now version ${result.version})`);
+        res.json({ success: true, gameId: req.game.id, version: result.version, restoredVersion: version });
+    } catch (error) {
+        console.error('Error rolling back game:', error);
+        res.status(500).json({ error: 'Failed to roll back game' });
+    }
+});
 
-    // ROCKET
-    socket.on('launchRocket', data => {
-        io.to(roomName).emit('spawnRocket', data);
-    });
+// Admin: database backups and moving games between servers
+app.post('/api/admin/backups', requireAuth, requirePermission('admin_tools'), async (req, res) => {
+    try {
+        const label = typeof (req.body && req.body.label) === 'string' ? req.body.label : '';
+        const manifest = await createBackup(label);
+        console.log(`Backup ${manifest.id} created by ${req.session.nickname}`);
+        res.status(201).json({ success: true, backup: manifest });
+    } catch (error) {
+        console.error('Error creating backup:', error);
+        res.status(500).json({ error: 'Failed to create backup' });
+    }
+});
 
-    // EXPLOSÃO
-    socket.on('explosion', (data) => {
-        io.to(roomName).emit('explosion', data);
-    });
+app.get('/api/admin/backups', requireAuth, requirePermission('admin_tools'), (req, res) => {
+    try {
+        res.json({ backups: listBackups() });
+    } catch (error) {
+        console.error('Error listing backups:', error);
+        res.status(500).json({ error: 'Failed to list backups' });
+    }
+});
 
-    // TAKE DAMAGE
-    socket.on('takeDamage', ({ damage }) => {
-        const p = players[socket.id];
-        if (!p) return;
-        p.health = Math.max(0, p.health - damage);
-        if (p.health <= 0) {
-            io.to(roomName).emit('playerDied', { killer: 'unknown', victim: socket.id });
-        } else {
-            io.to(roomName).emit('healthUpdate', { playerId: socket.id, health: p.health });
+app.post('/api/admin/backups/:backupId/restore', requireAuth, requirePermission('admin_tools'), async (req, res) => {
+    try {
+        const result = await restoreBackup(req.params.backupId);
+        if (!result.success) {
+            const status = result.error === 'corrupt' ? 422 : 404;
+            return res.status(status).json({ error: result.error === 'corrupt' ? 'Backup is corrupt' : 'Backup not found' });
         }
-    });
-
-    // KILL EVENT -> notify room so killer and others see victim's death/respawn effect
-    socket.on('playerHit', ({ killer, victim }) => {
-        io.to(roomName).emit('playerDied', { killer, victim });
-    });
-
-    // RAGDOLL
-    socket.on('playerRagdoll', (data) => {
-        io.to(roomName).emit('playerRagdoll', data);
-    });
+        console.log(`Backup ${req.params.backupId} restored by ${req.session.nickname} (previous state saved as ${result.safetyBackup})`);
+        res.json({ success: true, backup: result.restored, safetyBackup: result.safetyBackup });
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        res.status(500).json({ error: 'Failed to restore backup' });
+    }
+});
 
-    // ADMIN COMANDOS
-    socket.on('danielCommand', () => {
-        if (socket.nickname === 'daniel244') {
-            if (socket.lastDaniel && Date.now() - socket.lastDaniel < 20000) return;
-            socket.lastDaniel = Date.now();
-            io.to(roomName).emit('danielEvent');
-        }
-    });
-    socket.on('adminExplode', ({ target }) => {
-        if (socket.nickname === 'notrealregi') {
-            for (let id in players) {
-                if (players[id].room === roomName && players[id].nickname === target) {
-                    io.to(roomName).emit('adminExplode', { target });
-                    break;
-                }
-            }
+app.get('/api/admin/games/:gameId/export', requireAuth, requirePermission('admin_tools'), async (req, res) => {
+    try {
+        const exported = await exportGame(req.params.gameId);
+        if (!exported) {
+            return res.status(404).json({ error: 'Game not found' });
         }
-    });
+        res.attachment(`${req.params.gameId}.json`);
+        res.json(exported);
+    } catch (error) {
+        console.error('Error exporting game:', error);
+        res.status(500).json({ error: 'Failed to export game' });
+    }
+});
 
-    // DESCONECTAR
-    socket.on('disconnect', () => {
-        delete activeNicknames[socket.id];
-        const r = players[socket.id]?.room || roomName;
-        delete players[socket.id];
-        io.to(r).emit('playerLeft', socket.id);
-    });
+// Body: a game exported with the route above (or any game in the published JSON format)
+app.post('/api/admin/games/import', requireAuth, requirePermission('admin_tools'), async (req, res) => {
+    try {
+        const result = await importGame(req.body, req.session.playerId);
+        if (!result.success) {
+            return res.status(400).json({ error: `Invalid game: ${result.error}` });
+        }
+        console.log(`Game ${result.gameId} imported by ${req.session.nickname} (version ${result.version})`);
+        res.status(result.created ? 201 : 200).json(result);
+    } catch (error) {
+        console.error('Error importing game:', error);
+        res.status(500).json({ error: 'Failed to import game' });
+    }
 });
 
-// GAME LOOP
-setInterval(() => {
-    // Emit per-room states to reduce cross-room traffic
-    const byRoom = {};
-    for (const [id, p] of Object.entries(players)) {
-        const r = p.room || 'default';
-        if (!byRoom[r]) byRoom[r] = {};
-        byRoom[r][id] = p;
+// Admin: account roles
+const ROLE_ERRORS = {
+    already_granted: [409, 'O usuário já tem esse cargo.'],
+    not_granted: [404, 'O usuário não tem esse cargo.'],
+    last_owner: [409, 'O último dono não pode perder o cargo.']
+};
+
+// Resolves :username / body.username and checks the caller may manage the role
+async function loadRoleChange(req, res, username, role) {
+    if (!isValidRole(role)) {
+        res.status(400).json({ error: `Cargo inválido. Use: ${ROLES.join(', ')}` });
+        return null;
     }
-    for (const [r, state] of Object.entries(byRoom)) {
-        io.to(r).volatile.emit('gameState', state);
+    if (!canManageRole(req.session.roles, role)) {
+        res.status(403).json({ error: 'You do not have permission to manage this role' });
+        return null;
     }
+    const account = typeof username === 'string' ? await getAccountByNickname(username) : null;
+    if (!account) {
+        res.status(404).json({ error: 'Usuário não encontrado.' });
+        return null;
+    }
+    return account;
+}
 
-    // Send initial faces data to new players
-    for (const [r, state] of Object.entries(byRoom)) {
-        const faces = {};
-        for (const [id, p] of Object.entries(state)) {
-            if (p.faceId) faces[id] = p.faceId;
-        }
-        if (Object.keys(faces).length > 0) {
-            io.to(r).emit('initialFaces', faces);
+app.get('/api/admin/roles', requireAuth, requirePermission('manage_roles'), async (req, res) => {
+    try {
+        res.json({ roles: ROLES, holders: await getRoleHolders() });
+    } catch (error) {
+        console.error('Error listing roles:', error);
+        res.status(500).json({ error: 'Failed to list roles' });
+    }
+});
+
+app.post('/api/admin/roles', requireAuth, requirePermission('manage_roles'), async (req, res) => {
+    try {
+        const { username, role } = req.body || {};
+        const account = await loadRoleChange(req, res, username, role);
+        if (!account) return;
+
+        const result = await grantRole(account.id, role, req.session.playerId);
+        if (!result.success) {
+            const [status, message] = ROLE_ERRORS[result.error];
+            return res.status(status).json({ error: message });
         }
+        refreshAccountRoles(account.id);
+        console.log(`Role ${role} granted to ${account.nickname} by ${req.session.nickname}`);
+        res.status(201).json({ success: true, username: account.nickname, role });
+    } catch (error) {
+        console.error('Error granting role:', error);
+        res.status(500).json({ error: 'Failed to grant role' });
     }
-}, 1000 / GAME_TICK_RATE);
+});
+
+app.delete('/api/admin/roles/:username/:role', requireAuth, requirePermission('manage_roles'), async (req, res) => {
+    try {
+        const { username, role } = req.params;
+        const account = await loadRoleChange(req, res, username, role);
+        if (!account) return;
+
+        const result = await revokeRole(account.id, role);
+        if (!result.success) {
+            const [status, message] = ROLE_ERRORS[result.error];
+            return res.status(status).json({ error: message });
+        }
+        refreshAccountRoles(account.id);
+        console.log(`Role ${role} revoked from ${account.nickname} by ${req.session.nickname}`);
+        res.json({ success: true, username: account.nickname, role });
+    } catch (error) {
+        console.error('Error revoking role:', error);
+        res.status(500).json({ error: 'Failed to revoke role' });
+    }
+});
+
+// Sort keys for game discovery; every sort is descending with the game id as tie-breaker
+const GAME_SORTS = {
+    newest: game => new Date(String(game.timestamp).replace(' ', 'T') + 'Z').getTime() || 0,
+    most_played: game => game.stats.visits,
+    top_rated: game => game.rating.average,
+    active: game => game.stats.playingNow
+};
+const GAMES_PAGE_SIZE = 24;
+const GAMES_PAGE_MAX = 50;
+
+function countPlayersByRoom() {
+    const counts = {};
+    Object.values(players).forEach(p => {
+        counts[p.room] = (counts[p.room] || 0) + 1;
+    });
+    return counts;
+}
+
+// Cursors are the sort value and id of the last game on the previous page
+function encodeGamesCursor(value, id) {
+    return Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+}
+
+function decodeGamesCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return decoded && typeof decoded.id === 'string' ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Get published games (SQLite database)
+// ?q= text search, ?genre= tag, ?sort=newest|most_played|top_rated|active, ?cursor= and ?limit= for pagination
+app.get('/api/games', async (req, res) => {
+    try {
+        const sort = GAME_SORTS[req.query.sort] ? req.query.sort : 'newest';
+        const genre = GAME_GENRES.includes(req.query.genre) ? req.query.genre : null;
+        const search = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+        const limit = Math.min(GAMES_PAGE_MAX, Math.max(1, parseInt(req.query.limit, 10) || GAMES_PAGE_SIZE));
+        const cursor = req.query.cursor ? decodeGamesCursor(req.query.cursor) : null;
+        if (req.query.cursor && !cursor) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+
+        const playing = countPlayersByRoom();
+        const sortValue = GAME_SORTS[sort];
+        const games = (await searchGames({ search, genre }))
+            .map(game => ({ ...game, stats: { ...game.stats, playingNow: playing[game.id] || 0 } }))
+            .sort((a, b) => (sortValue(b) - sortValue(a)) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+
+        const start = cursor
+            ? games.findIndex(game => sortValue(game) < cursor.v || (sortValue(game) === cursor.v && game.id < cursor.id))
+            : 0;
+        const page = start === -1 ? [] : games.slice(start, start + limit);
+        const last = page[page.length - 1];
+        const hasMore = start !== -1 && start + limit < games.length;
+
+        res.json({
+            games: page,
+            nextCursor: hasMore ? encodeGamesCursor(sortValue(last), last.id) : null,
+            genres: GAME_GENRES
+        });
+    } catch (error) {
+        console.error('Error listing games:', error);
+        res.status(500).json({ error: 'Failed to list games' });
+    }
+});
+
+app.post('/api/games/:gameId/rating', requireAuth, async (req, res) => {
+    try {
+        const rating = parseInt(req.body && req.body.rating, 10);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ error: 'A avaliação deve ser de 1 a 5.' });
+        }
+        if (!(await getGame(req.params.gameId))) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+        const result = await rateGame(req.params.gameId, req.session.playerId, rating);
+        res.json({ success: true, rating: { average: result.average, count: result.count } });
+    } catch (error) {
+        console.error('Error rating game:', error);
+        res.status(500).json({ error: 'Failed to rate game' });
+    }
+});
+
+// Get specific game (SQLite database)
+app.get('/api/games/:gameId', async (req, res) => {
+    try {
+        const gameId = req.params.gameId;
+        const gameData = await getGame(gameId);
+
+        if (!gameData) {
+            return res.status(404).json({ error: 'Game not found' });
+        }
+
+        gameData.stats.playingNow = countPlayersByRoom()[gameId] || 0;
+        res.json(gameData);
+    } catch (error) {
+        console.error('Error loading game:', error);
+        res.status(500).json({ error: 'Failed to load game' });
+    }
+});
+
+// Account API (server-side accounts with hashed passwords and session tokens)
+const STARTING_COINS = 500;
+async function startSession(account) {
+    const token = generateSessionToken();
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    await createSession(token, account.id, expiresAt);
+    return { token, username: account.nickname, expiresAt };
+}
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const invalid = validateCredentials(username, password);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        if (await getAccountByNickname(username)) {
+            return res.status(409).json({ error: 'Usuário já existe!' });
+        }
+
+        const { hash, salt } = await hashPassword(password);
+        const playerId = generatePlayerId();
+        // Another registration of the same name may have got in while the password hashed
+        const created = await createAccount(playerId, username, hash, salt);
+        if (!created.success) {
+            return res.status(409).json({ error: 'Usuário já existe!' });
+        }
+        await recordCoinTransaction(playerId, STARTING_COINS, 'signup_bonus');
+
+        console.log(`Account "${username}" registered with ID: ${playerId}`);
+        res.json({ success: true, username });
+    } catch (error) {
+        console.error('Error registering account:', error);
+        res.status(500).json({ error: 'Failed to register account' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const address = getClientAddress(req);
+        const retryIn = getLoginRetryDelay(address, username);
+        if (retryIn > 0) {
+            res.set('Retry-After', String(Math.ceil(retryIn / 1000)));
+            return res.status(429).json({ error: 'Muitas tentativas de login. Tente novamente mais tarde.' });
+        }
+        const account = typeof username === 'string' ? await getAccountByNickname(username) : null;
+        if (!account || !(await verifyPassword(password, account.passwordHash, account.passwordSalt))) {
+            recordLoginFailure(address, username);
+            return res.status(401).json({ error: 'Usuário ou senha incorretos!' });
+        }
+
+        clearLoginFailures(address, username);
+        const session = await startSession(account);
+        res.json({ success: true, ...session });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await deleteSession(req.session.token);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({
+        username: req.session.nickname,
+        expiresAt: req.session.expiresAt,
+        roles: req.session.roles,
+        permissions: permissionsFor(req.session.roles)
+    });
+});
+
+app.put('/api/auth/account', requireAuth, async (req, res) => {
+    try {
+        const { currentPassword, newUsername, newPassword } = req.body || {};
+        const account = await getAccountByNickname(req.session.nickname);
+        if (!account || !(await verifyPassword(currentPassword, account.passwordHash, account.passwordSalt))) {
+            return res.status(403).json({ error: 'Senha atual incorreta!' });
+        }
+
+        const updates = {};
+        if (newUsername && newUsername !== account.nickname) {
+            const invalid = validateCredentials(newUsername, currentPassword);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+            const existing = await getAccountByNickname(newUsername);
+            if (existing && existing.id !== account.id) {
+                return res.status(409).json({ error: 'Novo usuário já existe!' });
+            }
+            updates.nickname = newUsername;
+        }
+        if (newPassword) {
+            const invalid = validateCredentials(updates.nickname || account.nickname, newPassword);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+            const { hash, salt } = await hashPassword(newPassword);
+            updates.passwordHash = hash;
+            updates.passwordSalt = salt;
+        }
+
+        const updated = await updateAccount(account.id, updates);
+        if (!updated.success) {
+            return res.status(409).json({ error: 'Novo usuário já existe!' });
+        }
+        // A password change signs the account out everywhere except this session
+        if (updates.passwordHash) {
+            await deleteSessionsForPlayer(account.id, req.session.token);
+        }
+
+        res.json({ success: true, username: updates.nickname || account.nickname });
+    } catch (error) {
+        console.error('Error updating account:', error);
+        res.status(500).json({ error: 'Failed to update account' });
+    }
+});
+
+// User search (used by the friends tab)
+app.get('/api/users', async (req, res) => {
+    try {
+        const query = String(req.query.search || '').trim().slice(0, 20);
+        if (!query) {
+            return res.json({ users: [] });
+        }
+        const users = await searchNicknames(query);
+        res.json({ users });
+    } catch (error) {
+        console.error('Error searching users:', error);
+        res.status(500).json({ error: 'Failed to search users' });
+    }
+});
+
+// Goldbucks API (server-authoritative ledger)
+app.get('/api/coins/balance', requireAuth, async (req, res) => {
+    try {
+        const balance = await getCoinBalance(req.session.playerId);
+        res.json({ balance });
+    } catch (error) {
+        console.error('Error loading balance:', error);
+        res.status(500).json({ error: 'Failed to load balance' });
+    }
+});
+
+app.get('/api/coins/history', requireAuth, async (req, res) => {
+    try {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+        const [transactions, balance] = await Promise.all([
+            getCoinHistory(req.session.playerId, limit, offset),
+            getCoinBalance(req.session.playerId)
+        ]);
+        res.json({ balance, transactions });
+    } catch (error) {
+        console.error('Error loading coin history:', error);
+        res.status(500).json({ error: 'Failed to load coin history' });
+    }
+});
+
+// CATALOG AND INVENTORY
+const ITEM_TYPES = ['hat', 'face'];
+
+app.get('/api/catalog', async (req, res) => {
+    try {
+        const type = ITEM_TYPES.includes(req.query.type) ? req.query.type : null;
+        const items = await getCatalogItems({ type });
+        res.json(items);
+    } catch (error) {
+        console.error('Error loading catalog:', error);
+        res.status(500).json({ error: 'Failed to load catalog' });
+    }
+});
+
+app.get('/api/inventory', requireAuth, async (req, res) => {
+    try {
+        const [items, equipped] = await Promise.all([
+            getInventory(req.session.playerId),
+            getEquippedItems(req.session.playerId)
+        ]);
+        res.json({ items, equipped });
+    } catch (error) {
+        console.error('Error loading inventory:', error);
+        res.status(500).json({ error: 'Failed to load inventory' });
+    }
+});
+
+// The price always comes from the catalog table, never from the client
+app.post('/api/catalog/:itemId/purchase', requireAuth, async (req, res) => {
+    try {
+        const result = await purchaseItem(req.session.playerId, req.params.itemId);
+        if (!result.success) {
+            const errors = {
+                not_found: [404, 'Item não encontrado no catálogo.'],
+                already_owned: [409, 'Você já possui este item.'],
+                not_on_sale: [410, 'Este item não está mais à venda.'],
+                insufficient_funds: [402, 'Moedas insuficientes.']
+            };
+            const [status, message] = errors[result.error] || [400, 'Compra inválida.'];
+            return res.status(status).json({ error: message, balance: result.balance });
+        }
+        res.json({ success: true, item: result.item, balance: result.balance });
+    } catch (error) {
+        console.error('Error purchasing item:', error);
+        res.status(500).json({ error: 'Failed to purchase item' });
+    }
+});
+
+app.post('/api/inventory/equip', requireAuth, async (req, res) => {
+    try {
+        const itemId = String((req.body && req.body.itemId) || '');
+        const result = await equipItem(req.session.playerId, itemId);
+        if (!result.success) {
+            const status = result.error === 'not_found' ? 404 : 403;
+            const message = result.error === 'not_found' ? 'Item não encontrado no catálogo.' : 'Você não possui este item.';
+            return res.status(status).json({ error: message });
+        }
+        res.json({ success: true, item: result.item, equipped: await getEquippedItems(req.session.playerId) });
+    } catch (error) {
+        console.error('Error equipping item:', error);
+        res.status(500).json({ error: 'Failed to equip item' });
+    }
+});
+
+app.post('/api/inventory/unequip', requireAuth, async (req, res) => {
+    try {
+        const type = req.body && req.body.type;
+        if (!ITEM_TYPES.includes(type)) {
+            return res.status(400).json({ error: 'Tipo de item inválido.' });
+        }
+        await unequipItem(req.session.playerId, type);
+        res.json({ success: true, equipped: await getEquippedItems(req.session.playerId) });
+    } catch (error) {
+        console.error('Error unequipping item:', error);
+        res.status(500).json({ error: 'Failed to unequip item' });
+    }
+});
+
+// FRIENDS
+const FRIEND_ERRORS = {
+    self: [400, 'Você não pode enviar um pedido de amizade para si mesmo!'],
+    already_friends: [409, 'Vocês já são amigos!'],
+    already_sent: [409, 'Você já enviou um pedido de amizade para este usuário!'],
+    already_received: [409, 'Este usuário já enviou um pedido de amizade para você! Aceite-o.'],
+    not_found: [404, 'Pedido de amizade não encontrado.']
+};
+
+function sendFriendError(res, error) {
+    const [status, message] = FRIEND_ERRORS[error] || [400, 'Pedido de amizade inválido.'];
+    res.status(status).json({ error: message });
+}
+
+// Only registered accounts can be friends
+async function findFriendAccount(username) {
+    const account = typeof username === 'string' ? await getAccountByNickname(username) : null;
+    return account && account.passwordHash ? account : null;
+}
+
+app.get('/api/friends', requireAuth, async (req, res) => {
+    try {
+        const [friends, requests] = await Promise.all([
+            getFriends(req.session.playerId),
+            getFriendRequests(req.session.playerId)
+        ]);
+        res.json({
+            friends: friends.map(friend => ({
+                nickname: friend.nickname,
+                since: friend.since,
+                presence: getPresence(friend.id)
+            })),
+            incoming: requests.incoming.map(({ nickname, createdAt }) => ({ nickname, createdAt })),
+            outgoing: requests.outgoing.map(({ nickname, createdAt }) => ({ nickname, createdAt }))
+        });
+    } catch (error) {
+        console.error('Error loading friends:', error);
+        res.status(500).json({ error: 'Failed to load friends' });
+    }
+});
+
+app.post('/api/friends/requests', requireAuth, async (req, res) => {
+    try {
+        const receiver = await findFriendAccount(req.body && req.body.username);
+        if (!receiver) {
+            return res.status(404).json({ error: 'Usuário não encontrado.' });
+        }
+        const result = await sendFriendRequest(req.session.playerId, receiver.id);
+        if (!result.success) {
+            return sendFriendError(res, result.error);
+        }
+        io.to(userRoom(receiver.id)).emit('friendRequest', { from: req.session.nickname });
+        res.json({ success: true, message: `Pedido de amizade enviado para ${receiver.nickname}!` });
+    } catch (error) {
+        console.error('Error sending friend request:', error);
+        res.status(500).json({ error: 'Failed to send friend request' });
+    }
+});
+
+app.post('/api/friends/requests/:username/accept', requireAuth, async (req, res) => {
+    try {
+        const sender = await findFriendAccount(req.params.username);
+        if (!sender) {
+            return res.status(404).json({ error: 'Usuário não encontrado.' });
+        }
+        const result = await acceptFriendRequest(req.session.playerId, sender.id);
+        if (!result.success) {
+            return sendFriendError(res, result.error);
+        }
+        io.to(userRoom(sender.id)).emit('friendRequestAccepted', {
+            by: req.session.nickname,
+            presence: getPresence(req.session.playerId)
+        });
+        res.json({ success: true, message: `Você e ${sender.nickname} agora são amigos!` });
+    } catch (error) {
+        console.error('Error accepting friend request:', error);
+        res.status(500).json({ error: 'Failed to accept friend request' });
+    }
+});
+
+app.post('/api/friends/requests/:username/decline', requireAuth, async (req, res) => {
+    try {
+        const sender = await findFriendAccount(req.params.username);
+        if (!sender) {
+            return res.status(404).json({ error: 'Usuário não encontrado.' });
+        }
+        const result = await declineFriendRequest(req.session.playerId, sender.id);
+        if (!result.success) {
+            return sendFriendError(res, result.error);
+        }
+        io.to(userRoom(sender.id)).emit('friendRequestDeclined', { by: req.session.nickname });
+        res.json({ success: true, message: `Pedido de amizade de ${sender.nickname} recusado.` });
+    } catch (error) {
+        console.error('Error declining friend request:', error);
+        res.status(500).json({ error: 'Failed to decline friend request' });
+    }
+});
+
+// COMMUNITY FORUM
+const FORUM_PAGE_SIZE = 20;
+const FORUM_TITLE_MAX = 100;
+const FORUM_TOPIC_MAX = 1000;
+const FORUM_REPLY_MAX = 500;
+function isForumModerator(session) {
+    return can(session, 'moderate');
+}
+
+// Reading the forum does not need a session, but a valid one unlocks author/moderator actions
+async function getOptionalSession(req) {
+    return authenticateToken(getRequestToken(req));
+}
+
+function readForumText(value, maxLength) {
+    const text = typeof value === 'string' ? value.trim() : '';
+    return text && text.length <= maxLength ? text : null;
+}
+
+function readPage(value) {
+    return Math.max(1, parseInt(value, 10) || 1);
+}
+
+// Loads the topic into req.topic or responds 404
+async function loadForumTopic(req, res, next) {
+    try {
+        const topic = await getForumTopic(parseInt(req.params.topicId, 10));
+        if (!topic) {
+            return res.status(404).json({ error: 'Tópico não encontrado.' });
+        }
+        req.topic = topic;
+        next();
+    } catch (error) {
+        console.error('Error loading topic:', error);
+        res.status(500).json({ error: 'Failed to load topic' });
+    }
+}
+
+app.get('/api/forum/topics', async (req, res) => {
+    try {
+        const page = readPage(req.query.page);
+        const [{ topics, total }, session] = await Promise.all([
+            listForumTopics(FORUM_PAGE_SIZE, (page - 1) * FORUM_PAGE_SIZE),
+            getOptionalSession(req)
+        ]);
+        res.json({
+            topics,
+            page,
+            totalPages: Math.max(1, Math.ceil(total / FORUM_PAGE_SIZE)),
+            canModerate: isForumModerator(session)
+        });
+    } catch (error) {
+        console.error('Error listing topics:', error);
+        res.status(500).json({ error: 'Failed to list topics' });
+    }
+});
+
+app.post('/api/forum/topics', requireAuth, async (req, res) => {
+    try {
+        const title = readForumText(req.body && req.body.title, FORUM_TITLE_MAX);
+        const body = readForumText(req.body && req.body.body, FORUM_TOPIC_MAX);
+        if (!title || !body) {
+            return res.status(400).json({ error: `O título (até ${FORUM_TITLE_MAX} caracteres) e a mensagem (até ${FORUM_TOPIC_MAX} caracteres) são obrigatórios.` });
+        }
+        const topic = await createForumTopic(req.session.playerId, title, body);
+        res.json({ success: true, topic });
+    } catch (error) {
+        console.error('Error creating topic:', error);
+        res.status(500).json({ error: 'Failed to create topic' });
+    }
+});
+
+app.get('/api/forum/topics/:topicId', loadForumTopic, async (req, res) => {
+    try {
+        const page = readPage(req.query.page);
+        const [{ replies, totalThreads }, session] = await Promise.all([
+            getForumReplies(req.topic.id, FORUM_PAGE_SIZE, (page - 1) * FORUM_PAGE_SIZE),
+            getOptionalSession(req)
+        ]);
+        res.json({
+            topic: req.topic,
+            replies,
+            page,
+            totalPages: Math.max(1, Math.ceil(totalThreads / FORUM_PAGE_SIZE)),
+            canModerate: isForumModerator(session)
+        });
+    } catch (error) {
+        console.error('Error loading topic:', error);
+        res.status(500).json({ error: 'Failed to load topic' });
+    }
+});
+
+// Authors edit their own topics; moderators pin, lock and delete
+app.put('/api/forum/topics/:topicId', requireAuth, loadForumTopic, async (req, res) => {
+    try {
+        if (req.topic.authorId !== req.session.playerId) {
+            return res.status(403).json({ error: 'Apenas o autor pode editar este tópico.' });
+        }
+        const title = readForumText(req.body && req.body.title, FORUM_TITLE_MAX);
+        const body = readForumText(req.body && req.body.body, FORUM_TOPIC_MAX);
+        if (!title || !body) {
+            return res.status(400).json({ error: `O título (até ${FORUM_TITLE_MAX} caracteres) e a mensagem (até ${FORUM_TOPIC_MAX} caracteres) são obrigatórios.` });
+        }
+        const topic = await updateForumTopic(req.topic.id, { title, body });
+        res.json({ success: true, topic });
+    } catch (error) {
+        console.error('Error updating topic:', error);
+        res.status(500).json({ error: 'Failed to update topic' });
+    }
+});
+
+app.post('/api/forum/topics/:topicId/moderate', requireAuth, loadForumTopic, async (req, res) => {
+    try {
+        if (!isForumModerator(req.session)) {
+            return res.status(403).json({ error: 'Apenas moderadores podem fazer isso.' });
+        }
+        const { pinned, locked } = req.body || {};
+        const topic = await updateForumTopic(req.topic.id, {
+            pinned: typeof pinned === 'boolean' ? pinned : undefined,
+            locked: typeof locked === 'boolean' ? locked : undefined
+        });
+        res.json({ success: true, topic });
+    } catch (error) {
+        console.error('Error moderating topic:', error);
+        res.status(500).json({ error: 'Failed to moderate topic' });
+    }
+});
+
+app.delete('/api/forum/topics/:topicId', requireAuth, loadForumTopic, async (req, res) => {
+    try {
+        if (req.topic.authorId !== req.session.playerId && !isForumModerator(req.session)) {
+            return res.status(403).json({ error: 'Você não pode excluir este tópico.' });
+        }
+        await deleteForumTopic(req.topic.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting topic:', error);
+        res.status(500).json({ error: 'Failed to delete topic' });
+    }
+});
+
+app.post('/api/forum/topics/:topicId/replies', requireAuth, loadForumTopic, async (req, res) => {
+    try {
+        if (req.topic.locked && !isForumModerator(req.session)) {
+            return res.status(423).json({ error: 'Este tópico está trancado.' });
+        }
+        const body = readForumText(req.body && req.body.body, FORUM_REPLY_MAX);
+        if (!body) {
+            return res.status(400).json({ error: `A resposta deve ter até ${FORUM_REPLY_MAX} caracteres.` });
+        }
+        const parentId = req.body.parentId ? parseInt(req.body.parentId, 10) : null;
+        const result = await createForumReply(req.topic.id, req.session.playerId, body, parentId);
+        if (!result.success) {
+            return res.status(404).json({ error: 'A mensagem respondida não existe.' });
+        }
+        res.json({ success: true, reply: result.reply });
+    } catch (error) {
+        console.error('Error creating reply:', error);
+        res.status(500).json({ error: 'Failed to create reply' });
+    }
+});
+
+async function loadForumReply(req, res, next) {
+    try {
+        const reply = await getForumReply(parseInt(req.params.replyId, 10));
+        if (!reply || reply.deleted) {
+            return res.status(404).json({ error: 'Resposta não encontrada.' });
+        }
+        req.reply = reply;
+        next();
+    } catch (error) {
+        console.error('Error loading reply:', error);
+        res.status(500).json({ error: 'Failed to load reply' });
+    }
+}
+
+app.put('/api/forum/replies/:replyId', requireAuth, loadForumReply, async (req, res) => {
+    try {
+        if (req.reply.authorId !== req.session.playerId) {
+            return res.status(403).json({ error: 'Apenas o autor pode editar esta resposta.' });
+        }
+        const body = readForumText(req.body && req.body.body, FORUM_REPLY_MAX);
+        if (!body) {
+            return res.status(400).json({ error: `A resposta deve ter até ${FORUM_REPLY_MAX} caracteres.` });
+        }
+        const reply = await updateForumReply(req.reply.id, body);
+        res.json({ success: true, reply });
+    } catch (error) {
+        console.error('Error updating reply:', error);
+        res.status(500).json({ error: 'Failed to update reply' });
+    }
+});
+
+app.delete('/api/forum/replies/:replyId', requireAuth, loadForumReply, async (req, res) => {
+    try {
+        if (req.reply.authorId !== req.session.playerId && !isForumModerator(req.session)) {
+            return res.status(403).json({ error: 'Você não pode excluir esta resposta.' });
+        }
+        await deleteForumReply(req.reply.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting reply:', error);
+        res.status(500).json({ error: 'Failed to delete reply' });
+    }
+});
+
+// Drop expired sessions once an hour
+setInterval(() => {
+    deleteExpiredSessions().catch(err => console.error('Error deleting expired sessions:', err));
+}, 60 * 60 * 1000);
+
+// Store connected players
+let players = {};
+const activeNicknames = {};
+const GAME_TICK_RATE = 20; // 20 updates per second
+let serverTick = 0; // Numbers gameState snapshots; clients interpolate between them
+const STATE_HISTORY_TICKS = 40; // Snapshots kept per client as delta bases (protocol.js)
+
+// netIds name players in the binary gameState; freed ones are reused oldest first
+const freeNetIds = [];
+let nextNetId = 1;
+
+function allocateNetId() {
+    return freeNetIds.length > 0 ? freeNetIds.shift() : nextNetId++;
+}
+
+function releaseNetId(netId) {
+    if (netId) freeNetIds.push(netId);
+}
+// Networking/synchronization tunables
+const MAX_MOVE_RATE = 30; // Max accepted move packets per second per client
+const WORLD_BOUNDS = { xz: 250, yMin: 0, yMax: 500 }; // Clamp world to a reasonable area to avoid bad data
+const DEFAULT_FACE = 'OriginalGlitchedFace.webp';
+const BODY_PARTS = ['head', 'torso', 'arms', 'legs']; // playerCustomize color keys
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// `current` with the valid #RRGGBB part colors from `colors`; anything else is ignored
+function mergeBodyColors(current, colors) {
+  const merged = { ...current };
+  if (!colors || typeof colors !== 'object') return merged;
+  BODY_PARTS.forEach(part => {
+    if (typeof colors[part] === 'string' && COLOR_PATTERN.test(colors[part])) {
+      merged[part] = colors[part];
+    }
+  });
+  return merged;
+}
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, Number(v) || 0));
+}
+function normalizeAngle(a) {
+  // keep angle between -PI..PI
+  a = Number(a) || 0;
+  while (a > Math.PI) a -= Math.PI * 2;
+  while (a < -Math.PI) a += Math.PI * 2;
+  return a;
+}
+
+// Pick a guest nickname that is not in use by any connected socket
+function generateGuestNickname() {
+    const inUse = new Set(Object.values(activeNicknames));
+    let nickname;
+    do {
+        nickname = 'Guest_' + Math.floor(1000 + Math.random() * 9000);
+    } while (inUse.has(nickname));
+    return nickname;
+}
+
+// Socket authentication: the server decides who the socket is, never the client
+io.use(async (socket, next) => {
+    try {
+        const token = socket.handshake && socket.handshake.auth && socket.handshake.auth.token;
+        const session = token ? await authenticateToken(token) : null;
+        // Banned accounts may still use the portal, but cannot join a game
+        const isPortal = !!(socket.handshake.auth && socket.handshake.auth.portal);
+        // Game clients must speak the current gameState protocol
+        if (!isPortal && socket.handshake.auth?.protocol !== PROTOCOL_VERSION) {
+            const error = new Error('protocol_mismatch');
+            error.data = { required: PROTOCOL_VERSION };
+            return next(error);
+        }
+        // Guests are checked by address, so logging out does not get around a ban
+        const ban = isPortal ? null : await getConnectionBan(session ? session.playerId : null, getClientAddress(socket.handshake));
+        if (ban) {
+            const error = new Error('banned');
+            error.data = { reason: ban.reason, expiresAt: ban.expiresAt };
+            return next(error);
+        }
+        if (session) {
+            socket.account = { id: session.playerId, nickname: session.nickname, roles: session.roles };
+            socket.nickname = session.nickname;
+            socket.isGuest = false;
+        } else {
+            socket.account = null;
+            socket.nickname = generateGuestNickname();
+            socket.isGuest = true;
+            socket.guestId = resolveGuestId(socket.handshake.auth?.guestId);
+            // A token was sent but is no longer valid; let the client know why it is a guest
+            socket.sessionExpired = !!token;
+        }
+        next();
+    } catch (error) {
+        console.error('Error authenticating socket:', error);
+        next(new Error('Authentication failed'));
+    }
+});
+
+// ROLES ON SOCKETS
+// Creators get in-game effects in rooms of games they own
+async function canUseRoomEffects(socket) {
+    if (!socket.account) return false;
+    if (hasPermission(socket.account.roles, 'room_effects')) return true;
+    return socket.account.roles.includes('creator') && (await getGameOwner(socket.roomName)) === socket.account.id;
+}
+
+// Tells a game client its roles and effective permissions in its room
+async function sendPermissions(socket) {
+    const roles = socket.account ? socket.account.roles : [];
+    const permissions = permissionsFor(roles);
+    if (!permissions.includes('room_effects') && await canUseRoomEffects(socket)) {
+        permissions.push('room_effects');
+    }
+    socket.emit('permissions', { roles, permissions });
+}
+
+// Reloads an account's roles on its connected sockets after a grant or revoke
+function refreshAccountRoles(accountId) {
+    getPlayerRoles(accountId)
+        .then(roles => {
+            const socketIds = io.sockets.adapter.rooms.get(userRoom(accountId)) || new Set();
+            socketIds.forEach(id => {
+                const socket = io.sockets.sockets.get(id);
+                if (socket && socket.account) {
+                    socket.account.roles = roles;
+                    if (players[id]) {
+                        sendPermissions(socket).catch(err => console.error('Error sending permissions:', err));
+                    }
+                }
+            });
+        })
+        .catch(err => console.error('Error refreshing roles:', err));
+}
+
+// FRIENDS PRESENCE
+// Every authenticated socket (game or portal) joins user:<accountId>,
+// so presence is derived from the sockets in that room.
+function userRoom(accountId) {
+    return `user:${accountId}`;
+}
+
+function getPresence(accountId) {
+    const socketIds = io.sockets.adapter.rooms.get(userRoom(accountId));
+    if (!socketIds || socketIds.size === 0) {
+        return { status: 'offline', room: null };
+    }
+    for (const id of socketIds) {
+        if (players[id]) {
+            return { status: 'in_game', room: players[id].room };
+        }
+    }
+    return { status: 'online', room: null };
+}
+
+async function broadcastPresence(account) {
+    try {
+        const presence = getPresence(account.id);
+        const friends = await getFriends(account.id);
+        friends.forEach(friend => {
+            io.to(userRoom(friend.id)).emit('friendPresence', { nickname: account.nickname, ...presence });
+        });
+    } catch (error) {
+        console.error('Error broadcasting presence:', error);
+    }
+}
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+    console.log(`Player connected: ${socket.id}`);
+
+    if (socket.account) {
+        socket.join(userRoom(socket.account.id));
+    }
+
+    // The portal (index.html) connects only for friend notifications and presence
+    if (socket.handshake.auth && socket.handshake.auth.portal) {
+        if (!socket.account) {
+            socket.disconnect();
+            return;
+        }
+        broadcastPresence(socket.account);
+        socket.on('disconnect', () => broadcastPresence(socket.account));
+        return;
+    }
+
+    // Room selection (per-game isolation)
+    const roomName = (socket.handshake && socket.handshake.auth && socket.handshake.auth.room)
+        ? String(socket.handshake.auth.room)
+        : 'default';
+    socket.join(roomName);
+    socket.roomName = roomName;
+
+    // REGISTRO DE NICKNAME ÚNICO
+    // The nickname comes from the authenticated session (or a generated guest name),
+    // anything the client sends as `nickname` is ignored.
+    socket.on('register', (data) => {
+        const { faceId } = data || {};
+        if (players[socket.id]) return;
+        // Two guests may have drawn the same name before either registered
+        if (socket.isGuest && Object.values(activeNicknames).includes(socket.nickname)) {
+            socket.nickname = generateGuestNickname();
+        }
+        const nickname = socket.nickname;
+        // Bloqueia nick duplicado
+        if (Object.values(activeNicknames).includes(nickname)) {
+            socket.emit('nicknameError', 'A sua conta já está sendo usada neste mesmo momento por favor saia do jogo e troque a conta');
+            socket.disconnect();
+            return;
+        }
+        // Marca nickname como ativo
+        activeNicknames[socket.id] = nickname;
+
+        // Tell the client which identity the server assigned
+        socket.emit('registered', {
+            nickname,
+            isGuest: socket.isGuest,
+            guestId: socket.guestId,
+            sessionExpired: !!socket.sessionExpired
+        });
+        sendPermissions(socket).catch(err => console.error('Error sending permissions:', err));
+
+        // Playtime for Goldbucks rewards counts from the moment the player is in the room
+        socket.lastPlaytimeCheck = Date.now();
+
+        // Cria player
+        players[socket.id] = {
+            id: socket.id,
+            netId: allocateNetId(),
+            nickname: nickname,
+            isGuest: socket.isGuest,
+            room: roomName,
+            x: 0, y: 3, z: 0,
+            rotation: 0,
+            isMoving: false,
+            health: MAX_HEALTH,
+            dead: false,          // Between playerDied and playerRespawned (combat.js)
+            team: null,           // Team chat (/t) goes to players with the same team
+            flying: false,        // Set by /fly
+            speedMultiplier: 1,   // Set by /speed
+            ack: 0,               // seq of the last playerMove processed, for client reconciliation
+            colors: {
+                head: '#FAD417',
+                torso: '#00A2FF',
+                arms: '#FAD417',
+                legs: '#80C91C'
+            },
+            hatId: null,
+            faceId: DEFAULT_FACE
+        };
+
+        // The requested face is only applied once ownership is confirmed
+        if (faceId && faceId !== DEFAULT_FACE) {
+            applyFace(faceId);
+        }
+
+        // Envia apenas os players da mesma sala para o novo
+        const roomPlayers = Object.fromEntries(
+            Object.entries(players).filter(([_, p]) => p.room === roomName)
+        );
+        socket.emit('initialPlayers', roomPlayers);
+        // What was said before the player arrived
+        socket.emit('chatHistory', getChatHistory(roomName));
+        sendSystemMessage(io, roomName, `${nickname} entrou no jogo.`);
+        // Avise os outros da mesma sala
+        socket.to(roomName).emit('playerJoined', players[socket.id]);
+
+        if (socket.account) {
+            broadcastPresence(socket.account);
+        }
+
+        // Play statistics: accounts count once per game as unique players, guests once per guest name
+        socket.joinedRoomAt = Date.now();
+        const visitorId = socket.account ? socket.account.id : `guest:${nickname}`;
+        recordGameVisit(roomName, visitorId, countPlayersByRoom()[roomName] || 1)
+            .catch(err => console.error('Error recording game visit:', err));
+    });
+
+    // CHAT
+    // Messages starting with "/" are commands (chatCommands.js) and are not shown to the room.
+    // Commands still work while muted, but count towards the rate limit like any message.
+    socket.on('chat', async msg => {
+        if (typeof msg !== 'string' || !players[socket.id]) return;
+        const text = msg.trim();
+        if (!text) return;
+        if (text.length > CHAT_MAX_LENGTH) {
+            socket.emit('chatNotice', { message: `Mensagem muito longa (máximo de ${CHAT_MAX_LENGTH} caracteres).` });
+            return;
+        }
+        const flooding = checkRateLimit(socket);
+        if (flooding) {
+            socket.emit('chatNotice', { message: flooding });
+            return;
+        }
+        if (text.startsWith('/')) {
+            try {
+                await executeChatCommand(text, {
+                    io,
+                    socket,
+                    players,
+                    can: async permission => (permission === 'room_effects'
+                        ? canUseRoomEffects(socket)
+                        : hasPermission(socket.account ? socket.account.roles : [], permission))
+                });
+            } catch (error) {
+                console.error('Error running chat command:', error);
+                socket.emit('commandResult', { success: false, message: 'Erro ao executar o comando.' });
+            }
+            return;
+        }
+        const muted = getMuteRemaining(socket);
+        if (muted > 0) {
+            socket.emit('chatNotice', { message: `Você está silenciado ${describeDuration(muted)}.` });
+            return;
+        }
+        broadcastChat(io, roomName, { playerId: socket.id, nickname: socket.nickname, message: filterChatMessage(text) });
+    });
+
+    // MOVIMENTO
+    socket.on('playerMove', (data) => {
+        const now = Date.now();
+
+        // Rate-limit incoming move packets to protect server and network
+        if (socket.lastMoveAt && now - socket.lastMoveAt < (1000 / MAX_MOVE_RATE)) {
+            return;
+        }
+        socket.lastMoveAt = now;
+
+        const p = players[socket.id];
+        if (!p || p.dead) return;
+
+        // Sanitize and clamp incoming data
+        const x = clamp(data?.x, -WORLD_BOUNDS.xz, WORLD_BOUNDS.xz);
+        const y = clamp(data?.y, WORLD_BOUNDS.yMin, WORLD_BOUNDS.yMax);
+        const z = clamp(data?.z, -WORLD_BOUNDS.xz, WORLD_BOUNDS.xz);
+        const rotation = normalizeAngle(data?.rotation ?? 0);
+        const isMoving = !!data?.isMoving;
+        const isInAir = !!data?.isInAir;
+
+        // Acknowledged whether or not the move is accepted: the position sent with
+        // this ack in gameState is the server's answer to it
+        if (Number.isInteger(data?.seq) && data.seq > p.ack) {
+            p.ack = data.seq;
+        }
+
+        // Too fast, too high or teleporting: the client is sent back (anticheat.js)
+        if (!checkMove(socket, p, { x, y, z }, now)) return;
+
+        p.x = x;
+        p.y = y;
+        p.z = z;
+        p.rotation = rotation;
+        p.isMoving = isMoving;
+        p.isInAir = isInAir;
+        p.nickname = socket.nickname; // always maintain nickname
+    });
+
+    // The newest gameState the client decoded; the next ones are deltas from it.
+    // 0 asks for a full snapshot.
+    socket.on('stateAck', (tick) => {
+        if (!Number.isInteger(tick) || tick < 0 || tick > serverTick) return;
+        if (tick === 0 || tick > (socket.stateAckTick || 0)) {
+            socket.stateAckTick = tick;
+        }
+    });
+
+    // CUSTOMIZAÇÃO
+    // Appearance is not part of gameState; everyone in the room is told when it changes
+    socket.on('playerCustomize', (data) => {
+        const p = players[socket.id];
+        if (!p) return;
+        const colors = mergeBodyColors(p.colors, data);
+        if (BODY_PARTS.every(part => colors[part] === p.colors[part])) return;
+        p.colors = colors;
+        io.to(roomName).emit('playerColorsChanged', { playerId: socket.id, colors });
+    });
+
+    // CHAPÉU
+    // Only hats from the player's inventory can be worn; null takes the hat off
+    socket.on('equipHat', async (data) => {
+        const { hatId } = data || {};
+        try {
+            if (hatId) {
+                const owned = await ownsItem(socket.account ? socket.account.id : null, String(hatId));
+                if (!owned) return;
+            }
+            if (players[socket.id]) {
+                players[socket.id].hatId = hatId || null;
+            }
+            io.to(roomName).emit('playerHatChanged', { playerId: socket.id, hatId: hatId || null });
+        } catch (error) {
+            console.error('Error equipping hat:', error);
+        }
+    });
+    
+    // FACE
+    async function applyFace(faceId) {
+        try {
+            const item = await getFaceItemByTexture(String(faceId));
+            if (!item || !(await ownsItem(socket.account ? socket.account.id : null, item.id))) return;
+            if (players[socket.id]) {
+                players[socket.id].faceId = item.imageUrl;
+            }
+            io.to(roomName).emit('playerFaceChanged', { playerId: socket.id, faceId: item.imageUrl });
+        } catch (error) {
+            console.error('Error changing face:', error);
+        }
+    }
+
+    socket.on('faceChange', (data) => {
+        const { faceId } = data || {};
+        applyFace(faceId);
+    });
+
+    // FERRAMENTAS
+    socket.on("equipTool", (data) => {
+        socket.to(roomName).emit("remoteEquip", { playerId: socket.id, tool: data.tool });
+    });
+    socket.on("unequipTool", (data) => {
+        socket.to(roomName).emit("remoteUnequip", { playerId: socket.id, tool: data.tool });
+    });
+
+    // DANÇA
+    socket.on('dance', () => {
+        socket.to(roomName).emit('dance', socket.id);
+    });
+    socket.on('stopDance', () => {
+        socket.to(roomName).emit('stopDance', socket.id);
+    });
+
+    // ROCKET
+    // Rockets fly and hit on the server (projectiles.js); clients only draw them
+    socket.on('launchRocket', data => {
+        launchRocket(io, players, socket.id, data);
+    });
+
+    // Respawn button
+    socket.on('requestRespawn', () => {
+        killPlayer(io, players, socket.id);
+    });
+
+    // RAGDOLL
+    socket.on('playerRagdoll', (data) => {
+        io.to(roomName).emit('playerRagdoll', data);
+    });
+
+    // DESCONECTAR
+    socket.on('disconnect', () => {
+        creditPlaytime(socket);
+        if (socket.joinedRoomAt) {
+            recordGamePlaytime(roomName, (Date.now() - socket.joinedRoomAt) / 1000)
+                .catch(err => console.error('Error recording game playtime:', err));
+        }
+        delete activeNicknames[socket.id];
+        const r = players[socket.id]?.room || roomName;
+        const left = players[socket.id];
+        delete players[socket.id];
+        releaseNetId(left?.netId);
+        clearInterest(socket.id);
+        clearPlayerCombat(socket.id);
+        clearPlayerProjectiles(socket.id);
+        clearMovement(socket.id);
+        io.to(r).emit('playerLeft', socket.id);
+        if (left) {
+            sendSystemMessage(io, r, `${left.nickname} saiu do jogo.`);
+        }
+        if (!Object.values(players).some(p => p.room === r)) {
+            clearChatHistory(r);
+            clearRoomProjectiles(r);
+        }
+        if (socket.account) {
+            broadcastPresence(socket.account);
+        }
+    });
+});
+
+// PLAYTIME REWARDS
+// Goldbucks are granted by the server for time a registered account actually spent in a room.
+const COIN_REWARD_AMOUNT = 500;
+const COIN_REWARD_INTERVAL_MS = 20 * 60 * 1000; // 20 minutes
+const PLAYTIME_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Adds the time since the last check to the socket's playtime and pays out full intervals
+function creditPlaytime(socket) {
+    const now = Date.now();
+    if (!socket.account || !players[socket.id]) {
+        socket.lastPlaytimeCheck = now;
+        return;
+    }
+    socket.playtimeMs = (socket.playtimeMs || 0) + (now - (socket.lastPlaytimeCheck || now));
+    socket.lastPlaytimeCheck = now;
+
+    while (socket.playtimeMs >= COIN_REWARD_INTERVAL_MS) {
+        socket.playtimeMs -= COIN_REWARD_INTERVAL_MS;
+        recordCoinTransaction(socket.account.id, COIN_REWARD_AMOUNT, `playtime_reward:${socket.roomName}`)
+            .then(result => {
+                if (result.success && socket.connected) {
+                    socket.emit('coinsAwarded', { amount: COIN_REWARD_AMOUNT, balance: result.balance, reason: 'playtime_reward' });
+                }
+            })
+            .catch(err => console.error('Error granting playtime reward:', err));
+    }
+}
+
+setInterval(() => {
+    for (const socket of io.sockets.sockets.values()) {
+        creditPlaytime(socket);
+    }
+}, PLAYTIME_CHECK_INTERVAL_MS);
+
+// Sends the changes since the last snapshot the client acknowledged (stateAck), or
+// everything when that snapshot is too old or there is none
+function sendGameState(socket, p, roomState, time) {
+    if (!socket.sentStates) socket.sentStates = new Map();
+    const baseTick = socket.stateAckTick || 0;
+    const buffer = encodeGameState({
+        tick: serverTick,
+        time,
+        ack: p.ack,
+        players: roomState,
+        baseTick,
+        base: socket.sentStates.get(baseTick) || null
+    });
+    socket.volatile.emit('gameState', Buffer.from(buffer));
+    socket.sentStates.set(serverTick, roomState);
+    socket.sentStates.delete(serverTick - STATE_HISTORY_TICKS);
+}
+
+// GAME LOOP
+setInterval(() => {
+    serverTick++;
+    const tickTime = Date.now();
+    stepProjectiles(io, players, 1 / GAME_TICK_RATE);
+
+    const byRoom = {};
+    for (const p of Object.values(players)) {
+        const r = p.room || 'default';
+        if (!byRoom[r]) byRoom[r] = [];
+        byRoom[r].push(p);
+    }
+    for (const roomPlayers of Object.values(byRoom)) {
+        const quantized = new Map(roomPlayers.map(p => [p.id, quantizePlayer(p)]));
+        const grid = buildInterestGrid(roomPlayers, WORLD_BOUNDS);
+        // Each client only hears about the players near it (interest.js)
+        for (const p of roomPlayers) {
+            const socket = io.sockets.sockets.get(p.id);
+            if (!socket) continue;
+            const { visible, entered, left } = updateInterest(p, grid);
+            entered.forEach(id => socket.emit('playerVisible', players[id]));
+            left.forEach(id => socket.emit('playerHidden', id));
+            const state = new Map();
+            visible.forEach(id => state.set(players[id].netId, quantized.get(id)));
+            sendGameState(socket, p, state, tickTime);
+        }
+    }
+}, 1000 / GAME_TICK_RATE);
+
+// admin.js refuses to touch rogold.db while this is recorded
+markServerRunning();
 
 server.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+});
+
+// Publish games from JSON files in games/ (the legacy files and any dropped in later)
+importGamesDirectory()
+    .then(results => {
+        if (results.length > 0) {
+            console.log(`Game file import:\n${formatImportSummary(results)}`);
+        }
+    })
+    .catch(err => console.error('Error importing game files:', err))
+    .finally(() => {
+        watchGamesDirectory(undefined, result => {
+            if (result.status !== 'unchanged') {
+                console.log(`Game file import: ${formatImportResult(result)}`);
+            }
+        });
+    });
+
+// Edits to chat-filter.json apply without a restart
+watchChatFilter();
+
+// Write out any batched database changes before the process stops
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        console.log(`${signal} received, saving database and shutting down`);
+        try {
+            flushDatabase();
+        } catch (error) {
+            console.error('Error saving database on shutdown:', error);
+        }
+        process.exit(0);
+    });
+});
@@ -2576,7 +2576,38 @@ function generateSceneScreenshot() {
     }
 }
 
-function showPublishDialog(defaultThumbnail = null) {
+// Studio shares the portal's session (same origin)
+function getAuthHeaders() {
+    const token = localStorage.getItem('rogold_session_token');
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+// Games the signed-in user published, offered as "update existing game" targets
+async function fetchOwnGames() {
+    try {
+        const response = await fetch('/api/games/mine', { headers: getAuthHeaders() });
+        if (!response.ok) return [];
+        const result = await response.json();
+        return result.games || [];
+    } catch (error) {
+        console.warn('Failed to load own games:', error);
+        return [];
+    }
+}
+
+// Genre tags accepted by the server for game discovery
+const GAME_GENRES = {
+    aventura: 'Adventure',
+    obby: 'Obby',
+    rpg: 'RPG',
+    simulador: 'Simulator',
+    corrida: 'Racing',
+    combate: 'Combat',
+    terror: 'Horror',
+    social: 'Social'
+};
+
+function showPublishDialog(defaultThumbnail = null, ownGames = []) {
     return new Promise((resolve) => {
         // Create modal dialog
         const modal = document.createElement('div');
@@ -2620,6 +2651,102 @@ function showPublishDialog(defaultThumbnail = null) {
             box-sizing: border-box;
         `;
 
+        // Publish as a new game or as a new version of one of the user's games
+        const targetLabel = document.createElement('label');
+        targetLabel.textContent = 'Publish as:';
+        targetLabel.style.cssText = `
+            display: block;
+            margin: 10px 0 5px 0;
+            font-weight: bold;
+        `;
+
+        const targetSelect = document.createElement('select');
+        targetSelect.style.cssText = `
+            width: 100%;
+            padding: 8px;
+            margin: 5px 0;
+            border: 1px solid #ccc;
+            border-radius: 4px;
+            box-sizing: border-box;
+        `;
+        const newGameOption = document.createElement('option');
+        newGameOption.value = '';
+        newGameOption.textContent = 'New game';
+        targetSelect.appendChild(newGameOption);
+        ownGames.forEach(game => {
+            const option = document.createElement('option');
+            option.value = game.id;
+            option.textContent = `Update "${game.title}" (v${game.version})`;
+            targetSelect.appendChild(option);
+        });
+
+        const changelogInput = document.createElement('input');
+        changelogInput.type = 'text';
+        changelogInput.placeholder = 'What changed in this version?';
+        changelogInput.maxLength = 500;
+        changelogInput.style.cssText = `
+            width: 100%;
+            padding: 8px;
+            margin: 5px 0;
+            border: 1px solid #ccc;
+            border-radius: 4px;
+            box-sizing: border-box;
+            display: none;
+        `;
+
+        const descriptionInput = document.createElement('textarea');
+        descriptionInput.placeholder = 'Describe your game...';
+        descriptionInput.maxLength = 1000;
+        descriptionInput.rows = 3;
+        descriptionInput.style.cssText = `
+            width: 100%;
+            padding: 8px;
+            margin: 5px 0;
+            border: 1px solid #ccc;
+            border-radius: 4px;
+            box-sizing: border-box;
+            resize: vertical;
+        `;
+
+        // Genre tags shown in game discovery (Ctrl/Cmd-click to pick several)
+        const genreLabel = document.createElement('label');
+        genreLabel.textContent = 'Genres:';
+        genreLabel.style.cssText = `
+            display: block;
+            margin: 10px 0 5px 0;
+            font-weight: bold;
+        `;
+
+        const genreSelect = document.createElement('select');
+        genreSelect.multiple = true;
+        genreSelect.size = 4;
+        genreSelect.style.cssText = `
+            width: 100%;
+            padding: 4px;
+            margin: 5px 0;
+            border: 1px solid #ccc;
+            border-radius: 4px;
+            box-sizing: border-box;
+        `;
+        Object.entries(GAME_GENRES).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            genreSelect.appendChild(option);
+        });
+
+        targetSelect.onchange = () => {
+            const game = ownGames.find(g => g.id === targetSelect.value);
+            changelogInput.style.display = game ? 'block' : 'none';
+            if (game) {
+                input.value = game.title;
+                descriptionInput.value = game.description || '';
+                Array.from(genreSelect.options).forEach(option => {
+                    option.selected = (game.tags || []).includes(option.value);
+                });
+            }
+        };
+
         const thumbnailLabel = document.createElement('label');
         thumbnailLabel.textContent = 'Game Thumbnail:';
         thumbnailLabel.style.cssText = `
@@ -2721,7 +2848,14 @@ function showPublishDialog(defaultThumbnail = null) {
             }
 
             document.body.removeChild(modal);
-            resolve({ title: gameTitle, thumbnail: thumbnailData });
+            resolve({
+                title: gameTitle,
+                thumbnail: thumbnailData,
+                gameId: targetSelect.value || null,
+                changelog: changelogInput.value.trim() || null,
+                description: descriptionInput.value.trim(),
+                tags: Array.from(genreSelect.selectedOptions).map(option => option.value)
+            });
         };
 
         input.onkeydown = (e) => {
@@ -2736,6 +2870,14 @@ function showPublishDialog(defaultThumbnail = null) {
         buttonContainer.appendChild(publishBtn);
         dialog.appendChild(title);
         dialog.appendChild(input);
+        dialog.appendChild(descriptionInput);
+        dialog.appendChild(genreLabel);
+        dialog.appendChild(genreSelect);
+        if (ownGames.length > 0) {
+            dialog.appendChild(targetLabel);
+            dialog.appendChild(targetSelect);
+            dialog.appendChild(changelogInput);
+        }
         dialog.appendChild(thumbnailLabel);
         dialog.appendChild(thumbnailInput);
         dialog.appendChild(thumbnailPreview);
@@ -2849,13 +2991,20 @@ async function publishProject() {
         // Generate automatic thumbnail from current scene
         const autoThumbnail = generateSceneScreenshot();
 
-        // Show publish dialog to get game title and thumbnail
-        const publishData = await showPublishDialog(autoThumbnail);
+        // Publishing is tied to the signed-in account
+        if (!localStorage.getItem('rogold_session_token')) {
+            showPublishResult(false, 'You need to be logged in on Rogold to publish games.');
+            return;
+        }
+
+        // Show publish dialog to get game title, thumbnail and target game
+        const ownGames = await fetchOwnGames();
+        const publishData = await showPublishDialog(autoThumbnail, ownGames);
         if (!publishData) {
             return; // User cancelled
         }
 
-        const { title: gameTitle, thumbnail: customThumbnail } = publishData;
+        const { title: gameTitle, thumbnail: customThumbnail, gameId: existingGameId, changelog, description, tags } = publishData;
 
         // Show progress indicator
         showPublishProgress('Preparing game data...');
@@ -2868,18 +3017,22 @@ async function publishProject() {
             title: gameTitle,
             ...gameData,
             published: true,
-            gameId: 'game_' + Date.now(),
+            changelog,
+            description,
+            tags,
             thumbnail: customThumbnail || autoThumbnail // Use custom if uploaded, otherwise auto-generated
         };
 
         // Update progress
         showPublishProgress('Publishing to server...');
 
-        // Send to server
-        const response = await fetch('/api/games', {
+        // Send to server: a new game, or a new version of an existing one
+        const url = existingGameId ? `/api/games/${encodeURIComponent(existingGameId)}/versions` : '/api/games';
+        const response = await fetch(url, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
+                ...getAuthHeaders()
             },
             body: JSON.stringify(projectData)
         });
@@ -2888,7 +3041,7 @@ async function publishProject() {
 
         if (response.ok) {
             const result = await response.json();
-            showPublishResult(true, `Game "${gameTitle}" published successfully! Game ID: ${result.gameId || projectData.gameId}`);
+            showPublishResult(true, `Game "${gameTitle}" published successfully! Game ID: ${result.gameId} (version ${result.version})`);
             addOutput('Game published successfully! Title: ' + gameTitle, 'success');
             addOutput('Your game is now available in the games list!', 'success');
 
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway database, set before database.js is loaded
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rogold-test-'));
+process.env.ROGOLD_DB_PATH = path.join(tmpDir, 'rogold.db');
+const {
+    dbPromise,
+    flushDatabase,
+    createAccount,
+    createBan,
+    getActiveBan,
+    getConnectionBan,
+    liftBans
+} = require('../database');
+const { moderationRank } = require('../roles');
+
+const HOUR = 60 * 60 * 1000;
+const ADDRESS = '203.0.113.7';
+
+test.before(async () => {
+    await dbPromise; // Migrations run as soon as it resolves
+    await createAccount('player_banned', 'Banido', 'hash', 'salt');
+    await createAccount('player_admin', 'Admin', 'hash', 'salt');
+});
+
+test.after(() => {
+    flushDatabase(); // Nothing left for the exit handler to write
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('a banned player cannot rejoin as a guest from the same address', async () => {
+    await createBan('player_banned', 'player_admin', 'spam', Date.now() + HOUR, ADDRESS, moderationRank(['admin']));
+
+    const asAccount = await getConnectionBan('player_banned', ADDRESS);
+    assert.ok(asAccount, 'the account itself is refused');
+
+    const asGuest = await getConnectionBan(null, ADDRESS);
+    assert.ok(asGuest, 'a guest from the banned address is refused');
+    assert.strictEqual(asGuest.reason, 'spam');
+
+    assert.strictEqual(await getConnectionBan(null, '198.51.100.1'), null, 'other guests still get in');
+});
+
+test('a ban remembers the rank that placed it', async () => {
+    const ban = await getActiveBan('player_banned');
+    assert.strictEqual(ban.issuerRank, moderationRank(['admin']));
+    assert.ok(moderationRank(['moderator']) < ban.issuerRank, 'a moderator may not lift it');
+});
+
+test('guests get back in once the ban is lifted or over', async () => {
+    await liftBans('player_banned');
+    assert.strictEqual(await getConnectionBan(null, ADDRESS), null);
+
+    await createBan('player_banned', 'player_admin', null, Date.now() - 1, ADDRESS, 0);
+    assert.strictEqual(await getConnectionBan(null, ADDRESS), null, 'expired bans are ignored');
+});
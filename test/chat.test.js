@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { muteSocket, getMuteRemaining, checkRateLimit } = require('../chat');
+const { resolveGuestId } = require('../auth');
+
+const ADDRESS = '203.0.113.7';
+
+// Just enough of a socket for chat.js: guests from io.use carry a guest id and no account
+function guestSocket(guestId) {
+    return { account: null, guestId: resolveGuestId(guestId), handshake: { address: ADDRESS } };
+}
+
+test('a muted guest stays muted when it reconnects with its guest id', () => {
+    const first = guestSocket();
+    muteSocket(first, 60 * 1000);
+    assert.ok(getMuteRemaining(guestSocket(first.guestId)) > 0);
+});
+
+test('guests behind the same address do not share a mute', () => {
+    const muted = guestSocket();
+    muteSocket(muted, 60 * 1000);
+    assert.strictEqual(getMuteRemaining(guestSocket()), 0);
+});
+
+test('flooding counts against the socket, not its address', () => {
+    const flooder = guestSocket();
+    const neighbour = guestSocket();
+    let notice = null;
+    for (let i = 0; i < 6 && !notice; i++) notice = checkRateLimit(flooder);
+    assert.ok(notice);
+    assert.strictEqual(checkRateLimit(neighbour), null);
+    assert.strictEqual(getMuteRemaining(neighbour), 0);
+});
+
+test('malformed guest ids are replaced with a new one', () => {
+    assert.match(resolveGuestId('guest:203.0.113.7'), /^guest_[a-f0-9]{32}$/);
+    assert.notStrictEqual(resolveGuestId(), resolveGuestId());
+});